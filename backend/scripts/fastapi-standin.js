@@ -0,0 +1,222 @@
+// scripts/fastapi-standin.js
+// Local stand-in for the FastAPI quantum service (same wire format as /health, /optimize, /rebalance),
+// driven by scenario files in scripts/scenarios/ so every upstream error path can be reproduced.
+//
+//   node scripts/fastapi-standin.js --scenario flaky --port 8000
+//   QUANTUM_BASE_URL=http://127.0.0.1:8000 npm run dev
+//
+// Scenario file:
+//   {
+//     "extends": "default",                  // inherit datasets/defaults/rules from another scenario
+//     "defaults": { "latencyMs": 150, "gamma": 0.5 },
+//     "datasets": { "NIFTY50": [{ "asset": "...", "expected_return": 0.001 }] },
+//     "rules": [                              // first match wins; no match = normal answer
+//       { "match": { "path": "/optimize", "method": "POST", "dataset": "NASDAQ" },
+//         "times": 2,                         // only the first N matches (then the rule is spent)
+//         "latencyMs": 3000,                  // delay before answering
+//         "status": 503, "body": { ... },     // answer with an error instead
+//         "timeout": true,                    // never answer (client must time out)
+//         "drift": "string-weights" | "renamed-fields" | "missing-portfolio",
+//         "portfolio": [ ... ] }              // fixed /optimize portfolio
+//     ]
+//   }
+//
+// The active scenario can be swapped at runtime: PUT /__scenario { "name": "outage" } (or a full scenario object).
+const fs = require("node:fs");
+const path = require("node:path");
+const express = require("express");
+
+const SCENARIO_DIR = path.join(__dirname, "scenarios");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+function readScenario(name) {
+  const file = name.endsWith(".json") ? path.resolve(name) : path.join(SCENARIO_DIR, `${name}.json`);
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+// Resolve "extends" chains into one flat scenario
+function resolveScenario(raw) {
+  const base = raw.extends ? resolveScenario(readScenario(raw.extends)) : { defaults: {}, datasets: {}, rules: [] };
+  return {
+    description: raw.description || base.description || "",
+    defaults: { ...base.defaults, ...(raw.defaults || {}) },
+    datasets: { ...base.datasets, ...(raw.datasets || {}) },
+    rules: [...(raw.rules || []), ...base.rules].map(r => ({ ...r, used: 0 })),
+  };
+}
+
+let scenarioName = arg("scenario", process.env.STANDIN_SCENARIO || "default");
+let scenario = resolveScenario(readScenario(scenarioName));
+
+function findRule(req) {
+  const dataset = req.body?.dataset_option;
+  return scenario.rules.find(r => {
+    const m = r.match || {};
+    if (m.path && m.path !== req.path) return false;
+    if (m.method && m.method !== req.method) return false;
+    if (m.dataset && m.dataset !== dataset) return false;
+    if (typeof r.times === "number" && r.used >= r.times) return false;
+    return true;
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ---------------- portfolio generation ----------------
+
+function universe(datasetOption) {
+  const key = String(datasetOption || "NIFTY50").replace(/_Future$/, "");
+  return scenario.datasets[key] || scenario.datasets.NIFTY50 || [];
+}
+
+// Top-`budget` assets by expected return, weights proportional to return
+function buildPortfolio(assets, budget, totalInvestment) {
+  const picked = [...assets]
+    .sort((a, b) => b.expected_return - a.expected_return)
+    .slice(0, Math.max(1, Number(budget) || 5));
+  const sum = picked.reduce((s, a) => s + Math.max(a.expected_return, 1e-6), 0);
+  return picked.map(a => {
+    const weight = Math.max(a.expected_return, 1e-6) / sum;
+    return {
+      asset: a.asset,
+      expected_return: a.expected_return,
+      weight,
+      investment: weight * totalInvestment,
+      percentage: weight * 100,
+    };
+  });
+}
+
+// "Future" view: same universe with returns tilted by position, so the ranking changes a little
+function futureUniverse(assets) {
+  return assets.map((a, i) => ({ ...a, expected_return: a.expected_return * (1 + ((i % 3) - 1) * 0.35) }));
+}
+
+function optimizeBody(req, rule) {
+  const b = req.body || {};
+  const total = Number(b.total_investment) || 100000;
+  let portfolio = rule?.portfolio || buildPortfolio(universe(b.dataset_option), b.budget, total);
+  const exclude = new Set(b.exclude_assets || []);
+  portfolio = portfolio.filter(p => !exclude.has(p.asset));
+  return {
+    dataset: b.dataset_option || "NIFTY50",
+    budget: Number(b.budget) || portfolio.length,
+    risk_factor: b.risk_factor || "medium",
+    gamma: scenario.defaults.gamma ?? 0.5,
+    total_investment: total,
+    objective_value: -portfolio.reduce((s, p) => s + p.weight * p.expected_return, 0),
+    portfolio,
+  };
+}
+
+function rebalanceBody(req) {
+  const b = req.body || {};
+  const total = Number(b.total_investment) || 100000;
+  const base = universe(b.dataset_option);
+  const current = buildPortfolio(base, b.budget, total);
+  const future = buildPortfolio(futureUniverse(base), b.budget, total);
+
+  const names = [...new Set([...current, ...future].map(p => p.asset))];
+  const recommendations = names.map(asset => {
+    const c = current.find(p => p.asset === asset);
+    const f = future.find(p => p.asset === asset);
+    const currentPct = c ? c.percentage : 0;
+    const futurePct = f ? f.percentage : 0;
+    const change = futurePct - currentPct;
+    const action = !c ? "BUY" : !f ? "SELL" : Math.abs(change) < 0.5 ? "HOLD" : change > 0 ? "INCREASE" : "DECREASE";
+    return {
+      action,
+      asset,
+      current_pct: currentPct,
+      future_pct: futurePct,
+      change_pct: change,
+      current_allocation: (currentPct / 100) * total,
+      future_allocation: (futurePct / 100) * total,
+      change_allocation: (change / 100) * total,
+    };
+  });
+
+  return {
+    dataset: b.dataset_option || "NIFTY50",
+    future_dataset: b.future_dataset_option || `${b.dataset_option || "NIFTY50"}_Future`,
+    current_portfolio: current,
+    future_portfolio: future,
+    recommendations,
+    summary: {
+      sell: recommendations.filter(r => r.action === "SELL").length,
+      buy: recommendations.filter(r => r.action === "BUY").length,
+      rebalance_or_hold: recommendations.filter(r => !["BUY", "SELL"].includes(r.action)).length,
+    },
+    objective_value: -future.reduce((s, p) => s + p.weight * p.expected_return, 0),
+  };
+}
+
+// ---------------- schema drift ----------------
+
+function applyDrift(kind, body) {
+  if (kind === "missing-portfolio") {
+    const { portfolio, current_portfolio, ...rest } = body;
+    return rest;
+  }
+  if (kind === "string-weights") {
+    const fix = (rows) => rows?.map(p => ({ ...p, weight: String(p.weight), expected_return: String(p.expected_return) }));
+    return { ...body, portfolio: fix(body.portfolio), current_portfolio: fix(body.current_portfolio) };
+  }
+  if (kind === "renamed-fields") {
+    const { portfolio, current_portfolio, future_portfolio, recommendations, ...rest } = body;
+    return { ...rest, assets: portfolio, current: current_portfolio, future: future_portfolio, actions: recommendations };
+  }
+  return body;
+}
+
+// ---------------- server ----------------
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  const key = req.headers["authorization"] ? "auth" : "no-auth";
+  const requestId = req.headers["x-request-id"] || "-"; // forwarded by the backend's quantum client
+  console.log(`[standin:${scenarioName}] ${req.method} ${req.path} (${key}, request ${requestId})`);
+  next();
+});
+
+// scripted behaviour shared by all endpoints
+app.use(async (req, res, next) => {
+  if (req.path.startsWith("/__")) return next();
+  const rule = findRule(req);
+  if (rule) rule.used += 1;
+  req.rule = rule;
+
+  await sleep(rule?.latencyMs ?? scenario.defaults.latencyMs ?? 0);
+  if (rule?.timeout) return; // hold the socket open until the client gives up
+  if (rule?.status) return res.status(rule.status).json(rule.body || { detail: `scripted ${rule.status}` });
+  next();
+});
+
+const send = (req, res, body) => res.json(req.rule?.drift ? applyDrift(req.rule.drift, body) : body);
+
+app.get("/health", (req, res) => send(req, res, { status: "ok", scenario: scenarioName }));
+app.post("/optimize", (req, res) => send(req, res, optimizeBody(req, req.rule)));
+app.post("/rebalance", (req, res) => send(req, res, rebalanceBody(req)));
+
+app.get("/__scenario", (req, res) => res.json({ name: scenarioName, ...scenario }));
+app.put("/__scenario", (req, res) => {
+  try {
+    const body = req.body || {};
+    scenario = resolveScenario(body.name ? readScenario(body.name) : body);
+    scenarioName = body.name || "inline";
+    res.json({ name: scenarioName, description: scenario.description });
+  } catch (e) {
+    res.status(400).json({ detail: e.message });
+  }
+});
+
+const port = Number(arg("port", process.env.STANDIN_PORT || 8000));
+app.listen(port, () => {
+  console.log(`FastAPI stand-in on http://127.0.0.1:${port} (scenario: ${scenarioName} – ${scenario.description})`);
+});
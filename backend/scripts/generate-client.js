@@ -0,0 +1,148 @@
+// scripts/generate-client.js
+// Writes frontend/src/lib/api.client.js from the /api/v1 OpenAPI document (services/openapi.service.js):
+// one JSDoc typedef per component schema and one function per operation.
+//
+//   node scripts/generate-client.js           # (re)write the client
+//   node scripts/generate-client.js --check   # exit 1 if the committed client is out of date
+const fs = require("node:fs");
+const path = require("node:path");
+const { openApiDocument } = require("../src/services/openapi.service");
+
+const OUT_FILE = path.join(__dirname, "..", "..", "frontend", "src", "lib", "api.client.js");
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const key = (name) => (IDENTIFIER.test(name) ? name : JSON.stringify(name));
+
+// JSON Schema -> JSDoc type expression
+function typeOf(schema) {
+  if (schema.$ref) return schema.$ref.split("/").pop();
+  if (schema.anyOf) return schema.anyOf.map(typeOf).join(" | ");
+  if ("const" in schema) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map(v => JSON.stringify(v)).join(" | ");
+  switch (schema.type) {
+    case "string": return "string";
+    case "integer":
+    case "number": return "number";
+    case "boolean": return "boolean";
+    case "null": return "null";
+    case "array": return `Array<${typeOf(schema.items)}>`;
+    case "object": {
+      if (!schema.properties) {
+        const value = schema.additionalProperties;
+        return value && typeof value === "object" && Object.keys(value).length ? `Object<string, ${typeOf(value)}>` : "Object<string, *>";
+      }
+      const required = new Set(schema.required || []);
+      const fields = Object.entries(schema.properties)
+        .map(([name, s]) => `${key(name)}${required.has(name) ? "" : "?"}: ${typeOf(s)}`);
+      return `{ ${fields.join(", ")} }`;
+    }
+    default: return "*";
+  }
+}
+
+function operationFunction(pathName, method, op) {
+  const pathParams = (op.parameters || []).filter(p => p.in === "path").map(p => p.name);
+  const hasQuery = (op.parameters || []).some(p => p.in === "query");
+  const json = op.requestBody?.content?.["application/json"];
+  const ok = Object.entries(op.responses).find(([status]) => status !== "default");
+  const result = ok?.[1]?.content?.["application/json"]?.schema;
+
+  const args = [...pathParams];
+  const doc = [`${op.summary} – ${method.toUpperCase()} ${pathName}`];
+  for (const p of pathParams) doc.push(`@param {string} ${p}`);
+  if (json) {
+    args.push("body");
+    doc.push(`@param {${typeOf(json.schema)}} ${op.requestBody.required ? "body" : "[body]"}`);
+  }
+  if (hasQuery) {
+    args.push("query");
+    const fields = op.parameters.filter(p => p.in === "query")
+      .map(p => `${key(p.name)}${p.required ? "" : "?"}: ${typeOf(p.schema)}`);
+    doc.push(`@param {{ ${fields.join(", ")} }} [query]`);
+  }
+  args.push("options");
+  doc.push("@param {{ signal?: AbortSignal }} [options]");
+  doc.push(`@returns {Promise<${result ? typeOf(result) : "null"}>}`);
+
+  const url = "`" + pathName.replace(/\{(\w+)\}/g, (_, p) => "${encodeURIComponent(" + p + ")}") + "`";
+  const init = [json && "body", hasQuery && "query", "...options"].filter(Boolean).join(", ");
+  return [
+    "/**",
+    ...doc.map(line => ` * ${line}`),
+    " */",
+    `export function ${op.operationId}(${args.join(", ")}) {`,
+    `  return request("${method.toUpperCase()}", ${url}, { ${init} });`,
+    "}",
+  ].join("\n");
+}
+
+function generate(doc) {
+  const types = Object.entries(doc.components.schemas)
+    .map(([name, schema]) => `/** @typedef {${typeOf(schema)}} ${name} */`);
+  const operations = [];
+  for (const [pathName, methods] of Object.entries(doc.paths)) {
+    for (const [method, op] of Object.entries(methods)) operations.push(operationFunction(pathName, method, op));
+  }
+
+  return `// src/lib/api.client.js
+// GENERATED by backend/scripts/generate-client.js from the /api/v1 OpenAPI document (${doc.info.version}) – do not edit.
+// Run \`npm run generate:client\` in backend/ after changing a schema in utils/validate.js or a route.
+
+const API_BASE_URL = process.env.API_BASE_URL || "http://localhost:5000";
+export const API_V1_URL = \`\${API_BASE_URL}${doc.servers[0].url}\`;
+
+// Non-2xx answer, read from the RFC 7807 problem body. \`code\` is stable (VALIDATION_ERROR, NOT_FOUND,
+// UPSTREAM_TIMEOUT, ...) and \`errors\` lists invalid fields; a failed fetch is status 0 / NETWORK_ERROR.
+export class ApiError extends Error {
+  /** @param {number} status @param {Problem | null} problem */
+  constructor(status, problem) {
+    super(problem?.detail || problem?.title || (status ? \`Request failed: \${status}\` : "Network error"));
+    this.name = "ApiError";
+    this.status = status;
+    this.code = problem?.code || (status ? \`HTTP_\${status}\` : "NETWORK_ERROR");
+    this.requestId = problem?.requestId ?? null;
+    this.errors = problem?.errors || [];
+    this.upstreamStatus = problem?.upstreamStatus ?? null;
+    this.problem = problem;
+  }
+}
+
+async function request(method, path, { body, query, signal } = {}) {
+  const params = Object.entries(query || {}).filter(([, v]) => v !== undefined && v !== null && v !== "");
+  const qs = new URLSearchParams(params.map(([k, v]) => [k, String(v)])).toString();
+  let resp;
+  try {
+    resp = await fetch(\`\${API_V1_URL}\${path}\${qs ? \`?\${qs}\` : ""}\`, {
+      method,
+      headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal,
+    });
+  } catch (e) {
+    if (e?.name === "AbortError") throw e;
+    throw new ApiError(0, null);
+  }
+  if (!resp.ok) throw new ApiError(resp.status, await resp.json().catch(() => null));
+  return resp.status === 204 ? null : resp.json();
+}
+
+/* ---------- Types (components.schemas) ---------- */
+${types.join("\n")}
+
+/* ---------- Operations ---------- */
+${operations.join("\n\n")}
+`;
+}
+
+const source = generate(openApiDocument());
+if (process.argv.includes("--check")) {
+  const current = fs.existsSync(OUT_FILE) ? fs.readFileSync(OUT_FILE, "utf8") : "";
+  if (current !== source) {
+    console.error(`${path.relative(process.cwd(), OUT_FILE)} is out of date; run npm run generate:client`);
+    process.exit(1);
+  }
+  console.log("API client is up to date");
+} else {
+  fs.writeFileSync(OUT_FILE, source);
+  console.log(`Wrote ${path.relative(process.cwd(), OUT_FILE)}`);
+}
@@ -4,6 +4,38 @@ dotenv.config();
 const config = {
   port: process.env.PORT || 5000,
   allowOrigin: process.env.ALLOW_ORIGIN || '*',
+  // JSON log lines at this level and above: debug | info | warn | error
+  logLevel: process.env.LOG_LEVEL || 'info',
+  // request body limit (JSON and CSV uploads), in MB
+  maxPayloadMb: Number(process.env.MAX_PAYLOAD_MB || 5),
+  // annual risk-free rates (decimal) used for Sharpe, by market currency
+  riskFreeRates: {
+    INR: Number(process.env.RISK_FREE_RATE_INR || 0.065),
+    USD: Number(process.env.RISK_FREE_RATE_USD || 0.045),
+  },
+  // FastAPI reports per-period (daily) expected returns; multiply by this to annualize (1 = already annual;
+  // payloads that would annualize past 500% are treated as the wrong unit, see services/quantum.service.js)
+  quantumReturnPeriods: Number(process.env.QUANTUM_RETURN_PERIODS || 252),
+  // upstream resilience (see services/quantum.client.js)
+  quantumMaxRetries: Number(process.env.QUANTUM_MAX_RETRIES || 2),
+  quantumRetryBaseMs: Number(process.env.QUANTUM_RETRY_BASE_MS || 250),
+  breakerFailureThreshold: Number(process.env.QUANTUM_BREAKER_THRESHOLD || 5),
+  breakerCooldownMs: Number(process.env.QUANTUM_BREAKER_COOLDOWN_MS || 30000),
+  // run history (JSON lines), relative to the backend working directory
+  runsFile: process.env.RUNS_FILE || 'data/runs.jsonl',
+  // optimize/rebalance result cache (0 disables)
+  cacheTtlMs: Number(process.env.CACHE_TTL_MS || 5 * 60 * 1000),
+  cacheMaxEntries: Number(process.env.CACHE_MAX_ENTRIES || 100),
+  // local QAOA statevector simulator (memory grows as 2^qubits)
+  qaoaMaxQubits: Number(process.env.QAOA_MAX_QUBITS || 18),
+  qaoaLayers: Number(process.env.QAOA_LAYERS || 2),
+  qaoaRestarts: Number(process.env.QAOA_RESTARTS || 2),
+  qaoaMaxIter: Number(process.env.QAOA_MAX_ITER || 80),
+  // dataset registry: <DATASET_DIR>/<ID>.csv price files; estimates use the last N daily returns (0 = all)
+  datasetDir: process.env.DATASET_DIR || 'data/prices',
+  datasetLookbackDays: Number(process.env.DATASET_LOOKBACK_DAYS || 0),
+  // asset metadata registry (sector, industry, market, ESG flags), relative to the backend working directory
+  assetMetadataFile: process.env.ASSET_METADATA_FILE || 'data/assets.json',
 };
 
 module.exports = { config };
@@ -1,6 +1,84 @@
-const logger = {
-  info: (...args) => console.log('[INFO]', ...args),
-  error: (...args) => console.error('[ERROR]', ...args),
-};
+// JSON-lines logger: one object per line { time, level, msg, ...fields } (debug/info to stdout, warn/error to stderr).
+// Child loggers carry fields (requestId, route, dataset, solver); the request's logger follows async work
+// through AsyncLocalStorage, so services log with currentLogger() and quantum.client forwards currentRequestId().
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { config } = require('./env');
 
-module.exports = { logger };
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// field names whose values are never written (API keys, bearer tokens, ...)
+const SECRET_KEY = /authorization|api[-_]?key|token|secret|password|cookie/i;
+const BEARER = /\b(Bearer\s+)[\w.~+/=-]+/gi;
+
+function minLevel() {
+  return LEVELS[String(process.env.LOG_LEVEL || config.logLevel).toLowerCase()] ?? LEVELS.info;
+}
+
+// configured secrets, masked wherever they appear in a message
+function secretValues() {
+  return [process.env.QUANTUM_API_KEY || config.quantumApiKey].filter(v => v && v.length >= 4);
+}
+
+function redactString(s) {
+  let out = s.replace(BEARER, '$1[REDACTED]');
+  for (const secret of secretValues()) out = out.split(secret).join('[REDACTED]');
+  return out;
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, type: value.type, status: value.status, stack: value.stack }, depth);
+  }
+  if (!value || typeof value !== 'object' || depth > 5) return value;
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (v === undefined) continue;
+    out[k] = SECRET_KEY.test(k) ? '[REDACTED]' : redact(v, depth + 1);
+  }
+  return out;
+}
+
+function createLogger(bindings = {}) {
+  const write = (level) => (msg, fields = {}) => {
+    if (LEVELS[level] < minLevel()) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg: redactString(String(msg)), ...redact({ ...bindings, ...fields }) });
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  };
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    child: (fields) => createLogger({ ...bindings, ...fields }),
+    bindings: () => ({ ...bindings }),
+  };
+}
+
+const logger = createLogger();
+
+// ---------------- request context ----------------
+const context = new AsyncLocalStorage();
+
+// Runs fn with `log` as the current logger (and its requestId as the current request id)
+function runWithLogger(log, fn) {
+  return context.run({ log }, fn);
+}
+
+function currentLogger() {
+  return context.getStore()?.log || logger;
+}
+
+function currentRequestId() {
+  return context.getStore()?.log.bindings().requestId;
+}
+
+// Adds fields (dataset, solver, ...) to the current request's logger, for everything logged after
+function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) store.log = store.log.child(fields);
+  return currentLogger();
+}
+
+module.exports = { logger, createLogger, runWithLogger, currentLogger, currentRequestId, addLogContext };
@@ -0,0 +1,27 @@
+// src/controllers/assets.controller.js
+const { AssetListQuerySchema } = require("../utils/validate");
+const { getAsset, listAssets } = require("../services/asset.service");
+const { typedError } = require("../utils/errors");
+
+// GET /api/assets?dataset=&sector=&esg=
+async function listAssetsHandler(req, res, next) {
+  try {
+    const filters = AssetListQuerySchema.parse(req.query);
+    res.json({ assets: listAssets(filters) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/assets/:id  (id, ticker or display name)
+async function getAssetHandler(req, res, next) {
+  try {
+    const asset = getAsset(req.params.id);
+    if (!asset) throw typedError("not_found", `Asset "${req.params.id}" not found`);
+    res.json(asset);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { listAssetsHandler, getAssetHandler };
@@ -1,29 +1,30 @@
-const { getAccuracy, getRiskReturn } = require("../services/compare.service");
+const { evaluateOutOfSample, getAccuracy } = require("../services/compare.service");
+const { CompareRequestSchema } = require("../utils/validate");
+const { logContext } = require("../middleware/request.logger");
 
-async function getAccuracyHandler(req, res) {
+// POST /api/compare
+// Body: { dataset?, sampler?, maxAssets?, riskLevel?, constraints?, include?, exclude?,
+//         trainDays?, testDays?, split?, seed? } -> both methods fit on the training window,
+//         scored on the held-out window (portfolio and per asset)
+async function compareHandler(req, res, next) {
   try {
-    const risk = String(req.query.risk || "medium");
-    const data = getAccuracy({ risk });
-    res.json(data);
+    const input = CompareRequestSchema.parse(req.body || {});
+    logContext(req, { dataset: input.dataset, sampler: input.sampler });
+    res.json(await evaluateOutOfSample(input));
   } catch (e) {
-    res.status(500).json({ error: e.message || "Internal error" });
+    next(e);
   }
 }
 
-async function getRiskReturnHandler(req, res) {
+// GET /api/compare/accuracy?risk=high&dataset=NIFTY50 – held-out hit rate per method
+async function getAccuracyHandler(req, res, next) {
   try {
-    const {
-      dataset = "nifty50",
-      maxAssets = 5,
-      assetNames = [],
-      weights = [],
-    } = req.body || {};
-    const count = Math.max(3, Math.min(12, Number(maxAssets) || 5));
-    const data = getRiskReturn({ dataset, count, assetNames, weights });
-    res.json(data);
+    const risk = String(req.query.risk || "medium");
+    const dataset = req.query.dataset ? String(req.query.dataset) : undefined;
+    res.json(await getAccuracy({ risk, dataset }));
   } catch (e) {
-    res.status(500).json({ error: e.message || "Internal error" });
+    next(e);
   }
 }
 
-module.exports = { getAccuracyHandler, getRiskReturnHandler };
+module.exports = { compareHandler, getAccuracyHandler };
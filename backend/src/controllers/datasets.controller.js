@@ -0,0 +1,41 @@
+// src/controllers/datasets.controller.js
+const { DatasetAssetsQuerySchema, DatasetUploadSchema } = require("../utils/validate");
+const { listDatasets, getDatasetAssets, addCustomDataset } = require("../services/dataset.service");
+const { typedError } = require("../utils/errors");
+
+// GET /api/datasets
+async function listDatasetsHandler(req, res, next) {
+  try {
+    res.json({ datasets: listDatasets() });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/datasets/:id/assets?lookback=
+// Universe with annualized expected return / volatility per asset over the lookback window
+async function getDatasetAssetsHandler(req, res, next) {
+  try {
+    const { lookback } = DatasetAssetsQuerySchema.parse(req.query);
+    const dataset = getDatasetAssets(req.params.id, { lookback });
+    if (!dataset) throw typedError("not_found", `Dataset "${req.params.id}" not found`);
+    res.json(dataset);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/datasets
+// JSON { name, label?, currency?, periodsPerYear?, csv? | prices?: [{ ticker, date, close }] },
+// or a text/csv body with ?name=&label=&currency=. 201 -> { dataset, warnings }
+async function createDatasetHandler(req, res, next) {
+  try {
+    const body = typeof req.body === "string" ? { ...req.query, csv: req.body } : req.body;
+    const input = DatasetUploadSchema.parse(body || {});
+    res.status(201).json(addCustomDataset(input));
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { listDatasetsHandler, getDatasetAssetsHandler, createDatasetHandler };
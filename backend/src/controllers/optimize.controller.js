@@ -1,25 +1,97 @@
 // src/controllers/optimize.controller.js
 const { OptimizeRequestSchema } = require("../utils/validate");
-const { callQuantumOptimizeJSON } = require("../services/quantum.service");
+const { datasetKey } = require("../services/dataset.service");
+const { resolveSolver, runSolver } = require("../services/solver.registry");
+const { createJob, getJob, cancelJob } = require("../services/jobs.service");
+const { recordRun } = require("../services/runs.service");
+const {
+  hashKey,
+  resultCache,
+  cacheStatusHeader,
+  isCacheable,
+} = require("../services/cache.service");
+const { typedError } = require("../utils/errors");
+const { logContext } = require("../middleware/request.logger");
+
+// Runs the resolved solver and stores the result in run history
+async function runOptimize(solver, payload, { signal } = {}) {
+  const startedAt = Date.now();
+  const result = await runSolver(solver, payload, { signal });
+  await recordRun({ kind: "optimize", input: payload, output: result, startedAt });
+  return result;
+}
+
+// Same request + solver => same answer (however the solver was picked; dataset aliases normalized).
+// FastAPI solvers key on the upstream body, so requests FastAPI can't tell apart share one call;
+// `objective` is the only Node-side input that still changes their answer (hybrid reweighting).
+function optimizeCacheKey(solver, payload) {
+  if (solver.upstreamBody) {
+    return hashKey("optimize", { solver: solver.id, objective: payload.objective, upstream: solver.upstreamBody(payload) });
+  }
+  const { method, solver: requested, ...request } = payload;
+  return hashKey("optimize", { ...request, solver: solver.id, dataset: datasetKey(payload.dataset) });
+}
+
+const wantsFresh = (req) => ["1", "true"].includes(String(req.query.fresh || "").toLowerCase());
 
 async function optimizeHandler(req, res, next) {
   try {
     const payload = OptimizeRequestSchema.parse(req.body);
-    const result = await callQuantumOptimizeJSON(payload);
-    res.json(result);
+    const solver = resolveSolver(payload);
+    logContext(req, { dataset: payload.dataset, solver: solver.id });
+    const cached = await resultCache.getOrCompute(
+      optimizeCacheKey(solver, payload),
+      () => runOptimize(solver, payload),
+      { fresh: wantsFresh(req), shouldStore: isCacheable }
+    );
+    res.setHeader("Cache-Status", cacheStatusHeader(cached));
+    res.json(cached.value);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/optimize/jobs – validate now, run in the background
+async function createOptimizeJobHandler(req, res, next) {
+  try {
+    const payload = OptimizeRequestSchema.parse(req.body);
+    const solver = resolveSolver(payload);
+    logContext(req, { dataset: payload.dataset, solver: solver.id });
+    const key = optimizeCacheKey(solver, payload);
+    const hit = wantsFresh(req) ? null : resultCache.get(key);
+    // jobs reuse finished results but don't join in-flight calls (each job can be cancelled on its own)
+    const job = createJob("optimize", async (signal) => {
+      if (hit) return hit.value;
+      const result = await runOptimize(solver, payload, { signal });
+      if (isCacheable(result)) resultCache.set(key, result);
+      return result;
+    });
+    res.status(202)
+      .location(`${req.baseUrl}/optimize/jobs/${job.id}`)
+      .json(job);
   } catch (err) {
-    if (err?.issues) {
-      // zod validation error
-      return res.status(400).json({
-        error: "Invalid request",
-        details: err.issues.map(i => i.message),
-      });
-    }
-    const status = err?.type === "upstream_timeout" ? 504
-                : err?.type === "upstream_unavailable" ? 502
-                : 500;
-    res.status(status).json({ error: err.message || "Internal error" });
+    next(err);
   }
 }
 
-module.exports = { optimizeHandler };
+// GET /api/optimize/jobs/:id
+async function getOptimizeJobHandler(req, res, next) {
+  const job = getJob(req.params.id);
+  if (!job) return next(typedError("not_found", "Job not found"));
+  res.json(job);
+}
+
+// DELETE /api/optimize/jobs/:id – aborts the upstream call if still running
+async function cancelOptimizeJobHandler(req, res, next) {
+  const job = cancelJob(req.params.id);
+  if (!job) return next(typedError("not_found", "Job not found"));
+  if (job.status !== "cancelled") return next(typedError("conflict", `Job already ${job.status}`));
+  res.json(job);
+}
+
+module.exports = {
+  optimizeHandler,
+  createOptimizeJobHandler,
+  getOptimizeJobHandler,
+  cancelOptimizeJobHandler,
+};
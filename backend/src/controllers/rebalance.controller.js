@@ -1,52 +1,47 @@
 // src/controllers/rebalance.controller.js
-const { z } = require("zod");
-
-// ✅ Validation schema for request
-const RebalanceRequestSchema = z.object({
-  dataset_option: z.string(),
-  future_dataset_option: z.string(),
-  budget: z.number(),
-  risk_factor: z.string(),
-  total_investment: z.number()
-});
-
-// Call Quantum FastAPI /rebalance (real server)
-async function callQuantumRebalance(payload) {
-  const url = (process.env.QUANTUM_API_URL || "http://127.0.0.1:8000") + "/rebalance";
-
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    const err = new Error(`Quantum API error ${resp.status}: ${text}`);
-    err.type = resp.status === 504 ? "upstream_timeout" : "upstream_unavailable";
-    throw err;
+const { RebalanceInputSchema } = require("../utils/validate");
+const { callQuantumRebalanceJSON, toFastApiRebalanceBody } = require("../services/quantum.service");
+const { datasetKey, isBuiltinDataset } = require("../services/dataset.service");
+const { recordRun } = require("../services/runs.service");
+const {
+  hashKey,
+  resultCache,
+  cacheStatusHeader,
+  isCacheable,
+} = require("../services/cache.service");
+const { logContext } = require("../middleware/request.logger");
+
+// Identical requests share one call / one cached answer: built-in datasets key on the FastAPI body
+// plus the Node-only chart inputs, uploaded ones (solved locally) on the request with aliases normalized
+function rebalanceCacheKey(payload) {
+  if (!isBuiltinDataset(payload.dataset)) {
+    return hashKey("rebalance", { ...payload, dataset: datasetKey(payload.dataset) });
   }
-
-  return resp.json();
+  const { timeHorizon, seed } = payload;
+  return hashKey("rebalance", { upstream: toFastApiRebalanceBody(payload), timeHorizon, seed });
 }
 
-async function rebalanceHandler(req, res) {
+// POST /api/rebalance
+// Body: { dataset, futureDataset?, budget, risk, totalInvestment, timeHorizon?, seed? }
+// (the old snake_case FastAPI body { dataset_option, budget, risk_factor, total_investment } is still accepted)
+async function rebalanceHandler(req, res, next) {
   try {
-    const payload = RebalanceRequestSchema.parse(req.body);
-
-    // 🔗 Call real FastAPI backend
-    const result = await callQuantumRebalance(payload);
-
-    res.json(result);
+    const payload = RebalanceInputSchema.parse(req.body);
+    logContext(req, { dataset: payload.dataset });
+    const fresh = ["1", "true"].includes(String(req.query.fresh || "").toLowerCase());
+
+    const key = rebalanceCacheKey(payload);
+    const cached = await resultCache.getOrCompute(key, async () => {
+      const startedAt = Date.now();
+      const result = await callQuantumRebalanceJSON(payload);
+      await recordRun({ kind: "rebalance", input: payload, output: result, startedAt });
+      return result;
+    }, { fresh, shouldStore: isCacheable });
+
+    res.setHeader("Cache-Status", cacheStatusHeader(cached));
+    res.json(cached.value);
   } catch (err) {
-    console.error("Rebalance error:", err);
-    if (err?.issues) {
-      return res.status(400).json({
-        error: "Invalid request",
-        details: err.issues.map((i) => i.message),
-      });
-    }
-    res.status(500).json({ error: err.message || "Internal server error" });
+    next(err);
   }
 }
 
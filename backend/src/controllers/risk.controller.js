@@ -0,0 +1,20 @@
+// src/controllers/risk.controller.js
+const { VarRequestSchema } = require("../utils/validate");
+const { computeVaR } = require("../services/risk.service");
+const { logContext } = require("../middleware/request.logger");
+
+// POST /api/risk/var
+// Body: { dataset, alloc: [{ name, value (%) }], initialEquity, timeHorizon (days), threshold (%),
+//         confidence?, lookback?, simulations?, degreesOfFreedom?, bins?, seed? }
+// -> VaR / CVaR per method and confidence, ruin-line breach probabilities, Monte Carlo P&L histogram
+async function varHandler(req, res, next) {
+  try {
+    const input = VarRequestSchema.parse(req.body || {});
+    logContext(req, { dataset: input.dataset });
+    res.json(computeVaR(input));
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { varHandler };
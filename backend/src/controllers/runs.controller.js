@@ -0,0 +1,38 @@
+// src/controllers/runs.controller.js
+const { RunsQuerySchema } = require("../utils/validate");
+const { listRuns, getRun, deleteRun } = require("../services/runs.service");
+const { typedError } = require("../utils/errors");
+
+// GET /api/runs?dataset=&method=&kind=&from=&to=&limit=&offset=
+async function listRunsHandler(req, res, next) {
+  try {
+    const query = RunsQuerySchema.parse(req.query);
+    res.json(await listRuns(query));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/runs/:runId
+async function getRunHandler(req, res, next) {
+  try {
+    const run = await getRun(req.params.runId);
+    if (!run) throw typedError("not_found", "Run not found");
+    res.json(run);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/runs/:runId
+async function deleteRunHandler(req, res, next) {
+  try {
+    const removed = await deleteRun(req.params.runId);
+    if (!removed) throw typedError("not_found", "Run not found");
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { listRunsHandler, getRunHandler, deleteRunHandler };
@@ -0,0 +1,9 @@
+// src/controllers/solvers.controller.js
+const { listSolvers } = require("../services/solver.registry");
+
+// GET /api/solvers
+async function listSolversHandler(req, res) {
+  res.json({ solvers: listSolvers() });
+}
+
+module.exports = { listSolversHandler };
@@ -1,29 +1,32 @@
-const { logger } = require('../config/logger');
+const { currentLogger } = require('../config/logger');
+const { classifyError, typedError } = require('../utils/errors');
 
+// RFC 7807 problem details: { type, title, status, detail, instance, code, requestId, errors?, upstreamStatus? }
 function errorHandler(err, req, res, _next) {
   const requestId = res.getHeader('x-request-id') || 'n/a';
-  logger.error(`[${requestId}]`, err.message || err);
+  const { title, status, detail, code, errors, upstreamStatus } = classifyError(err);
+  if (status >= 500) currentLogger().error('request error', { code, upstreamStatus, err });
+  else currentLogger().info('request rejected', { code, detail });
 
-  // validation errors (zod)
-  if (err.type === 'validation') {
-    return res.status(422).json({ error: 'VALIDATION_ERROR', details: err.details || err.message });
-  }
-
-  // explicit 400s
-  if (err.type === 'bad_request') {
-    return res.status(400).json({ error: 'BAD_REQUEST', details: err.message });
-  }
-
-  // upstream specific
-  if (err.type === 'upstream_timeout') {
-    return res.status(504).json({ error: 'UPSTREAM_TIMEOUT', details: 'Quantum service timed out' });
-  }
-  if (err.type === 'upstream_unavailable') {
-    return res.status(503).json({ error: 'UPSTREAM_UNAVAILABLE', details: 'Quantum service unavailable' });
-  }
+  if (res.headersSent) return res.end();
+  res.status(status)
+    .type('application/problem+json')
+    .json({
+      type: `urn:problem-type:${code.toLowerCase().replace(/_/g, '-')}`,
+      title,
+      status,
+      detail,
+      instance: req.originalUrl,
+      code,
+      requestId,
+      errors,          // field-level: [{ path?, message, code? }]
+      upstreamStatus,  // HTTP status the quantum service answered with
+    });
+}
 
-  // fallback
-  return res.status(500).json({ error: 'INTERNAL_ERROR', details: 'Something went wrong' });
+// Unmatched /api routes
+function notFoundHandler(req, _res, next) {
+  next(typedError('not_found', `No route for ${req.method} ${req.originalUrl}`));
 }
 
-module.exports = { errorHandler };
+module.exports = { errorHandler, notFoundHandler };
@@ -1,19 +1,32 @@
-const { logger } = require('../config/logger');
 const crypto = require('node:crypto');
+const { logger, runWithLogger, addLogContext } = require('../config/logger');
+
+// a caller-supplied id is kept (so a proxy or the frontend can correlate); anything odd gets a fresh one
+const VALID_ID = /^[\w.:-]{1,128}$/;
 
 function requestLogger(req, res, next) {
-  const id = crypto.randomUUID();
+  const incoming = req.get('x-request-id');
+  const id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
   res.setHeader('x-request-id', id);
   const start = Date.now();
+  const log = logger.child({ requestId: id, method: req.method, path: req.originalUrl });
 
-  logger.info(`[${id}] -> ${req.method} ${req.originalUrl}`);
-
+  log.info('request started');
   res.on('finish', () => {
-    const ms = Date.now() - start;
-    logger.info(`[${id}] <- ${res.statusCode} (${ms}ms)`);
+    const fields = { ...res.locals.logContext, status: res.statusCode, durationMs: Date.now() - start };
+    if (res.statusCode >= 500) log.warn('request failed', fields);
+    else log.info('request finished', fields);
   });
 
-  next();
+  runWithLogger(log, next);
+}
+
+// Tags the rest of the request's logs (including upstream calls) with the matched route and `fields`,
+// e.g. logContext(req, { dataset, solver }) once the body is validated
+function logContext(req, fields = {}) {
+  const route = req.route ? `${req.baseUrl}${req.route.path === "/" ? "" : req.route.path}` : undefined;
+  req.res.locals.logContext = { ...req.res.locals.logContext, route, ...fields };
+  return addLogContext({ route, ...fields });
 }
 
-module.exports = { requestLogger };
+module.exports = { requestLogger, logContext };
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { openApiDocument } = require('../services/openapi.service');
+
+// Every API route, mounted at /api/v1 (the versioned contract) and at /api (unversioned, for older clients)
+router.use(require('./health.routes'));
+router.use(require('./quantum.health.routes'));
+router.use(require('./optimize.routes'));
+router.use(require('./demo.routes'));
+router.use('/compare', require('./compare.routes'));
+router.use('/rebalance', require('./rebalance.routes'));
+router.use('/runs', require('./runs.routes'));
+router.use('/solvers', require('./solvers.routes'));
+router.use('/datasets', require('./datasets.routes'));
+router.use('/assets', require('./assets.routes'));
+router.use('/risk', require('./risk.routes'));
+
+// OpenAPI 3.1 document generated from the zod schemas in utils/validate.js
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument());
+});
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { listAssetsHandler, getAssetHandler } = require("../controllers/assets.controller");
+
+router.get("/", listAssetsHandler);     // GET /api/assets?dataset=NIFTY50&sector=Financials
+router.get("/:id", getAssetHandler);    // GET /api/assets/INFY (id, ticker or name)
+
+module.exports = router;
@@ -1,11 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const {
+  compareHandler,
   getAccuracyHandler,
-  getRiskReturnHandler,
 } = require("../controllers/compare.controller");
 
+router.post("/", compareHandler);                  // POST /api/compare – out-of-sample evaluation
 router.get("/accuracy", getAccuracyHandler);       // GET /api/compare/accuracy?risk=high
-router.post("/risk-return", getRiskReturnHandler); // POST /api/compare/risk-return
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listDatasetsHandler,
+  getDatasetAssetsHandler,
+  createDatasetHandler,
+} = require("../controllers/datasets.controller");
+const { config } = require("../config/env");
+
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: `${config.maxPayloadMb}mb` });
+
+router.get("/", listDatasetsHandler);                // GET /api/datasets
+router.post("/", csvBody, createDatasetHandler);     // POST /api/datasets (JSON or text/csv)
+router.get("/:id/assets", getDatasetAssetsHandler);  // GET /api/datasets/NIFTY50/assets?lookback=252
+
+module.exports = router;
@@ -6,6 +6,7 @@ const {
   qaoaBitsController,
   allocationController,
   evolutionController,
+  stressScenariosController,
   stressController,
 } = require('../controllers/demo.controller');
 
@@ -16,6 +17,7 @@ router.post('/frontier', frontierController);      // mirrors fetchEfficientFron
 router.post('/qaoa/bits', qaoaBitsController);     // mirrors runQAOASelection()
 router.post('/allocation', allocationController);  // mirrors fetchAllocation()
 router.post('/evolution', evolutionController);    // mirrors backtestEvolution()
+router.get('/stress/scenarios', stressScenariosController); // mirrors fetchStressScenarios()
 router.post('/stress', stressController);          // mirrors stressSim()
 
 module.exports = router;
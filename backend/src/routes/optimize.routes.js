@@ -2,8 +2,16 @@ const express = require("express");
 const router = express.Router();
 
 // IMPORTANT: path and name must match exactly
-const { optimizeHandler } = require("../controllers/optimize.controller");
+const {
+  optimizeHandler,
+  createOptimizeJobHandler,
+  getOptimizeJobHandler,
+  cancelOptimizeJobHandler,
+} = require("../controllers/optimize.controller");
 
 router.post("/optimize", optimizeHandler);
+router.post("/optimize/jobs", createOptimizeJobHandler);         // -> 202 { id, status }
+router.get("/optimize/jobs/:id", getOptimizeJobHandler);         // poll status/result
+router.delete("/optimize/jobs/:id", cancelOptimizeJobHandler);   // cancel (aborts upstream)
 
 module.exports = router;
@@ -1,36 +1,28 @@
 const express = require('express');
 const router = express.Router();
 
-const { config } = require('../config/env');
-
-// tiny fetch with timeout
-async function httpFetch(url, { timeoutMs = 5000 } = {}) {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort('timeout'), timeoutMs);
-  try {
-    const res = await fetch(url, { signal: controller.signal });
-    return res;
-  } finally {
-    clearTimeout(t);
-  }
-}
+const { isMockMode, quantumBaseUrl, requestQuantum, breakerState } = require('../services/quantum.client');
 
 router.get('/health/quantum', async (req, res) => {
   // If mock mode, report healthy so UI doesn’t block
-  const mock = String(process.env.MOCK_MODE || config.mockMode).toLowerCase() === 'true';
-  if (mock) {
+  if (isMockMode()) {
     return res.json({ quantumHealthy: true, mode: 'mock', time: new Date().toISOString() });
   }
 
-  const base = (process.env.QUANTUM_BASE_URL || config.quantumBaseUrl || '').replace(/\/+$/, '');
-  if (!base) return res.status(503).json({ quantumHealthy: false, reason: 'QUANTUM_BASE_URL not set' });
+  if (!quantumBaseUrl()) return res.status(503).json({ quantumHealthy: false, reason: 'QUANTUM_BASE_URL not set' });
 
+  // probe bypasses an open breaker, and a healthy answer closes it again
   try {
-    const r = await httpFetch(`${base}/health`, { timeoutMs: 5000 });
-    if (r.ok) return res.json({ quantumHealthy: true, mode: 'live', code: r.status });
-    return res.status(503).json({ quantumHealthy: false, mode: 'live', code: r.status });
+    const r = await requestQuantum('/health', { probe: true, timeoutMs: 5000 });
+    return res.json({ quantumHealthy: true, mode: 'live', code: r.status, breaker: breakerState() });
   } catch (e) {
-    return res.status(503).json({ quantumHealthy: false, mode: 'live', reason: 'timeout/unreachable' });
+    return res.status(503).json({
+      quantumHealthy: false,
+      mode: 'live',
+      code: e.status,
+      reason: e.status ? undefined : 'timeout/unreachable',
+      breaker: breakerState(),
+    });
   }
 });
 
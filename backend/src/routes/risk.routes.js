@@ -0,0 +1,7 @@
+const express = require("express");
+const router = express.Router();
+const { varHandler } = require("../controllers/risk.controller");
+
+router.post("/var", varHandler);  // POST /api/risk/var
+
+module.exports = router;
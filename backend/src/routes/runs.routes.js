@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listRunsHandler,
+  getRunHandler,
+  deleteRunHandler,
+} = require("../controllers/runs.controller");
+
+router.get("/", listRunsHandler);            // GET /api/runs?dataset=NIFTY50&method=classical&from=2025-01-01
+router.get("/:runId", getRunHandler);        // GET /api/runs/:runId
+router.delete("/:runId", deleteRunHandler);  // DELETE /api/runs/:runId
+
+module.exports = router;
@@ -0,0 +1,7 @@
+const express = require("express");
+const router = express.Router();
+const { listSolversHandler } = require("../controllers/solvers.controller");
+
+router.get("/", listSolversHandler);  // GET /api/solvers
+
+module.exports = router;
@@ -5,35 +5,28 @@ const compression = require('compression');
 
 const { config } = require('./config/env');
 const { logger } = require('./config/logger');
-const healthRouter = require('./routes/health.routes');
 
 const app = express();
 
-// middleware
-app.use(helmet());
-app.use(cors({ origin: config.allowOrigin }));
-app.use(express.json());
-app.use(compression());
+// middleware (request ids first, so body-parser errors carry one too)
 const { requestLogger } = require('./middleware/request.logger');
 app.use(requestLogger);
+app.use(helmet());
+app.use(cors({ origin: config.allowOrigin, exposedHeaders: ['Cache-Status', 'x-request-id', 'X-Seed'] }));
+app.use(express.json({ limit: `${config.maxPayloadMb}mb` }));
+app.use(compression());
 
-// routes
-app.use('/api', healthRouter);
-const optimizeRoutes = require("./routes/optimize.routes");
-// ...
-app.use("/api", optimizeRoutes);
-
-const quantumHealthRouter = require('./routes/quantum.health.routes');
-app.use('/api', quantumHealthRouter);
-const demoRouter = require('./routes/demo.routes');
-app.use('/api', demoRouter);
-const compareRoutes = require("./routes/compare.routes");
+// routes: /api/v1 is the versioned contract (GET /api/v1/openapi.json); /api serves the same routes unversioned
+const apiRouter = require('./routes/api.routes');
+app.use('/api/v1', apiRouter);
+app.use('/api', apiRouter);
 
-// ...
-app.use("/api/compare", compareRoutes);
-app.use('/api/rebalance', require('./routes/rebalance.routes'));
+// errors: every route ends here with an RFC 7807 problem+json body
+const { errorHandler, notFoundHandler } = require('./middleware/error.handler');
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
 
 // start server
 app.listen(config.port, () => {
-  logger.info(`Backend running at http://localhost:${config.port}`);
+  logger.info('backend listening', { url: `http://localhost:${config.port}` });
 });
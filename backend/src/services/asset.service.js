@@ -0,0 +1,98 @@
+// src/services/asset.service.js
+// Asset metadata registry: ticker, display name, sector / industry (GICS-style), market, currency
+// and ESG flags, loaded once from <ASSET_METADATA_FILE> (JSON { assets: [...] }).
+// Assets are looked up by id, ticker or display name (case-insensitive); price datasets name
+// assets by display name. Names not in the registry (e.g. uploaded datasets) are "Unclassified".
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config/env");
+
+// ESG flags in use: "tobacco", "fossil_fuels", "proof_of_work"
+const UNCLASSIFIED = "Unclassified";
+
+let registry = null; // { assets: [...], byKey: Map(lowercase id | ticker | name -> asset) }
+
+function metadataFile() {
+  return path.resolve(process.env.ASSET_METADATA_FILE || config.assetMetadataFile);
+}
+
+function loadRegistry() {
+  if (registry) return registry;
+  const file = metadataFile();
+  const assets = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")).assets || [] : [];
+  const byKey = new Map();
+  for (const a of assets) {
+    for (const key of [a.id, a.ticker, a.name]) {
+      if (key && !byKey.has(String(key).toLowerCase())) byKey.set(String(key).toLowerCase(), a);
+    }
+  }
+  registry = { assets, byKey };
+  return registry;
+}
+
+const copy = (a) => ({ ...a, esg: [...(a.esg || [])], datasets: [...(a.datasets || [])] });
+
+// id | ticker | name -> metadata, or null when unknown
+function getAsset(key) {
+  const hit = loadRegistry().byKey.get(String(key || "").trim().toLowerCase());
+  return hit ? copy(hit) : null;
+}
+
+// Metadata for any asset name; unknown names get an unclassified placeholder
+function describeAsset(name) {
+  return getAsset(name) || {
+    id: name,
+    name,
+    ticker: null,
+    sector: UNCLASSIFIED,
+    industry: null,
+    market: null,
+    currency: null,
+    esg: [],
+    datasets: [],
+  };
+}
+
+// filters: { dataset?, sector?, esg? (true = flagged only, false = unflagged only) }
+function listAssets({ dataset, sector, esg } = {}) {
+  const lower = (s) => String(s || "").toLowerCase();
+  return loadRegistry().assets
+    .filter(a => !dataset || (a.datasets || []).some(d => lower(d) === lower(dataset)))
+    .filter(a => !sector || lower(a.sector) === lower(sector))
+    .filter(a => esg === undefined || (a.esg || []).length > 0 === esg)
+    .map(copy);
+}
+
+function sectorOf(name) {
+  return describeAsset(name).sector;
+}
+
+function industryOf(name) {
+  return describeAsset(name).industry;
+}
+
+// Names (of those given) carrying any ESG flag
+function esgFlaggedAmong(names) {
+  return names.filter(n => describeAsset(n).esg.length > 0);
+}
+
+// Weight per sector for { name, weight } rows, largest first
+function sectorExposure(rows) {
+  const bySector = new Map();
+  for (const { name, weight } of rows) {
+    const sector = sectorOf(name);
+    bySector.set(sector, (bySector.get(sector) || 0) + (Number(weight) || 0));
+  }
+  return [...bySector].map(([sector, weight]) => ({ sector, weight })).sort((a, b) => b.weight - a.weight);
+}
+
+module.exports = {
+  UNCLASSIFIED,
+  getAsset,
+  describeAsset,
+  listAssets,
+  sectorOf,
+  industryOf,
+  esgFlaggedAmong,
+  sectorExposure,
+};
@@ -0,0 +1,245 @@
+// src/services/backtest.service.js
+// Walk-forward backtest over a dataset's daily closes. At every rebalance date each method is
+// re-optimized on the trailing `lookback` days only (no look-ahead), trades at that close pay
+// commission + slippage on the traded notional, and holdings drift with prices in between.
+//   classical: Markowitz selection and weights (runClassicalOptimize)
+//   quantum:   QUBO selection (annealing or the QAOA simulator), equal weights as the QUBO scores them
+//   hybrid:    the same QUBO selection, Markowitz weights
+const { getPriceHistory, getCurrency, getRiskFreeRate } = require("./dataset.service");
+const { runClassicalOptimize } = require("./classical.service");
+const { runAnnealingQuboOptimize } = require("./qubo.service");
+const { runQaoaSimOptimize } = require("./qaoa.service");
+const { simpleReturns, annualizedMoments } = require("../utils/prices");
+const {
+  portfolioReturn,
+  portfolioVolatility,
+  sharpeRatio,
+  subMatrix,
+} = require("../utils/portfolio.math");
+const { nameSeed } = require("../utils/random");
+const { typedError } = require("../utils/errors");
+
+const REBALANCES_PER_YEAR = { daily: null, weekly: 52, monthly: 12, quarterly: 4 };
+const METHOD_LABELS = { classical: "Classical", quantum: "Quantum", hybrid: "Hybrid" };
+const BACKTEST_QAOA = { p: 1, restarts: 1, maxIter: 30 }; // light settings: one simulation per rebalance
+// Solves per request, counted in annealing rebalances (a QAOA rebalance costs about two). Every rebalance
+// runs inline on the request, so longer tests need a lower frequency or a shorter window.
+const MAX_REBALANCE_WORK = 60;
+const SAMPLER_COST = { annealing: 1, qaoa: 2 };
+
+// Rebalance every `step` rows (a year is periodsPerYear rows)
+function rebalanceStep(freq, periodsPerYear) {
+  const perYear = REBALANCES_PER_YEAR[freq];
+  return perYear ? Math.max(1, Math.round(periodsPerYear / perYear)) : 1;
+}
+
+// Row range [from, to] to simulate: needs `lookback` returns before `from`
+function backtestRange(history, { lookback, start, end, timeHorizon }) {
+  const { dates } = history;
+  let to = dates.length - 1;
+  if (end) while (to > 0 && dates[to] > end) to--;
+  let from = lookback;
+  if (start) {
+    while (from < dates.length && dates[from] < start) from++;
+  } else if (timeHorizon) {
+    from = Math.max(lookback, to - timeHorizon);
+  }
+  if (from >= to) {
+    throw typedError(
+      "bad_request",
+      `Not enough history: ${history.dataset} has ${dates[0]}..${dates[dates.length - 1]}, ` +
+      `and the first rebalance needs ${lookback} prior days`
+    );
+  }
+  return { from, to };
+}
+
+// Rejects tests whose rebalances would exceed MAX_REBALANCE_WORK
+function checkRebalanceWork(input, { from, to }, step) {
+  const rebalances = Math.ceil((to - from) / step);
+  if (rebalances * SAMPLER_COST[input.sampler] > MAX_REBALANCE_WORK) {
+    throw typedError(
+      "bad_request",
+      `A ${input.freq} ${input.sampler} backtest over ${to - from} days needs ${rebalances} rebalances; ` +
+      `at most ${Math.floor(MAX_REBALANCE_WORK / SAMPLER_COST[input.sampler])} are allowed (use a lower freq, or start / timeHorizon)`
+    );
+  }
+}
+
+// Estimates from rows (t - lookback)..t, in the shape prepareSelection expects
+function windowStats(history, t, lookback) {
+  const { mu, cov } = annualizedMoments(
+    simpleReturns(history.closes.slice(t - lookback, t + 1)),
+    history.periodsPerYear
+  );
+  return { dataset: history.dataset, source: history.source, assets: history.tickers, mu, cov };
+}
+
+// The "quantum" portfolio wherever methods are scored on prices (backtest, compare): the QUBO
+// selection of a local solver result at equal weights, with the training-window estimates of that basket
+function quantumPortfolio(fit, stats, riskFreeRate) {
+  const selected = fit.diagnostics.selection;
+  const idx = selected.map(name => stats.assets.indexOf(name));
+  const weights = idx.map(() => 1 / idx.length);
+  const expectedReturn = portfolioReturn(weights, idx.map(i => stats.mu[i]));
+  const risk = portfolioVolatility(weights, subMatrix(stats.cov, idx));
+  return { selected, weights, expectedReturn, risk, sharpe: sharpeRatio(expectedReturn, risk, riskFreeRate) };
+}
+
+// Target weights (aligned with history.tickers) for every method at row t;
+// the sampler runs on seed + t so each rebalance draws its own stream
+async function targetWeights(input, history, t, methods, seed) {
+  const stats = windowStats(history, t, input.lookback);
+  const modeA = {
+    dataset: history.dataset,
+    maxAssets: input.maxAssets,
+    riskLevel: input.riskLevel,
+    constraints: input.constraints,
+    include: input.include,
+    exclude: input.exclude,
+    qaoaParams: BACKTEST_QAOA,
+  };
+  const vector = (names, weights) => {
+    const w = history.tickers.map(() => 0);
+    names.forEach((n, i) => { w[history.tickers.indexOf(n)] = weights[i]; });
+    return w;
+  };
+
+  const targets = {};
+  const classical = await runClassicalOptimize(modeA, { stats });
+  targets.classical = vector(classical.selected, classical.weights);
+
+  const opts = { stats, seed: (seed + t) >>> 0 };
+  const picked = input.sampler === "qaoa"
+    ? await runQaoaSimOptimize(modeA, opts)
+    : await runAnnealingQuboOptimize(modeA, opts);
+  const quantum = quantumPortfolio(picked, stats);
+  targets.quantum = vector(quantum.selected, quantum.weights);
+  if (methods.includes("hybrid")) targets.hybrid = vector(picked.selected, picked.weights);
+  return targets;
+}
+
+// input: BacktestRequestSchema output
+async function runBacktest(input) {
+  const history = getPriceHistory(input.dataset);
+  const { dates, closes, tickers, periodsPerYear } = history;
+  const { from, to } = backtestRange(history, input);
+  const step = rebalanceStep(input.freq, periodsPerYear);
+  checkRebalanceWork(input, { from, to }, step);
+  const methods = ["classical", "quantum", ...(input.hybrid ? ["hybrid"] : [])];
+  const commission = input.costBps / 10000;
+  const slippage = input.slippageBps / 10000;
+  const seed = input.seed ?? nameSeed(`${history.dataset}:backtest`);
+
+  // per method: current value held in each asset, equity curve, rebalance log
+  const books = Object.fromEntries(methods.map(m => [m, {
+    values: tickers.map(() => 0),
+    cash: input.initialEquity,
+    equity: [],
+    rebalances: [],
+    costs: { commission: 0, slippage: 0 },
+  }]));
+
+  for (let t = from; t <= to; t++) {
+    if (t > from) {
+      for (const m of methods) {
+        books[m].values = books[m].values.map((v, i) => v * (closes[t][i] / closes[t - 1][i]));
+      }
+    }
+
+    if ((t - from) % step === 0 && t < to) {
+      const targets = await targetWeights(input, history, t, methods, seed);
+      for (const m of methods) {
+        const book = books[m];
+        const equity = book.cash + book.values.reduce((s, v) => s + v, 0);
+        const traded = targets[m].reduce((s, w, i) => s + Math.abs(w * equity - book.values[i]), 0);
+        const fee = traded * commission;
+        const impact = traded * slippage;
+        const after = equity - fee - impact;
+        book.values = targets[m].map(w => w * after);
+        book.cash = 0;
+        book.costs.commission += fee;
+        book.costs.slippage += impact;
+        book.rebalances.push({
+          date: dates[t],
+          turnover: traded / (2 * equity), // one-way fraction of the book
+          cost: fee + impact,
+          weights: tickers
+            .map((name, i) => ({ name, weight: targets[m][i] }))
+            .filter(w => w.weight > 1e-6)
+            .sort((a, b) => b.weight - a.weight),
+        });
+      }
+    }
+
+    for (const m of methods) {
+      const book = books[m];
+      book.equity.push({ date: dates[t], value: book.cash + book.values.reduce((s, v) => s + v, 0) });
+    }
+  }
+
+  const riskFreeRate = getRiskFreeRate(history.dataset);
+  return {
+    dataset: history.dataset,
+    currency: getCurrency(history.dataset),
+    priceSource: history.source,
+    freq: input.freq,
+    sampler: input.sampler,
+    seed,
+    lookback: input.lookback,
+    costBps: input.costBps,
+    slippageBps: input.slippageBps,
+    initialEquity: input.initialEquity,
+    start: dates[from],
+    end: dates[to],
+    methods: methods.map(m => {
+      const book = books[m];
+      const turnovers = book.rebalances.map(r => r.turnover);
+      return {
+        method: m,
+        label: METHOD_LABELS[m],
+        finalEquity: book.equity[book.equity.length - 1].value,
+        metrics: performance(book.equity.map(e => e.value), periodsPerYear, riskFreeRate),
+        turnover: {
+          total: turnovers.reduce((s, x) => s + x, 0),
+          average: turnovers.length ? turnovers.reduce((s, x) => s + x, 0) / turnovers.length : 0,
+        },
+        costs: book.costs,
+        rebalances: book.rebalances,
+        equity: book.equity,
+      };
+    }),
+    // one row per date for charting: { date, Classical, Quantum, Hybrid? }
+    curve: dates.slice(from, to + 1).map((date, k) => Object.fromEntries([
+      ["date", date],
+      ...methods.map(m => [METHOD_LABELS[m], Math.round(books[m].equity[k].value)]),
+    ])),
+  };
+}
+
+// Annualized figures from a daily equity series
+function performance(values, periodsPerYear, riskFreeRate) {
+  const rets = values.slice(1).map((v, i) => v / values[i] - 1);
+  const n = rets.length || 1;
+  const mean = rets.reduce((s, r) => s + r, 0) / n;
+  const variance = rets.reduce((s, r) => s + (r - mean) ** 2, 0) / Math.max(1, n - 1);
+  const totalReturn = values[values.length - 1] / values[0] - 1;
+  const annualizedReturn = Math.pow(1 + totalReturn, periodsPerYear / n) - 1;
+  const volatility = Math.sqrt(variance * periodsPerYear);
+
+  let peak = values[0];
+  let maxDrawdown = 0;
+  for (const v of values) {
+    peak = Math.max(peak, v);
+    maxDrawdown = Math.max(maxDrawdown, 1 - v / peak);
+  }
+  return {
+    totalReturn,
+    annualizedReturn,
+    volatility,
+    sharpe: sharpeRatio(annualizedReturn, volatility, riskFreeRate),
+    maxDrawdown,
+  };
+}
+
+module.exports = { runBacktest, windowStats, quantumPortfolio, performance };
@@ -0,0 +1,100 @@
+// src/services/cache.service.js
+// In-memory LRU + TTL cache for optimize/rebalance results, with coalescing of
+// concurrent identical requests (they all await the same upstream call).
+const crypto = require("node:crypto");
+const { config } = require("../config/env");
+
+const CACHE_NAME = "quantum-portfolio";
+
+// JSON with sorted keys and undefined dropped, so equal payloads hash equally
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .filter(k => value[k] !== undefined)
+      .reduce((o, k) => { o[k] = canonicalize(value[k]); return o; }, {});
+  }
+  return value;
+}
+
+function hashKey(kind, payload) {
+  const json = JSON.stringify(canonicalize(payload));
+  return `${kind}:${crypto.createHash("sha256").update(json).digest("hex")}`;
+}
+
+function createResultCache({ ttlMs, maxEntries } = {}) {
+  const ttl = () => Number(ttlMs ?? (process.env.CACHE_TTL_MS || config.cacheTtlMs));
+  const max = () => Number(maxEntries ?? (process.env.CACHE_MAX_ENTRIES || config.cacheMaxEntries));
+  const entries = new Map();   // key -> { value, expiresAt } (Map order = LRU order)
+  const inFlight = new Map();  // key -> Promise
+
+  function get(key) {
+    const e = entries.get(key);
+    if (!e) return null;
+    if (e.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    entries.delete(key); // bump to most recently used
+    entries.set(key, e);
+    return e;
+  }
+
+  function set(key, value) {
+    const limit = max();
+    if (!(limit > 0) || !(ttl() > 0)) return false;
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttl() });
+    while (entries.size > limit) entries.delete(entries.keys().next().value);
+    return true;
+  }
+
+  // status: "hit" | "miss" | "collapsed" (joined an in-flight call) | "bypass" (?fresh=1)
+  // shouldStore(value) lets callers keep degraded answers (fallbacks) out of the cache
+  async function getOrCompute(key, compute, { fresh = false, shouldStore = () => true } = {}) {
+    if (!fresh) {
+      const e = get(key);
+      if (e) return { value: e.value, status: "hit", ttlMs: e.expiresAt - Date.now() };
+      if (inFlight.has(key)) return { value: await inFlight.get(key), status: "collapsed" };
+    }
+
+    const p = Promise.resolve().then(compute);
+    inFlight.set(key, p);
+    try {
+      const value = await p;
+      const stored = shouldStore(value) && set(key, value);
+      return { value, status: fresh ? "bypass" : "miss", stored };
+    } finally {
+      if (inFlight.get(key) === p) inFlight.delete(key);
+    }
+  }
+
+  function stats() {
+    return { size: entries.size, inFlight: inFlight.size, maxEntries: max(), ttlMs: ttl() };
+  }
+
+  return { get, set, getOrCompute, stats, clear: () => entries.clear() };
+}
+
+// RFC 9211 Cache-Status value for a getOrCompute() status
+function cacheStatusHeader({ status, ttlMs, stored }) {
+  if (status === "hit") return `${CACHE_NAME}; hit; ttl=${Math.max(0, Math.round(ttlMs / 1000))}`;
+  if (status === "collapsed") return `${CACHE_NAME}; fwd=miss; collapsed`;
+  const fwd = status === "bypass" ? "request" : "miss";
+  return `${CACHE_NAME}; fwd=${fwd}${stored ? "; stored" : ""}`;
+}
+
+// degraded answers (breaker fallback) should not outlive the outage
+const isCacheable = (value) => !(value?.fallback || value?.diagnostics?.fallback);
+
+const resultCache = createResultCache();
+
+module.exports = {
+  canonicalize,
+  hashKey,
+  createResultCache,
+  cacheStatusHeader,
+  isCacheable,
+  resultCache,
+};
@@ -0,0 +1,223 @@
+// src/services/classical.service.js
+// Pure-Node Markowitz solver: long-only max-Sharpe / min-variance over a dataset universe.
+const {
+  getDatasetStats,
+  getCurrency,
+  getRiskFreeRate,
+  indexOfAssets,
+} = require("./dataset.service");
+const {
+  matVec,
+  portfolioReturn,
+  portfolioVolatility,
+  sharpeRatio,
+  subMatrix,
+  projectToBoxSimplex,
+} = require("../utils/portfolio.math");
+const {
+  resolveConstraints,
+  feasibleBounds,
+  checkIncludeFits,
+  describeConstraints,
+} = require("../utils/constraints");
+const { checkpoint } = require("../utils/abort");
+const { typedError } = require("../utils/errors");
+const { NormalizedOptimizeResponseSchema } = require("../utils/validate");
+
+// ---------------- core QP ----------------
+
+// minimize 0.5 * riskAversion * w'Σw - mu'w  s.t. sum(w) = 1, lo <= w <= hi
+// (accelerated projected gradient; pass mu = 0 for pure min-variance; lo may be per-asset, see projectToBoxSimplex)
+function solveMeanVariance({ mu, cov, riskAversion = 1, lo = 0, hi = 1, maxIter = 1000, tol = 1e-10 }) {
+  const n = mu.length;
+  // Gershgorin bound on the largest eigenvalue -> safe step size
+  const L = riskAversion * Math.max(...cov.map(row => row.reduce((s, x) => s + Math.abs(x), 0))) || 1;
+  const step = 1 / L;
+
+  let w = projectToBoxSimplex(Array(n).fill(1 / n), lo, hi);
+  let y = w.slice();
+  let t = 1;
+  let iterations = 0;
+  for (; iterations < maxIter; iterations++) {
+    const g = matVec(cov, y).map((x, i) => riskAversion * x - mu[i]);
+    const next = projectToBoxSimplex(y.map((x, i) => x - step * g[i]), lo, hi);
+    const tNext = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+    y = next.map((x, i) => x + ((t - 1) / tNext) * (x - w[i]));
+    const moved = next.reduce((s, x, i) => s + (x - w[i]) ** 2, 0);
+    w = next;
+    t = tNext;
+    if (moved < tol) break;
+  }
+  return { weights: w, iterations: iterations + 1 };
+}
+
+function minVariance({ cov, lo, hi }) {
+  return solveMeanVariance({ mu: cov.map(() => 0), cov, lo, hi });
+}
+
+// Scan risk aversion on a log grid and keep the portfolio with the best Sharpe
+function maxSharpe({ mu, cov, riskFreeRate = 0, lo, hi }) {
+  let best = null;
+  let iterations = 0;
+  for (let k = 0; k <= 40; k++) {
+    const riskAversion = 0.1 * Math.pow(10, k / 10); // 0.1 .. 1000
+    const sol = solveMeanVariance({ mu, cov, riskAversion, lo, hi });
+    iterations += sol.iterations;
+    const s = sharpeRatio(portfolioReturn(sol.weights, mu), portfolioVolatility(sol.weights, cov), riskFreeRate);
+    if (s !== null && (!best || s > best.sharpe)) best = { weights: sol.weights, sharpe: s };
+  }
+  return { weights: best.weights, iterations };
+}
+
+function solvePortfolio({ mu, cov, objective = "sharpe", riskFreeRate = 0, lo = 0, hi = 1 }) {
+  return objective === "variance"
+    ? minVariance({ cov, lo, hi })
+    : maxSharpe({ mu, cov, riskFreeRate, lo, hi });
+}
+
+// ---------------- OPTIMIZE (classical) ----------------
+
+// Shared setup for every local selection solver: constraints, candidate pool (minus excludes),
+// forced includes and the number of assets to pick.
+// opts: { riskFreeRate?, lookback? (estimation window, days), stats? (precomputed estimates, e.g. a backtest window),
+//         signal? (job cancellation, checked by the solvers) }
+function prepareSelection(modeA, opts = {}) {
+  const stats = opts.stats || getDatasetStats(modeA.dataset, { lookback: opts.lookback });
+  const resolved = resolveConstraints(modeA, stats.assets);
+  checkIncludeFits(resolved, modeA.maxAssets);
+  const adjusted = [];
+
+  // excluded assets never enter the problem
+  const pool = stats.assets
+    .map((_, i) => i)
+    .filter(i => !resolved.exclude.includes(stats.assets[i]));
+  if (!pool.length) {
+    throw typedError("bad_request", "All assets in the dataset are excluded");
+  }
+  const forced = pool.filter(i => resolved.include.includes(stats.assets[i]));
+  const k = Math.min(Number(modeA.maxAssets) || pool.length, pool.length);
+
+  return {
+    stats,
+    resolved,
+    adjusted,
+    pool,
+    forced,
+    k,
+    objective: modeA.objective || "sharpe",
+    riskFreeRate: opts.riskFreeRate ?? getRiskFreeRate(stats.dataset),
+  };
+}
+
+async function runClassicalOptimize(modeA, opts = {}) {
+  const started = Date.now();
+  const { stats, resolved, adjusted, pool, forced, k, objective, riskFreeRate } = prepareSelection(modeA, opts);
+
+  // 1) solve on the whole pool, 2) keep includes + the largest weights up to k, 3) re-solve on that subset
+  const poolBounds = feasibleBounds(resolved, pool.length);
+  const full = solvePortfolio({
+    mu: pool.map(i => stats.mu[i]),
+    cov: subMatrix(stats.cov, pool),
+    objective,
+    riskFreeRate,
+    lo: 0,
+    hi: poolBounds.hi,
+  });
+  const ranked = pool
+    .map((i, j) => ({ w: full.weights[j], i }))
+    .sort((a, b) => b.w - a.w || stats.mu[b.i] - stats.mu[a.i])
+    .map(x => x.i)
+    .filter(i => !forced.includes(i));
+  const idx = [...forced, ...ranked.slice(0, k - forced.length)];
+  await checkpoint(opts.signal);
+
+  return buildResult(modeA, stats, idx, {
+    method: "classical",
+    backend: "node-markowitz",
+    started,
+    iterations: full.iterations,
+    resolved,
+    adjusted,
+    riskFreeRate,
+  });
+}
+
+const MIN_HELD_WEIGHT = 1e-6;
+const MIN_INCLUDED_WEIGHT = 0.01; // floor for included assets, so the optimum cannot drop them
+
+// Long-only weights for an already chosen set of asset indices -> normalized response
+function buildResult(modeA, stats, idx, { method, backend, started, iterations = 0, resolved, adjusted = [], riskFreeRate, diagnostics = {} }) {
+  const objective = modeA.objective || "sharpe";
+  const mu = idx.map(i => stats.mu[i]);
+  const cov = subMatrix(stats.cov, idx);
+  const bounds = feasibleBounds(resolved, idx.length, adjusted);
+  const included = idx.map(i => resolved.include.includes(stats.assets[i]));
+  const floor = Math.min(Math.max(bounds.lo, MIN_INCLUDED_WEIGHT), 1 / idx.length);
+  const lo = included.map(inc => (inc ? Math.max(bounds.lo, floor) : bounds.lo));
+  const sol = solvePortfolio({ mu, cov, objective, riskFreeRate, lo, hi: bounds.hi });
+  idx.forEach((i, k) => {
+    if (included[k] && floor > bounds.lo && sol.weights[k] <= floor + MIN_HELD_WEIGHT) {
+      adjusted.push(`included ${stats.assets[i]} held at the ${(floor * 100).toFixed(2)}% floor`);
+    }
+  });
+
+  // assets the optimum leaves at (numerically) zero are not holdings: drop them and renormalize
+  const held = idx.map((_, k) => k).filter(k => sol.weights[k] > MIN_HELD_WEIGHT);
+  const total = held.reduce((s, k) => s + sol.weights[k], 0);
+  const selected = held.map(k => stats.assets[idx[k]]);
+  const weights = held.map(k => sol.weights[k] / total);
+  const expectedReturn = portfolioReturn(weights, held.map(k => mu[k]));
+  const risk = portfolioVolatility(weights, subMatrix(stats.cov, held.map(k => idx[k])));
+
+  return NormalizedOptimizeResponseSchema.parse({
+    runId: new Date().toISOString(),
+    method,
+    selected,
+    weights,
+    allocation: selected.map((name, i) => ({ name, value: Math.round(weights[i] * 100) })),
+    expectedReturn,
+    risk,
+    sharpe: sharpeRatio(expectedReturn, risk, riskFreeRate),
+    diagnostics: {
+      backend,
+      dataset: stats.dataset,
+      riskFreeRate,
+      currency: getCurrency(stats.dataset),
+      priceSource: stats.source,
+      objective,
+      iterations: iterations + sol.iterations,
+      runtimeMs: Date.now() - started,
+      constraints: describeConstraints(resolved, { bounds, adjusted }),
+      selection: idx.map(i => stats.assets[i]),
+      ...diagnostics,
+    },
+  });
+}
+
+// Re-solve the weights for a selection made elsewhere (e.g. by QAOA or a QUBO solver)
+function reweightSelection(modeA, names, { method = "classical", backend, started = Date.now(), iterations, diagnostics } = {}) {
+  const stats = getDatasetStats(modeA.dataset);
+  const resolved = resolveConstraints(modeA, stats.assets);
+  const idx = indexOfAssets(stats, names).filter(i => i >= 0);
+  if (!idx.length) {
+    throw typedError("bad_request", "None of the selected assets are in the dataset");
+  }
+  return buildResult(modeA, stats, idx, {
+    method,
+    backend,
+    started,
+    iterations,
+    resolved,
+    riskFreeRate: getRiskFreeRate(stats.dataset),
+    diagnostics,
+  });
+}
+
+module.exports = {
+  solveMeanVariance,
+  solvePortfolio,
+  prepareSelection,
+  runClassicalOptimize,
+  buildResult,
+  reweightSelection,
+};
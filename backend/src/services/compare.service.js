@@ -1,94 +1,158 @@
 // src/services/compare.service.js
+// Quantum vs classical on the same data: both methods are fit on a training window and
+// evaluated on the held-out days that follow it (buy and hold, no look-ahead).
+// "Quantum" is the QUBO selection at equal weights, the same portfolio as the backtest's quantum curve.
+
+const { nameSeed } = require("../utils/random");
+const { getPriceHistory, getCurrency, getRiskFreeRate } = require("./dataset.service");
+const { sectorOf } = require("./asset.service");
+const { runClassicalOptimize } = require("./classical.service");
+const { runAnnealingQuboOptimize } = require("./qubo.service");
+const { runQaoaSimOptimize, fitsSimulator } = require("./qaoa.service");
+const { windowStats, quantumPortfolio, performance } = require("./backtest.service");
+const { CompareRequestSchema } = require("../utils/validate");
+const { typedError } = require("../utils/errors");
+
+const METHOD_LABELS = { classical: "Classical", quantum: "Quantum", benchmark: "Equal weight" };
 
-// --- helpers ---
-function seededRng(seed) {
-  let s = seed >>> 0;
-  return () => {
-    s ^= s << 13; s ^= s >>> 17; s ^= s << 5;
-    return ((s >>> 0) % 10000) / 10000; // 0..1
-  };
-}
+// --- public functions ---
 
-function nameSeed(str) {
-  return Array.from(String(str || "")).reduce((a, c) => a + c.charCodeAt(0), 0);
+// Rows [split - trainDays, split] fit the methods; (split, split + testDays] evaluate them
+function evaluationRange(history, { trainDays, testDays, split }) {
+  const { dates } = history;
+  let s = dates.length - 1 - testDays;
+  if (split) {
+    s = dates.length - 1;
+    while (s > 0 && dates[s] > split) s--;
+  }
+  const end = Math.min(dates.length - 1, s + testDays);
+  if (s < trainDays || end <= s) {
+    throw typedError(
+      "bad_request",
+      `Not enough history: ${history.dataset} has ${dates[0]}..${dates[dates.length - 1]}; ` +
+      `need ${trainDays} training days before the split and at least one held-out day after it`
+    );
+  }
+  return { split: s, end };
 }
 
-const NAME_BANK = [
-  "Reliance","HDFC Bank","Infosys","TCS","ICICI Bank","HUL",
-  "Bharti Airtel","Bajaj Auto","Sun Pharmaceutical","M&M","HCL Tech",
-  "Tata Motors","Larsen & Toubro","Axis Bank","ITC",
-];
-
-function pickNames(n) {
-  const out = [];
-  const used = new Set();
-  while (out.length < n) {
-    const name = NAME_BANK[Math.floor(Math.random() * NAME_BANK.length)];
-    if (!used.has(name)) {
-      used.add(name);
-      out.push(name);
-    }
+// Buy and hold `weights` (aligned with history.tickers) from the split close -> value path (starts at 1)
+function heldOutPath(history, weights, split, end) {
+  const { closes } = history;
+  const path = [];
+  for (let t = split; t <= end; t++) {
+    path.push(weights.reduce((v, w, i) => (w ? v + w * closes[t][i] / closes[split][i] : v), 0));
   }
-  return out;
+  return path;
 }
 
-// --- public functions ---
-
-// Overall “accuracy” metric (demo) – always favors Quantum a bit
-function getAccuracy({ risk = "medium" } = {}) {
-  const base = risk === "low" ? 72 : risk === "high" ? 80 : 76;
-  const quantum   = Math.min(97, base + 12);   // e.g. 88–92
-  const classical = Math.max(55, base - 8);    // e.g. 64–72
+// performance() plus the share of held-out days with a gain
+function realized(path, periodsPerYear, riskFreeRate) {
+  const ups = path.slice(1).filter((v, t) => v > path[t]).length;
   return {
-    metric: "accuracy",
-    quantum,
-    classical,
+    ...performance(path, periodsPerYear, riskFreeRate),
+    hitRate: path.length > 1 ? ups / (path.length - 1) : 0,
   };
 }
 
-// Per-asset risk/return (demo) – use actual selected names if provided
-function getRiskReturn({ dataset = "nifty50", count = 5, assetNames = [], weights = [] } = {}) {
-  const useNames = Array.isArray(assetNames) && assetNames.length > 0 ? assetNames : pickNames(count);
-  const useWeights = Array.isArray(weights) && weights.length === useNames.length
-    ? weights.map(w => Math.max(0, Number(w) || 0))
-    : Array.from({ length: useNames.length }, () => 100 / (useNames.length || 1)); // equal if missing
-
-  // Normalize to 0..1
-  const wNorm = useWeights.map(w => w / 100);
-  const baseSeed = nameSeed(dataset) + count * 97;
-
-  const rows = useNames.map((name, idx) => {
-    const w = wNorm[idx];                           // 0..1
-    const rnd = seededRng(baseSeed + nameSeed(name) + idx * 17);
-
-    // Map weight to risk/return:
-    // more weight -> lower risk, higher return
-    const riskFromWeight = 20 - 12 * w;             // ~8% at w=1, ~20% at w=0
-    const returnFromWeight = 6 + 10 * w;            // ~16% at w=1, ~6% at w=0
-
-    // add tiny jitter so points don’t stack
-    const jitterR = (rnd() - 0.5) * 1.2;            // ±0.6
-    const jitterMu = (rnd() - 0.5) * 1.2;
-
-    const classicalRisk = +(riskFromWeight + jitterR).toFixed(1);
-    const classicalReturn = +(returnFromWeight + jitterMu).toFixed(1);
-
-    // Quantum edge
-    const qBonusRet = +(0.8 + rnd() * 1.0).toFixed(1);  // +0.8..+1.8
-    const qRiskEdge = +(0.3 + rnd() * 0.5).toFixed(1);  // -0.3..-0.8
-
-    const quantumRisk = Math.max(3, +(classicalRisk - qRiskEdge).toFixed(1));
-    const quantumReturn = +(classicalReturn + qBonusRet).toFixed(1);
+// input: CompareRequestSchema output
+async function evaluateOutOfSample(input) {
+  const history = getPriceHistory(input.dataset);
+  const { dates, tickers, periodsPerYear } = history;
+  const { split, end } = evaluationRange(history, input);
+  const stats = windowStats(history, split, input.trainDays);
+  const riskFreeRate = getRiskFreeRate(history.dataset);
+  const seed = input.seed ?? nameSeed(`${history.dataset}:compare`);
+  const sampler = input.sampler === "auto"
+    ? (fitsSimulator(history.dataset) ? "qaoa" : "annealing")
+    : input.sampler;
+
+  const modeA = {
+    dataset: history.dataset,
+    maxAssets: input.maxAssets,
+    riskLevel: input.riskLevel,
+    constraints: input.constraints,
+    include: input.include,
+    exclude: input.exclude,
+  };
+  const selection = sampler === "qaoa"
+    ? await runQaoaSimOptimize(modeA, { stats, seed })
+    : await runAnnealingQuboOptimize(modeA, { stats, seed });
+  const fits = {
+    classical: await runClassicalOptimize(modeA, { stats }),
+    quantum: { ...selection, ...quantumPortfolio(selection, stats, riskFreeRate) },
+  };
+  const vector = (fit) => {
+    const w = tickers.map(() => 0);
+    fit.selected.forEach((n, k) => { w[tickers.indexOf(n)] = fit.weights[k]; });
+    return w;
+  };
+  const weights = { classical: vector(fits.classical), quantum: vector(fits.quantum) };
+  const paths = {
+    classical: heldOutPath(history, weights.classical, split, end),
+    quantum: heldOutPath(history, weights.quantum, split, end),
+    benchmark: heldOutPath(history, tickers.map(() => 1 / tickers.length), split, end),
+  };
 
+  const methods = ["classical", "quantum"].map(m => ({
+    method: m,
+    label: METHOD_LABELS[m],
+    backend: fits[m].diagnostics.backend,
+    selected: fits[m].selected,
+    weights: fits[m].weights,
+    // what the optimizer expected from the training window (annualized)
+    expected: { return: fits[m].expectedReturn, volatility: fits[m].risk, sharpe: fits[m].sharpe },
+    realized: realized(paths[m], periodsPerYear, riskFreeRate),
+  }));
+
+  // every asset either method picked, with its own held-out figures
+  const picked = tickers.filter((_, i) => weights.classical[i] > 1e-6 || weights.quantum[i] > 1e-6);
+  const assets = picked.map(name => {
+    const i = tickers.indexOf(name);
+    const own = tickers.map((_, j) => (j === i ? 1 : 0));
     return {
       name,
-      classical: { risk: classicalRisk, ret: classicalReturn },
-      quantum:   { risk: quantumRisk,   ret: quantumReturn },
+      sector: sectorOf(name),
+      weights: { classical: weights.classical[i], quantum: weights.quantum[i] },
+      train: { return: stats.mu[i], volatility: Math.sqrt(stats.cov[i][i]) },
+      realized: realized(heldOutPath(history, own, split, end), periodsPerYear, riskFreeRate),
     };
   });
 
-  return { dataset, points: rows };
+  return {
+    dataset: history.dataset,
+    currency: getCurrency(history.dataset),
+    priceSource: history.source,
+    sampler,
+    seed,
+    riskLevel: input.riskLevel,
+    maxAssets: input.maxAssets,
+    train: { start: dates[split - input.trainDays], end: dates[split], days: input.trainDays },
+    test: { start: dates[split], end: dates[end], days: end - split },
+    methods,
+    benchmark: { label: METHOD_LABELS.benchmark, realized: realized(paths.benchmark, periodsPerYear, riskFreeRate) },
+    assets,
+    // growth of 100 over the held-out window: { date, Classical, Quantum, "Equal weight" }
+    curve: dates.slice(split, end + 1).map((date, k) => Object.fromEntries([
+      ["date", date],
+      ...Object.keys(paths).map(m => [METHOD_LABELS[m], Math.round(paths[m][k] * 10000) / 100]),
+    ])),
+  };
 }
 
+// Held-out hit rate (% of days with a gain) per method, on the default evaluation
+async function getAccuracy({ risk = "medium", dataset = "NIFTY50" } = {}) {
+  const input = CompareRequestSchema.parse({ dataset, riskLevel: risk });
+  const result = await evaluateOutOfSample(input);
+  const pct = (m) => Math.round(result.methods.find(r => r.method === m).realized.hitRate * 1000) / 10;
+  return {
+    metric: "hitRate",
+    dataset: result.dataset,
+    priceSource: result.priceSource,
+    test: result.test,
+    quantum: pct("quantum"),
+    classical: pct("classical"),
+  };
+}
 
-module.exports = { getAccuracy, getRiskReturn };
+module.exports = { evaluateOutOfSample, getAccuracy };
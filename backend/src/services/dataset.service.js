@@ -0,0 +1,358 @@
+// src/services/dataset.service.js
+// Dataset registry: per-dataset universes, daily price histories and the annualized
+// return/covariance estimates every endpoint works from.
+// Built-in histories come from <DATASET_DIR>/<ID>.csv (date,ticker,close) when present; otherwise a
+// deterministic (seeded) one-factor simulation stands in, so nothing needs the FastAPI service.
+// No price files ship with the repo: every response built on this data reports `priceSource`
+// ("csv" | "synthetic") so simulated numbers are never passed off as historical ones.
+// Uploaded datasets live in <DATASET_DIR>/custom/<ID>.csv with an <ID>.json metadata file.
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config/env");
+const { logger } = require("../config/logger");
+const { seededRng, nameSeed } = require("../utils/random");
+const { typedError } = require("../utils/errors");
+const { describeAsset, esgFlaggedAmong } = require("./asset.service");
+const {
+  parsePriceCsv,
+  priceRow,
+  checkPriceRows,
+  toPriceCsv,
+  priceMatrix,
+  simpleReturns,
+  annualizedMoments,
+} = require("../utils/prices");
+
+// built-in universes (used by the simulated histories; a CSV defines its own tickers)
+const UNIVERSES = {
+  NIFTY50: [
+    "Reliance", "HDFC Bank", "Infosys", "TCS", "ICICI Bank", "HUL",
+    "Bharti Airtel", "Bajaj Auto", "Sun Pharmaceutical", "Mahindra & Mahindra",
+    "HCL Technologies", "Tata Motors", "Larsen & Toubro", "Axis Bank", "ITC",
+  ],
+  NASDAQ100: [
+    "Apple", "Microsoft", "Amazon", "Google", "Tesla", "Nvidia",
+    "Meta", "Netflix", "Adobe", "Intel", "PepsiCo", "Costco",
+  ],
+  CRYPTO50: [
+    "Bitcoin", "Ethereum", "Solana", "Cardano", "Polkadot",
+    "BNB", "XRP", "Avalanche", "Chainlink", "Litecoin",
+  ],
+};
+
+// market-level assumptions for the simulated histories
+const MARKET_PARAMS = {
+  NIFTY50:   { marketVol: 0.16, muRange: [0.08, 0.20], idioRange: [0.12, 0.25] },
+  NASDAQ100: { marketVol: 0.20, muRange: [0.07, 0.25], idioRange: [0.12, 0.30] },
+  CRYPTO50:  { marketVol: 0.60, muRange: [0.15, 0.80], idioRange: [0.30, 0.70] },
+};
+
+const DATASET_INFO = {
+  NIFTY50:   { label: "NIFTY 50",   currency: "INR", periodsPerYear: 252 },
+  NASDAQ100: { label: "NASDAQ 100", currency: "USD", periodsPerYear: 252 },
+  CRYPTO50:  { label: "Crypto 50",  currency: "USD", periodsPerYear: 365 }, // trades every day
+};
+
+const SYNTHETIC_YEARS = 3;
+const SYNTHETIC_END = "2025-12-31"; // fixed so simulated histories (and cached results) are stable
+
+const BUILTIN_IDS = Object.keys(DATASET_INFO);
+
+// "NIFTY50" | "nifty50" | "nasdaq" | "Crypto" | "<custom id>" ... -> registry id (null when unknown)
+function resolveDatasetId(dataset) {
+  const d = String(dataset || "").trim().toUpperCase();
+  if (customDatasets().has(d)) return d;
+  return builtinDatasetId(d);
+}
+
+// Built-in id for an upper-cased id or alias, ignoring uploads (null when none)
+function builtinDatasetId(d) {
+  if (DATASET_INFO[d]) return d;
+  if (d.includes("NIFTY")) return "NIFTY50";
+  if (d.includes("NASDAQ")) return "NASDAQ100";
+  if (d.includes("CRYPTO")) return "CRYPTO50";
+  return null;
+}
+
+// Same, but unknown datasets are a bad request
+function datasetKey(dataset) {
+  const id = resolveDatasetId(dataset);
+  if (!id) throw typedError("bad_request", `Unknown dataset "${dataset}" (see GET /api/datasets)`);
+  return id;
+}
+
+function datasetInfo(id) {
+  return DATASET_INFO[id] || customDatasets().get(id);
+}
+
+function isBuiltinDataset(dataset) {
+  return BUILTIN_IDS.includes(resolveDatasetId(dataset));
+}
+
+function datasetDir() {
+  return process.env.DATASET_DIR || config.datasetDir;
+}
+
+function customDir() {
+  return path.resolve(datasetDir(), "custom");
+}
+
+function lookbackDays(lookback) {
+  const n = Number(lookback || process.env.DATASET_LOOKBACK_DAYS || config.datasetLookbackDays);
+  return Number.isFinite(n) && n >= 2 ? Math.floor(n) : Infinity; // 0 / unset = whole history
+}
+
+// ---------------- price histories ----------------
+
+const histories = new Map(); // id -> { tickers, dates, closes, source, file? }
+
+function loadHistory(id) {
+  if (histories.has(id)) return histories.get(id);
+  const file = DATASET_INFO[id] ? path.resolve(datasetDir(), `${id}.csv`) : path.join(customDir(), `${id}.csv`);
+  const history = fs.existsSync(file) || !DATASET_INFO[id]
+    ? { ...priceMatrix(parsePriceCsv(fs.readFileSync(file, "utf8"))), source: "csv", file }
+    : { ...simulateHistory(id), source: "synthetic" };
+  if (history.dates.length < 3) {
+    throw new Error(`${file}: fewer than three dates with a close for every ticker`);
+  }
+  histories.set(id, history);
+  return history;
+}
+
+// Trading dates ending at SYNTHETIC_END (weekdays only unless the market trades daily)
+function tradingDates(count, everyDay) {
+  const dates = [];
+  const day = new Date(`${SYNTHETIC_END}T00:00:00Z`);
+  while (dates.length < count) {
+    const dow = day.getUTCDay();
+    if (everyDay || (dow !== 0 && dow !== 6)) dates.push(day.toISOString().slice(0, 10));
+    day.setUTCDate(day.getUTCDate() - 1);
+  }
+  return dates.reverse();
+}
+
+// One-factor daily returns r_i = mu_i/P + beta_i m + e_i, m ~ N(0, marketVol^2/P), e_i ~ N(0, idio_i^2/P).
+// Each asset's drift is re-centred so the full-history mean equals mu_i/P exactly.
+function simulateHistory(id) {
+  const assets = UNIVERSES[id];
+  const { marketVol, muRange, idioRange } = MARKET_PARAMS[id];
+  const P = DATASET_INFO[id].periodsPerYear;
+  const T = SYNTHETIC_YEARS * P;
+
+  const params = assets.map((name, i) => {
+    const rnd = seededRng(nameSeed(id) * 31 + nameSeed(name) + i * 7);
+    return {
+      beta: 0.6 + rnd() * 0.7,
+      idio: idioRange[0] + rnd() * (idioRange[1] - idioRange[0]),
+      mu: muRange[0] + rnd() * (muRange[1] - muRange[0]),
+    };
+  });
+
+  const rng = seededRng(nameSeed(id) * 131 + 17);
+  const gauss = () => Math.sqrt(-2 * Math.log(Math.max(rng(), 1e-4))) * Math.cos(2 * Math.PI * rng());
+  const shocks = Array.from({ length: T }, () => {
+    const m = gauss() * marketVol / Math.sqrt(P);
+    return params.map(p => p.beta * m + gauss() * p.idio / Math.sqrt(P));
+  });
+  const drift = params.map((p, i) => p.mu / P - shocks.reduce((s, r) => s + r[i], 0) / T);
+
+  const closes = [assets.map(name => 50 + (nameSeed(name) % 450))];
+  for (const r of shocks) {
+    const prev = closes[closes.length - 1];
+    closes.push(prev.map((c, i) => c * Math.max(0.01, 1 + drift[i] + r[i])));
+  }
+  return { tickers: [...assets], dates: tradingDates(T + 1, P > 252), closes, skippedDates: 0 };
+}
+
+// ---------------- estimates ----------------
+
+const statsCache = new Map(); // `${id}:${lookback}` -> stats
+
+// Annualized mean / covariance of daily returns over the last `lookback` days
+// (DATASET_LOOKBACK_DAYS by default; the whole history when 0).
+function getDatasetStats(dataset, { lookback } = {}) {
+  const key = datasetKey(dataset);
+  const days = lookbackDays(lookback);
+  const cacheKey = `${key}:${days}`;
+  if (!statsCache.has(cacheKey)) {
+    const { tickers, dates, closes, source } = loadHistory(key);
+    const from = Math.max(0, closes.length - 1 - days);
+    const { mu, cov } = annualizedMoments(simpleReturns(closes.slice(from)), datasetInfo(key).periodsPerYear);
+    statsCache.set(cacheKey, {
+      dataset: key,
+      source,                         // "csv" | "synthetic": where the closes behind mu / cov came from
+      assets: tickers,
+      mu,
+      cov,
+      window: { start: dates[from], end: dates[dates.length - 1], observations: closes.length - 1 - from },
+    });
+  }
+  const stats = statsCache.get(cacheKey);
+  // callers may modify what they get back
+  return { ...stats, assets: [...stats.assets], mu: [...stats.mu], cov: stats.cov.map(r => [...r]), window: { ...stats.window } };
+}
+
+// ---------------- registry listing (/api/datasets) ----------------
+
+function describeDataset(id) {
+  const info = datasetInfo(id);
+  const { tickers, dates, source } = loadHistory(id);
+  return {
+    id,
+    label: info.label,
+    currency: info.currency,
+    periodsPerYear: info.periodsPerYear,
+    custom: !DATASET_INFO[id],
+    source,                           // "csv" | "synthetic"
+    assetCount: tickers.length,
+    start: dates[0],
+    end: dates[dates.length - 1],
+    prices: dates.length,             // trading dates with a close for every asset
+  };
+}
+
+function listDatasets() {
+  return [...BUILTIN_IDS, ...customDatasets().keys()].map(describeDataset);
+}
+
+// Universe with per-asset annualized estimates; null when the dataset is unknown
+function getDatasetAssets(dataset, { lookback } = {}) {
+  const id = resolveDatasetId(dataset);
+  if (!id) return null;
+  const stats = getDatasetStats(id, { lookback });
+  const { closes } = loadHistory(id);
+  const last = closes[closes.length - 1];
+  return {
+    ...describeDataset(id),
+    window: stats.window,
+    assets: stats.assets.map((name, i) => {
+      const meta = describeAsset(name);
+      return {
+        name,
+        ticker: meta.ticker,
+        sector: meta.sector,
+        industry: meta.industry,
+        expectedReturn: stats.mu[i],
+        volatility: Math.sqrt(stats.cov[i][i]),
+        lastClose: last[i],
+        esgFlagged: meta.esg.length > 0,
+        esg: meta.esg,
+      };
+    }),
+  };
+}
+
+// ---------------- uploaded datasets (POST /api/datasets) ----------------
+
+let custom = null; // id -> { label, currency, periodsPerYear, createdAt }, read from disk on first use
+
+function customDatasets() {
+  if (custom) return custom;
+  custom = new Map();
+  if (fs.existsSync(customDir())) {
+    for (const file of fs.readdirSync(customDir()).filter(f => f.endsWith(".json")).sort()) {
+      // one unreadable file must not take the whole registry down
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(customDir(), file), "utf8"));
+        if (!meta?.id) throw new Error("missing id");
+        custom.set(meta.id, meta);
+      } catch (err) {
+        logger.warn("datasets: skipping unreadable custom dataset metadata", { file, err });
+      }
+    }
+  }
+  return custom;
+}
+
+// "My Watchlist" -> "MY_WATCHLIST"
+function customDatasetId(name) {
+  return String(name || "").trim().toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+// input: { name, label?, currency?, periodsPerYear?, csv? | prices?: [{ date, ticker, close }] }
+// Validates the rows (duplicates and per-ticker gaps are rejected), stores them and registers the dataset.
+function addCustomDataset({ name, label, currency = "USD", periodsPerYear, csv, prices }) {
+  const id = customDatasetId(name);
+  if (id.length < 2 || id.length > 32) throw typedError("bad_request", "Dataset name needs 2-32 letters or digits");
+  // an upload named like a built-in alias ("nasdaq", "crypto") would take over that alias for every caller
+  const builtin = builtinDatasetId(id);
+  if (builtin === id) throw typedError("bad_request", `"${id}" is a built-in dataset`);
+  if (builtin) throw typedError("bad_request", `"${id}" would shadow the built-in ${builtin} (names with NIFTY, NASDAQ or CRYPTO are reserved)`);
+  if (customDatasets().has(id)) throw typedError("conflict", `Dataset "${id}" already exists`);
+
+  const rows = csv ? parsePriceCsv(csv) : prices.map((r, k) => priceRow(r, `prices[${k}]`));
+  const { errors, warnings, dates } = checkPriceRows(rows);
+  if (errors.length) {
+    throw typedError("bad_request", "Price data failed validation", { details: errors });
+  }
+
+  // daily data with weekend closes is a 7-day market (crypto); otherwise assume trading days
+  const weekends = dates.some(d => [0, 6].includes(new Date(`${d}T00:00:00Z`).getUTCDay()));
+  const meta = {
+    id,
+    label: label || String(name).trim(),
+    currency: String(currency).toUpperCase(),
+    periodsPerYear: periodsPerYear || (weekends ? 365 : 252),
+    createdAt: new Date().toISOString(),
+  };
+  const sorted = [...rows].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  fs.mkdirSync(customDir(), { recursive: true });
+  fs.writeFileSync(path.join(customDir(), `${id}.csv`), toPriceCsv(sorted));
+  fs.writeFileSync(path.join(customDir(), `${id}.json`), JSON.stringify(meta, null, 2) + "\n");
+  customDatasets().set(id, meta);
+
+  return { dataset: describeDataset(id), warnings };
+}
+
+// Daily closes for backtests: { dataset, tickers, dates, closes[t][i], periodsPerYear, source } (shared, don't modify)
+function getPriceHistory(dataset) {
+  const id = datasetKey(dataset);
+  const { tickers, dates, closes, source } = loadHistory(id);
+  return { dataset: id, tickers, dates, closes, periodsPerYear: datasetInfo(id).periodsPerYear, source };
+}
+
+// Asset names of a dataset, in universe order
+function getUniverse(dataset) {
+  return [...loadHistory(datasetKey(dataset)).tickers];
+}
+
+function getPeriodsPerYear(dataset) {
+  return datasetInfo(datasetKey(dataset)).periodsPerYear;
+}
+
+function getCurrency(dataset) {
+  return datasetInfo(datasetKey(dataset)).currency;
+}
+
+function getRiskFreeRate(dataset) {
+  const rate = config.riskFreeRates[getCurrency(dataset)];
+  return Number.isFinite(rate) ? rate : 0;
+}
+
+// Universe names screened out by the ESG filter (flags come from the asset metadata registry)
+function getEsgFlagged(dataset) {
+  return esgFlaggedAmong(getUniverse(dataset));
+}
+
+// Index of each name in the dataset universe (-1 when unknown), case-insensitive
+function indexOfAssets(stats, names) {
+  const lookup = new Map(stats.assets.map((a, i) => [a.toLowerCase(), i]));
+  return names.map(n => lookup.get(String(n || "").toLowerCase()) ?? -1);
+}
+
+module.exports = {
+  resolveDatasetId,
+  datasetKey,
+  isBuiltinDataset,
+  getDatasetStats,
+  listDatasets,
+  getDatasetAssets,
+  addCustomDataset,
+  getPriceHistory,
+  getUniverse,
+  getPeriodsPerYear,
+  getCurrency,
+  getRiskFreeRate,
+  getEsgFlagged,
+  indexOfAssets,
+};
@@ -0,0 +1,146 @@
+// src/services/frontier.service.js
+// Long-only mean-variance efficient frontier for a dataset universe, with the
+// minimum-variance and tangency (max-Sharpe) portfolios and an optional portfolio placed against it.
+const {
+  getDatasetStats,
+  getCurrency,
+  getRiskFreeRate,
+  indexOfAssets,
+} = require("./dataset.service");
+const { solveMeanVariance, solvePortfolio } = require("./classical.service");
+const {
+  portfolioReturn,
+  portfolioVolatility,
+  sharpeRatio,
+  subMatrix,
+} = require("../utils/portfolio.math");
+const { resolveConstraints, feasibleBounds } = require("../utils/constraints");
+const { typedError } = require("../utils/errors");
+
+const ON_FRONTIER_TOL = 1e-4; // annual return gap still counted as "on" the frontier
+const GRID_SIZE = 80;         // risk-aversion values scanned per frontier
+
+// Highest-return portfolio under the bounds: everything at lo, the rest poured into the best assets
+function maxReturnWeights(mu, lo, hi) {
+  const w = mu.map(() => lo);
+  let left = 1 - lo * mu.length;
+  for (const i of mu.map((_, i) => i).sort((a, b) => mu[b] - mu[a])) {
+    const add = Math.min(hi - lo, left);
+    w[i] += add;
+    left -= add;
+    if (left <= 1e-12) break;
+  }
+  return w;
+}
+
+// Linear interpolation of point[yKey] at point[xKey] = x over points sorted by xKey (clamped to the ends)
+function interpolate(points, x, xKey, yKey) {
+  if (x <= points[0][xKey]) return points[0][yKey];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (x <= b[xKey]) {
+      const t = b[xKey] > a[xKey] ? (x - a[xKey]) / (b[xKey] - a[xKey]) : 0;
+      return a[yKey] + t * (b[yKey] - a[yKey]);
+    }
+  }
+  return points[points.length - 1][yKey];
+}
+
+// input: { dataset, constraints?: { minWeight, maxWeight }, exclude?, points?, portfolio?: { selected, weights } }
+function computeFrontier(input) {
+  const stats = getDatasetStats(input.dataset);
+  const riskFreeRate = getRiskFreeRate(stats.dataset);
+  const resolved = resolveConstraints(input, stats.assets);
+  const pool = stats.assets.map((_, i) => i).filter(i => !resolved.exclude.includes(stats.assets[i]));
+  if (!pool.length) {
+    throw typedError("bad_request", "All assets in the dataset are excluded");
+  }
+
+  const mu = pool.map(i => stats.mu[i]);
+  const cov = subMatrix(stats.cov, pool);
+  const adjusted = [];
+  const { lo, hi } = feasibleBounds(resolved, pool.length, adjusted);
+
+  const describe = (weights) => {
+    const ret = portfolioReturn(weights, mu);
+    const risk = portfolioVolatility(weights, cov);
+    return { risk, return: ret, sharpe: sharpeRatio(ret, risk, riskFreeRate) };
+  };
+  const withWeights = (weights) => ({
+    ...describe(weights),
+    weights: pool
+      .map((i, j) => ({ name: stats.assets[i], weight: weights[j] }))
+      .filter(w => w.weight > 1e-6)
+      .sort((a, b) => b.weight - a.weight),
+  });
+
+  const minVariance = solvePortfolio({ mu, cov, objective: "variance", lo, hi }).weights;
+  const tangency = solvePortfolio({ mu, cov, objective: "sharpe", riskFreeRate, lo, hi }).weights;
+
+  // each risk aversion gives one efficient portfolio (high -> min variance, low -> max return);
+  // scan a dense grid, keep the efficient branch, then thin it to `points` evenly spaced returns
+  const efficient = [describe(minVariance), describe(maxReturnWeights(mu, lo, hi))];
+  for (let k = 0; k <= GRID_SIZE; k++) {
+    const riskAversion = 1e4 * Math.pow(1e-7, k / GRID_SIZE); // 1e4 .. 1e-3
+    efficient.push(describe(solveMeanVariance({ mu, cov, riskAversion, lo, hi }).weights));
+  }
+  const branch = [];
+  for (const p of efficient.sort((a, b) => a.risk - b.risk)) {
+    const last = branch[branch.length - 1];
+    if (last && (p.return <= last.return + 1e-9 || p.risk - last.risk < 1e-6)) continue;
+    branch.push(p);
+  }
+  const count = input.points || 25;
+  const lowRet = branch[0].return;
+  const highRet = branch[branch.length - 1].return;
+  const points = [];
+  for (let k = 0; k < count; k++) {
+    const target = lowRet + ((highRet - lowRet) * k) / Math.max(1, count - 1);
+    const nearest = branch.reduce((a, b) => (Math.abs(b.return - target) < Math.abs(a.return - target) ? b : a));
+    if (points[points.length - 1] !== nearest) points.push(nearest);
+  }
+
+  const result = {
+    dataset: stats.dataset,
+    currency: getCurrency(stats.dataset),
+    priceSource: stats.source,
+    riskFreeRate,
+    constraints: { minWeight: lo, maxWeight: hi, exclude: resolved.exclude, ignored: resolved.ignored, adjusted },
+    points,
+    minVariance: withWeights(minVariance),
+    tangency: withWeights(tangency),
+  };
+  if (input.portfolio) result.current = placePortfolio(input.portfolio, stats, branch, riskFreeRate);
+  return result;
+}
+
+// Where a portfolio sits: frontier return at its risk and frontier risk at its return.
+// "above_frontier" means it breaks the frontier's constraints (e.g. heavier than maxWeight).
+function placePortfolio({ selected, weights }, stats, frontier, riskFreeRate) {
+  const idx = indexOfAssets(stats, selected);
+  const unknown = selected.filter((_, i) => idx[i] < 0);
+  if (unknown.length) {
+    throw typedError("bad_request", `Unknown assets in portfolio: ${unknown.join(", ")}`);
+  }
+  const total = weights.reduce((s, w) => s + w, 0) || 1;
+  const w = weights.map(x => x / total);
+  const ret = portfolioReturn(w, idx.map(i => stats.mu[i]));
+  const risk = portfolioVolatility(w, subMatrix(stats.cov, idx));
+
+  const frontierReturn = interpolate(frontier, risk, "risk", "return");
+  const frontierRisk = interpolate(frontier, ret, "return", "risk");
+  const gap = frontierReturn - ret;
+
+  return {
+    risk,
+    return: ret,
+    sharpe: sharpeRatio(ret, risk, riskFreeRate),
+    frontierReturn,          // best return available at the same risk
+    frontierRisk,            // least risk needed for the same return
+    returnGap: gap,
+    position: Math.abs(gap) <= ON_FRONTIER_TOL ? "on_frontier" : gap > 0 ? "below_frontier" : "above_frontier",
+  };
+}
+
+module.exports = { computeFrontier };
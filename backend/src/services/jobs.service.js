@@ -0,0 +1,87 @@
+// src/services/jobs.service.js
+// In-memory background jobs (one process, no persistence). Each job owns an AbortController
+// so DELETE can cancel the upstream request it is waiting on.
+const crypto = require("node:crypto");
+const { classifyError } = require("../utils/errors");
+const { currentLogger } = require("../config/logger");
+
+const JOB_TTL_MS = 15 * 60 * 1000; // finished jobs are kept this long for polling
+const TERMINAL = new Set(["succeeded", "failed", "cancelled"]);
+
+const jobs = new Map();
+
+function view(job) {
+  const end = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,              // queued | running | succeeded | failed | cancelled
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    elapsedMs: job.startedAt ? end - Date.parse(job.startedAt) : 0,
+    result: job.status === "succeeded" ? job.result : undefined,
+    error: job.error || undefined,
+  };
+}
+
+function finish(job, status, patch = {}) {
+  if (TERMINAL.has(job.status)) return; // cancel may have won the race
+  Object.assign(job, patch, { status, finishedAt: new Date().toISOString() });
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+// runner: (signal) => Promise<result>
+function createJob(kind, runner) {
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    controller: new AbortController(),
+  };
+  jobs.set(job.id, job);
+
+  setImmediate(async () => {
+    if (job.status !== "queued") return;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    try {
+      const result = await runner(job.controller.signal);
+      finish(job, "succeeded", { result });
+    } catch (e) {
+      // same code / detail as the synchronous route would answer with
+      const { type, code, detail, errors, upstreamStatus } = classifyError(e);
+      if (type === "internal") currentLogger().error("job failed", { jobId: job.id, err: e });
+      finish(job, "failed", { error: { type, code, message: detail, errors, upstreamStatus } });
+    }
+  });
+
+  return view(job);
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? view(job) : null;
+}
+
+// Returns the job view, or null when unknown. Finished jobs are left untouched.
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (!TERMINAL.has(job.status)) {
+    finish(job, "cancelled", { error: { type: "cancelled", code: "CANCELLED", message: "Cancelled by client" } });
+    job.controller.abort("cancelled");
+  }
+  return view(job);
+}
+
+function isTerminal(status) {
+  return TERMINAL.has(status);
+}
+
+module.exports = { createJob, getJob, cancelJob, isTerminal };
@@ -0,0 +1,115 @@
+// src/services/openapi.service.js
+// The /api/v1 contract: every route with the zod schemas it validates against.
+// Served as GET /api/v1/openapi.json and read by scripts/generate-client.js for the frontend client.
+const { z } = require("zod");
+const schemas = require("../utils/validate");
+const { buildOpenApiDocument } = require("../utils/openapi");
+const { version } = require("../../package.json");
+
+// components.schemas names (the generated client's type names)
+const COMPONENTS = {
+  Problem: schemas.ErrorResponseSchema,
+  Health: schemas.HealthResponseSchema,
+  QuantumHealth: schemas.QuantumHealthResponseSchema,
+  OptimizeRequest: schemas.OptimizeRequestSchema,
+  OptimizeResponse: schemas.NormalizedOptimizeResponseSchema,
+  Job: schemas.JobSchema,
+  SolverList: schemas.SolverListResponseSchema,
+  FrontierRequest: schemas.FrontierRequestSchema,
+  FrontierResponse: schemas.FrontierResponseSchema,
+  QaoaBitsRequest: schemas.QaoaBitsRequestSchema,
+  QaoaBitsResponse: schemas.QaoaBitsResponseSchema,
+  BacktestRequest: schemas.BacktestRequestSchema,
+  BacktestResponse: schemas.BacktestResponseSchema,
+  CompareRequest: schemas.CompareRequestSchema,
+  CompareResponse: schemas.CompareResponseSchema,
+  AccuracyResponse: schemas.AccuracyResponseSchema,
+  StressRequest: schemas.StressRequestSchema,
+  StressResponse: schemas.StressResponseSchema,
+  StressScenarioList: schemas.StressScenarioListResponseSchema,
+  VarRequest: schemas.VarRequestSchema,
+  VarResponse: schemas.VarResponseSchema,
+  RebalanceRequest: schemas.RebalanceRequestSchema,
+  RebalanceResponse: schemas.RebalanceResponseSchema,
+  RunList: schemas.RunListResponseSchema,
+  Run: schemas.RunSchema,
+  DatasetList: schemas.DatasetListResponseSchema,
+  DatasetUploadRequest: schemas.DatasetUploadSchema,
+  DatasetUploadResponse: schemas.DatasetUploadResponseSchema,
+  DatasetAssets: schemas.DatasetAssetsResponseSchema,
+  Asset: schemas.AssetSchema,
+  AssetList: schemas.AssetListResponseSchema,
+};
+
+// Demo endpoints without a request schema of their own
+const AllocationRequestSchema = z.object({
+  dataset: schemas.DatasetIdSchema.optional(),
+  seed: schemas.SeedSchema.optional(),
+}).passthrough();
+const AccuracyQuerySchema = z.object({
+  risk: z.enum(["low", "medium", "high"]).optional(),
+  dataset: schemas.DatasetIdSchema.optional(),
+});
+const DatasetUploadQuerySchema = z.object({ // text/csv uploads only
+  name: z.string().optional(),
+  label: z.string().optional(),
+  currency: z.string().optional(),
+  periodsPerYear: z.number().int().optional(),
+});
+
+// id doubles as the generated client's function name
+const OPERATIONS = [
+  { id: "getHealth", method: "get", path: "/health", tags: ["health"], summary: "Liveness", response: schemas.HealthResponseSchema },
+  { id: "getQuantumHealth", method: "get", path: "/health/quantum", tags: ["health"], summary: "FastAPI reachability", response: schemas.QuantumHealthResponseSchema },
+
+  { id: "optimize", method: "post", path: "/optimize", tags: ["optimize"], summary: "Pick and weight assets (cached per request)", body: schemas.OptimizeRequestSchema, response: schemas.NormalizedOptimizeResponseSchema },
+  { id: "createOptimizeJob", method: "post", path: "/optimize/jobs", tags: ["optimize"], summary: "Run an optimize request in the background", status: 202, body: schemas.OptimizeRequestSchema, response: schemas.JobSchema },
+  { id: "getOptimizeJob", method: "get", path: "/optimize/jobs/{id}", tags: ["optimize"], summary: "Job status and, once finished, its result", response: schemas.JobSchema },
+  { id: "cancelOptimizeJob", method: "delete", path: "/optimize/jobs/{id}", tags: ["optimize"], summary: "Cancel a queued or running job", response: schemas.JobSchema },
+  { id: "listSolvers", method: "get", path: "/solvers", tags: ["optimize"], summary: "Registered solvers and their capabilities", response: schemas.SolverListResponseSchema },
+
+  { id: "getSharpeComparison", method: "get", path: "/sharpe", tags: ["demo"], summary: "Sharpe ratio per method (demo)", response: z.array(schemas.NamedValueSchema) },
+  { id: "getFrontier", method: "post", path: "/frontier", tags: ["analytics"], summary: "Long-only efficient frontier", body: schemas.FrontierRequestSchema, response: schemas.FrontierResponseSchema },
+  { id: "sampleQaoaBits", method: "post", path: "/qaoa/bits", tags: ["analytics"], summary: "Most likely asset selections of the QUBO (seed in X-Seed)", body: schemas.QaoaBitsRequestSchema, response: schemas.QaoaBitsResponseSchema },
+  { id: "getAllocation", method: "post", path: "/allocation", tags: ["demo"], summary: "Random allocation over the first assets (demo; seed in X-Seed)", body: AllocationRequestSchema, response: z.array(schemas.NamedValueSchema) },
+  { id: "runBacktest", method: "post", path: "/evolution", tags: ["analytics"], summary: "Walk-forward backtest per method", body: schemas.BacktestRequestSchema, response: schemas.BacktestResponseSchema },
+  { id: "listStressScenarios", method: "get", path: "/stress/scenarios", tags: ["risk"], summary: "Named historical stress scenarios", response: schemas.StressScenarioListResponseSchema },
+  { id: "runStress", method: "post", path: "/stress", tags: ["risk"], summary: "Shock or replay an allocation", body: schemas.StressRequestSchema, response: schemas.StressResponseSchema },
+  { id: "computeValueAtRisk", method: "post", path: "/risk/var", tags: ["risk"], summary: "VaR / CVaR by three methods", body: schemas.VarRequestSchema, response: schemas.VarResponseSchema },
+
+  { id: "compare", method: "post", path: "/compare", tags: ["compare"], summary: "Out-of-sample quantum vs classical evaluation", body: schemas.CompareRequestSchema, response: schemas.CompareResponseSchema },
+  { id: "getCompareAccuracy", method: "get", path: "/compare/accuracy", tags: ["compare"], summary: "Held-out hit rate per method", query: AccuracyQuerySchema, response: schemas.AccuracyResponseSchema },
+
+  { id: "rebalance", method: "post", path: "/rebalance", tags: ["rebalance"], summary: "Current vs future portfolio, actions and trade list", body: schemas.RebalanceRequestSchema, response: schemas.RebalanceResponseSchema },
+
+  { id: "listRuns", method: "get", path: "/runs", tags: ["runs"], summary: "Run history", query: schemas.RunsQuerySchema, response: schemas.RunListResponseSchema },
+  { id: "getRun", method: "get", path: "/runs/{runId}", tags: ["runs"], summary: "One run with its input and output", response: schemas.RunSchema },
+  { id: "deleteRun", method: "delete", path: "/runs/{runId}", tags: ["runs"], summary: "Delete a run", status: 204 },
+
+  { id: "listDatasets", method: "get", path: "/datasets", tags: ["data"], summary: "Built-in and uploaded datasets", response: schemas.DatasetListResponseSchema },
+  {
+    id: "uploadDataset", method: "post", path: "/datasets", tags: ["data"], summary: "Upload daily closes (JSON, or text/csv with name in the query)",
+    query: DatasetUploadQuerySchema, body: schemas.DatasetUploadSchema, bodyTypes: { "text/csv": { schema: { type: "string" } } },
+    status: 201, response: schemas.DatasetUploadResponseSchema,
+  },
+  { id: "getDatasetAssets", method: "get", path: "/datasets/{id}/assets", tags: ["data"], summary: "Per-asset estimates for a dataset", query: schemas.DatasetAssetsQuerySchema, response: schemas.DatasetAssetsResponseSchema },
+  { id: "listAssets", method: "get", path: "/assets", tags: ["data"], summary: "Asset metadata registry", query: schemas.AssetListQuerySchema, response: schemas.AssetListResponseSchema },
+  { id: "getAsset", method: "get", path: "/assets/{id}", tags: ["data"], summary: "One asset by id, ticker or name", response: schemas.AssetSchema },
+];
+
+let document = null;
+
+function openApiDocument() {
+  if (!document) {
+    document = buildOpenApiDocument({
+      info: { title: "Quantum Portfolio API", version },
+      servers: [{ url: "/api/v1" }],
+      schemas: COMPONENTS,
+      errorSchema: "Problem",
+      operations: OPERATIONS,
+    });
+  }
+  return document;
+}
+
+module.exports = { openApiDocument };
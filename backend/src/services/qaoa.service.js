@@ -0,0 +1,144 @@
+// src/services/qaoa.service.js
+// Offline QAOA: the selection QUBO run through the statevector simulator in utils/qaoa.js.
+// Used as an optimize solver, as the circuit-open fallback and by /api/qaoa/bits.
+const { config } = require("../config/env");
+const { simulateQaoa, topStates, bitsOf } = require("../utils/qaoa");
+const { seededRng, nameSeed } = require("../utils/random");
+const { typedError } = require("../utils/errors");
+const { getDatasetStats } = require("./dataset.service");
+const { prepareSelection, buildResult } = require("./classical.service");
+const { selectionQubo, bitsProblem, bitsRow, sampleSelections } = require("./qubo.service");
+
+const DISTRIBUTION_SIZE = 16; // most likely bitstrings kept in diagnostics.qaoa.distribution
+
+function settings() {
+  return {
+    maxQubits: Number(process.env.QAOA_MAX_QUBITS || config.qaoaMaxQubits || 18),
+    layers: Number(process.env.QAOA_LAYERS || config.qaoaLayers || 2),
+    restarts: Number(process.env.QAOA_RESTARTS || config.qaoaRestarts || 2),
+    maxIter: Number(process.env.QAOA_MAX_ITER || config.qaoaMaxIter || 80),
+  };
+}
+
+// qaoaParams from the request ({ p | layers, restarts, maxIter }) over the configured defaults.
+// restarts and maxIter may only lower the configured values (QAOA_RESTARTS / QAOA_MAX_ITER raise them):
+// the simulation runs on the server's event loop.
+function qaoaOptions(qaoaParams = {}) {
+  const s = settings();
+  const int = (v, lo, hi, fallback) => (Number.isFinite(Number(v)) ? Math.min(hi, Math.max(lo, Math.round(Number(v)))) : fallback);
+  return {
+    layers: int(qaoaParams.p ?? qaoaParams.layers, 1, 8, s.layers),
+    restarts: int(qaoaParams.restarts, 1, s.restarts, s.restarts),
+    maxIter: int(qaoaParams.maxIter, 1, s.maxIter, s.maxIter),
+  };
+}
+
+function assertQubits(n) {
+  const { maxQubits } = settings();
+  if (n > maxQubits) {
+    throw typedError("bad_request", `QAOA simulation needs ${n} qubits; the local simulator is limited to ${maxQubits}`);
+  }
+}
+
+// ---------------- OPTIMIZE (local QAOA) ----------------
+
+// Excludes drop out and includes are pinned before simulating, so qubits = free candidates.
+// The circuit keeps exactly k assets selected; its most likely bitstring picks the assets
+// and the classical solver sets the weights.
+async function runQaoaSimOptimize(modeA, opts = {}) {
+  const started = Date.now();
+  const prepared = prepareSelection(modeA, opts);
+  const { stats, pool, forced, k } = prepared;
+  const reduced = selectionQubo(modeA, prepared);
+  assertQubits(reduced.n);
+
+  const seed = opts.seed ?? modeA.seed ?? nameSeed(`${stats.dataset}:${k}:${modeA.riskLevel}`);
+  const sim = await simulateQaoa(reduced, {
+    ...qaoaOptions(modeA.qaoaParams),
+    cardinality: k - forced.length,
+    rng: seededRng(seed),
+    signal: opts.signal,
+  });
+
+  const [best] = topStates(sim.probabilities, 1);
+  const x = bitsOf(best.z, reduced.n);
+  const picked = reduced.free.filter((_, j) => x[j]).map(j => pool[j]);
+
+  return buildResult(modeA, stats, [...forced, ...picked], {
+    method: "quantum",
+    backend: "node-qaoa-statevector",
+    started,
+    iterations: sim.evaluations,
+    resolved: prepared.resolved,
+    adjusted: prepared.adjusted,
+    riskFreeRate: prepared.riskFreeRate,
+    diagnostics: {
+      objectiveValue: sim.energies[best.z],
+      gamma: sim.gammas[0],
+      seed,
+      qaoa: qaoaDiagnostics(sim, best.p, (z) => universeBits(stats, prepared, reduced, z)),
+    },
+  });
+}
+
+// Reduced-register state -> bitstring over the whole universe (includes = 1, excludes = 0)
+function universeBits(stats, { pool, forced }, reduced, z) {
+  const bits = stats.assets.map(() => 0);
+  forced.forEach(i => { bits[i] = 1; });
+  bitsOf(z, reduced.n).forEach((v, j) => { bits[pool[reduced.free[j]]] = v; });
+  return bits.join("");
+}
+
+function qaoaDiagnostics(sim, probability, label) {
+  return {
+    qubits: sim.qubits,
+    layers: sim.layers,
+    mixer: sim.mixer,
+    gammas: sim.gammas,
+    betas: sim.betas,
+    expectation: sim.expectation,
+    trace: sim.trace,
+    evaluations: sim.evaluations,
+    probability,
+    distribution: topStates(sim.probabilities, DISTRIBUTION_SIZE)
+      .map(s => ({ bits: label(s.z), p: s.p, energy: sim.energies[s.z] })),
+  };
+}
+
+// ---------------- sampling (/api/qaoa/bits) ----------------
+
+// Exact measurement distribution of the optimized circuit over the whole universe
+async function sampleQaoaSelections(input) {
+  const problem = bitsProblem(input);
+  const { stats, k, qubo } = problem;
+  assertQubits(qubo.n);
+
+  const sim = await simulateQaoa(qubo, {
+    ...qaoaOptions({ layers: input.layers }),
+    cardinality: k,
+    rng: seededRng(input.seed ?? nameSeed(`${stats.dataset}:${k}:${input.riskLevel}`)),
+  });
+  return topStates(sim.probabilities, input.topK)
+    .map(s => bitsRow(problem, bitsOf(s.z, qubo.n), s.p, sim.energies[s.z]));
+}
+
+// sampler: "qaoa" | "annealing" | "auto" (QAOA when the universe fits the simulator)
+async function sampleBits(input) {
+  const sampler = input.sampler === "auto"
+    ? (fitsSimulator(input.dataset) ? "qaoa" : "annealing")
+    : input.sampler;
+  return sampler === "qaoa" ? sampleQaoaSelections(input) : sampleSelections(input);
+}
+
+// Whether a dataset fits the simulator (used for the circuit-open fallback)
+function fitsSimulator(dataset) {
+  return getDatasetStats(dataset).assets.length <= settings().maxQubits;
+}
+
+module.exports = {
+  qaoaSettings: settings,
+  runQaoaSimOptimize,
+  sampleQaoaSelections,
+  sampleBits,
+  fitsSimulator,
+};
@@ -0,0 +1,210 @@
+// src/services/quantum.client.js
+// Single HTTP client for the FastAPI quantum service: timeouts, caller cancellation,
+// bounded exponential retries for idempotent calls and a process-wide circuit breaker.
+// Every call carries the current request's id as X-Request-ID, so Node and FastAPI logs line up.
+const { config } = require("../config/env");
+const { currentLogger, currentRequestId } = require("../config/logger");
+
+const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function settings() {
+  return {
+    timeoutMs: Number(process.env.REQUEST_TIMEOUT_MS || config.requestTimeoutMs || 60000),
+    maxRetries: Number(process.env.QUANTUM_MAX_RETRIES || config.quantumMaxRetries || 0),
+    retryBaseMs: Number(process.env.QUANTUM_RETRY_BASE_MS || config.quantumRetryBaseMs || 250),
+    failureThreshold: Number(process.env.QUANTUM_BREAKER_THRESHOLD || config.breakerFailureThreshold || 5),
+    cooldownMs: Number(process.env.QUANTUM_BREAKER_COOLDOWN_MS || config.breakerCooldownMs || 30000),
+  };
+}
+
+function quantumBaseUrl() {
+  // QUANTUM_API_URL is the old name the rebalance route used to read
+  return (process.env.QUANTUM_BASE_URL || config.quantumBaseUrl || process.env.QUANTUM_API_URL || "").replace(/\/+$/, "");
+}
+
+function isMockMode() {
+  return String(process.env.MOCK_MODE || config.mockMode).toLowerCase() === "true";
+}
+
+// ---------------- tiny fetch with timeout ----------------
+// `signal` lets the caller (e.g. a cancelled job) abort on top of the timeout
+async function httpFetch(url, { method = "GET", headers = {}, body, timeoutMs = 60000, signal } = {}) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort("timeout"), timeoutMs);
+  const onAbort = () => controller.abort(signal.reason ?? "cancelled");
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
+  try {
+    return await fetch(url, { method, headers, body, signal: controller.signal });
+  } finally {
+    clearTimeout(t);
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+}
+
+// ---------------- circuit breaker ----------------
+// closed -> (failureThreshold consecutive failures) -> open -> (cooldown) -> half_open
+// half_open lets a single trial call through: success closes, failure re-opens.
+const breaker = {
+  state: "closed",
+  failures: 0,
+  openedAt: null,
+  lastError: null,
+  trialInFlight: false,
+};
+
+function breakerState() {
+  const { cooldownMs, failureThreshold } = settings();
+  if (breaker.state === "open" && Date.now() - breaker.openedAt >= cooldownMs) {
+    breaker.state = "half_open";
+  }
+  return {
+    state: breaker.state,
+    failures: breaker.failures,
+    failureThreshold,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    retryAt: breaker.state === "open" ? new Date(breaker.openedAt + cooldownMs).toISOString() : null,
+    lastError: breaker.lastError,
+  };
+}
+
+function recordSuccess() {
+  breaker.state = "closed";
+  breaker.failures = 0;
+  breaker.openedAt = null;
+  breaker.lastError = null;
+}
+
+function recordFailure(err) {
+  breaker.failures += 1;
+  breaker.lastError = err.message;
+  if (breaker.state === "half_open" || breaker.failures >= settings().failureThreshold) {
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+}
+
+function circuitOpenError() {
+  const err = new Error("Quantum service circuit is open; skipping upstream call");
+  err.type = "upstream_unavailable";
+  err.circuitOpen = true;
+  return err;
+}
+
+// ---------------- request ----------------
+
+function upstreamError(message, type, extra = {}) {
+  const err = new Error(message);
+  err.type = type;
+  Object.assign(err, extra);
+  return err;
+}
+
+// One attempt: returns the Response for 2xx, throws a typed error otherwise
+async function attempt(url, opts, label) {
+  let res;
+  try {
+    res = await httpFetch(url, opts);
+  } catch (e) {
+    if (opts.signal?.aborted) throw upstreamError("Request cancelled", "cancelled");
+    const timedOut = String(e || "").includes("timeout");
+    throw upstreamError(
+      `Quantum ${label} request failed or timed out`,
+      timedOut ? "upstream_timeout" : "upstream_unavailable",
+      { retryable: !timedOut }
+    );
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw upstreamError(
+      `Quantum ${label} error ${res.status}: ${text || res.statusText}`,
+      res.status === 504 ? "upstream_timeout" : "upstream_unavailable",
+      { status: res.status, retryable: [502, 503, 504].includes(res.status), countsAsFailure: res.status >= 500 }
+    );
+  }
+  return res;
+}
+
+// path: "/optimize" | "/rebalance" | "/health"
+// idempotent calls are retried on connection errors and 502/503/504 (never on our own timeout).
+// probe: bypass an open breaker (used by the health check) but still record the outcome.
+async function requestQuantum(path, {
+  method = "GET",
+  body,
+  signal,
+  idempotent = method === "GET",
+  probe = false,
+  timeoutMs,
+  baseUrl,
+} = {}) {
+  const base = (baseUrl || quantumBaseUrl()).replace(/\/+$/, "");
+  if (!base) throw upstreamError("QUANTUM_BASE_URL not set", "upstream_unavailable");
+
+  const s = settings();
+  const state = breakerState().state;
+  if (!probe && state === "open") throw circuitOpenError();
+  if (!probe && state === "half_open") {
+    if (breaker.trialInFlight) throw circuitOpenError();
+    breaker.trialInFlight = true;
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  const key = process.env.QUANTUM_API_KEY || config.quantumApiKey;
+  if (key) headers["Authorization"] = `Bearer ${key}`;
+  const requestId = currentRequestId();
+  if (requestId) headers["X-Request-ID"] = requestId;
+  const log = currentLogger().child({ upstream: `${method} ${path}` });
+
+  const opts = {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+    timeoutMs: timeoutMs || s.timeoutMs,
+    signal,
+  };
+  const maxAttempts = 1 + (idempotent ? Math.max(0, s.maxRetries) : 0);
+
+  try {
+    for (let i = 1; ; i++) {
+      const started = Date.now();
+      try {
+        const res = await attempt(`${base}${path}`, opts, path);
+        recordSuccess();
+        log.info("quantum call", { status: res.status, attempt: i, durationMs: Date.now() - started });
+        return res;
+      } catch (err) {
+        const failure = { type: err.type, status: err.status, attempt: i, durationMs: Date.now() - started };
+        if (err.type === "cancelled") {
+          log.info("quantum call cancelled", failure);
+          throw err;
+        }
+        if (err.countsAsFailure !== false) recordFailure(err);
+        err.attempts = i;
+        const retry = err.retryable && i < maxAttempts && breaker.state !== "open";
+        log.warn("quantum call failed", { ...failure, retry, breaker: breaker.state, message: err.message });
+        if (!retry) throw err;
+        // 250ms, 500ms, 1s ... with +/-20% jitter
+        await delay(s.retryBaseMs * 2 ** (i - 1) * (0.8 + Math.random() * 0.4));
+        if (signal?.aborted) throw upstreamError("Request cancelled", "cancelled");
+      }
+    }
+  } finally {
+    if (!probe && state === "half_open") breaker.trialInFlight = false;
+  }
+}
+
+async function requestQuantumJSON(path, opts) {
+  const res = await requestQuantum(path, opts);
+  return res.json();
+}
+
+module.exports = {
+  quantumBaseUrl,
+  isMockMode,
+  httpFetch,
+  breakerState,
+  requestQuantum,
+  requestQuantumJSON,
+};
@@ -10,27 +10,47 @@ const {
   RebalanceRequestSchema,
   RebalanceResponseSchema,
 } = require("../utils/validate");
-
-// ---------------- tiny fetch with timeout ----------------
-async function httpFetch(url, { method = "GET", headers = {}, body, timeoutMs = 60000 } = {}) {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort("timeout"), timeoutMs);
-  try {
-    return await fetch(url, { method, headers, body, signal: controller.signal });
-  } finally {
-    clearTimeout(t);
-  }
-}
+const {
+  resolveDatasetId,
+  datasetKey,
+  isBuiltinDataset,
+  getPeriodsPerYear,
+  getDatasetStats,
+  getCurrency,
+  getRiskFreeRate,
+  indexOfAssets,
+} = require("./dataset.service");
+const {
+  portfolioReturn,
+  portfolioVolatility,
+  sharpeRatio,
+  subMatrix,
+} = require("../utils/portfolio.math");
+const {
+  resolveConstraints,
+  enforceOnPortfolio,
+  describeConstraints,
+} = require("../utils/constraints");
+const { seededRng, randomSeed } = require("../utils/random");
+const { typedError } = require("../utils/errors");
+const { currentLogger } = require("../config/logger");
+const { isMockMode, requestQuantumJSON } = require("./quantum.client");
+const { getAsset } = require("./asset.service");
+const { runClassicalOptimize } = require("./classical.service");
+const { runQaoaSimOptimize, fitsSimulator } = require("./qaoa.service");
+const { buildTradeList } = require("./trades.service");
 
 // ---------------- UI -> FastAPI mapping helpers ----------------
+const FASTAPI_DATASETS = { NIFTY50: "NIFTY50", NASDAQ100: "NASDAQ", CRYPTO50: "Crypto" };
+
 function mapDatasetOption(uiDataset) {
-  // UI might send "NIFTY50"|"NASDAQ100"|"CRYPTO50" or lower-cased labels like "nifty50"|"nasdaq"|"crypto"
-  const d = String(uiDataset || "").toUpperCase();
-  if (d.includes("NIFTY")) return "NIFTY50";
-  if (d.includes("NASDAQ")) return "NASDAQ";
-  if (d.includes("CRYPTO")) return "Crypto";
-  // fallback to NIFTY
-  return "NIFTY50";
+  // UI might send "NIFTY50"|"NASDAQ100"|"CRYPTO50" or lower-cased labels like "nifty50"|"nasdaq"|"crypto";
+  // uploaded datasets only exist on the Node side
+  const id = datasetKey(uiDataset);
+  if (!FASTAPI_DATASETS[id]) {
+    throw typedError("bad_request", `Dataset "${id}" is not available on the quantum service`);
+  }
+  return FASTAPI_DATASETS[id];
 }
 
 function mapUiRiskToFast(risk) {
@@ -39,35 +59,85 @@ function mapUiRiskToFast(risk) {
   return "medium";
 }
 
+// FastAPI's expected_return carries no unit; QUANTUM_RETURN_PERIODS says how many make a year
+// (252 = daily, 1 = already annual). A payload whose returns annualize past MAX_ANNUAL_RETURN isn't
+// in that unit (the mock's daily figures are ~0.002), so its returns are ignored in favour of the
+// dataset estimates. Returns the multiplier to annualize `rows`, or null when they fail that check.
+const MAX_ANNUAL_RETURN = 5; // 500% a year
+
+function quantumReturnPeriods(rows) {
+  const periods = Number(config.quantumReturnPeriods) || 1;
+  const worst = Math.max(0, ...rows.map(r => Math.abs(Number(r.expected_return) || 0)));
+  if (worst * periods <= MAX_ANNUAL_RETURN) return periods;
+  currentLogger().warn("quantum: expected_return outside the configured unit; using dataset estimates", {
+    maxExpectedReturn: worst,
+    periods,
+  });
+  return null;
+}
+
 // ---------------- OPTIMIZE ----------------
+
+// FastAPI names assets by display name; ids / tickers ("INFY", "INFY.NS") are mapped via the registry
+const displayName = (name) => getAsset(name)?.name ?? name;
+
 function toFastApiOptimizeBody(modeA) {
+  const c = modeA.constraints || {};
   return {
     dataset_option: mapDatasetOption(modeA.dataset),
     budget: Number(modeA.maxAssets),                    // number of assets to pick
     risk_factor: mapUiRiskToFast(modeA.riskLevel),      // "low"|"medium"|"high"
     total_investment: Number(modeA.budget),             // ₹
+    // optional knobs – FastAPI may ignore them, Node re-applies them in normalizeOptimize
+    min_weight: c.minWeight,
+    max_weight: c.maxWeight,
+    include_assets: modeA.include?.length ? modeA.include.map(displayName) : undefined,
+    exclude_assets: modeA.exclude?.length ? modeA.exclude.map(displayName) : undefined,
+    qaoa_params: modeA.qaoaParams && Object.keys(modeA.qaoaParams).length ? modeA.qaoaParams : undefined,
+    seed: modeA.seed,
   };
 }
 
-function normalizeOptimize(fastApiJson) {
+function normalizeOptimize(fastApiJson, modeA = {}, { forwarded = false } = {}) {
   // Accepts FastAPI JSON and converts to stable shape for frontend
-  const parsed = FastApiOptimizeResponseSchema.parse(fastApiJson);
+  const check = FastApiOptimizeResponseSchema.safeParse(fastApiJson);
+  if (!check.success) {
+    // schema drift upstream is an upstream fault, not a bad client request
+    throw typedError("upstream_unavailable", `Quantum API returned an unexpected payload: ${check.error.issues.map(i => `${i.path.join(".")} ${i.message}`).join("; ")}`);
+  }
+  const parsed = check.data;
+
+  const stats = getDatasetStats(modeA.dataset || parsed.dataset);
 
-  const selected = parsed.portfolio.map(p => p.asset);
-  const weights = parsed.portfolio.map(p => Number(p.weight) || 0);
-  const allocation = parsed.portfolio.map(p => ({
+  // enforce minWeight/maxWeight/include/exclude whether or not FastAPI honored them
+  const resolved = resolveConstraints(modeA, stats.assets);
+  const enforced = enforceOnPortfolio(parsed.portfolio, resolved, { maxAssets: modeA.maxAssets });
+  const portfolio = enforced.portfolio;
+  if (!portfolio.length) {
+    throw typedError("bad_request", "No assets left after applying constraints");
+  }
+
+  const selected = portfolio.map(p => p.asset);
+  const weights = portfolio.map(p => Number(p.weight) || 0);
+  const allocation = portfolio.map(p => ({
     name: p.asset,
-    value: Math.round(
-      typeof p.percentage === "number" ? p.percentage : (Number(p.weight) || 0) * 100
-    ),
+    value: Math.round((Number(p.weight) || 0) * 100),
   }));
 
-  const expRets = parsed.portfolio
-    .map(p => (typeof p.expected_return === "number" ? p.expected_return : null))
-    .filter(v => v !== null);
-
-  const expectedReturn = expRets.length
-    ? expRets.reduce((a, b) => a + b, 0) / expRets.length
+  // Portfolio metrics (annualized). Per-asset returns come from FastAPI when present,
+  // otherwise from the dataset estimates; volatility always uses the dataset covariance.
+  const idx = indexOfAssets(stats, selected);
+  const periods = quantumReturnPeriods(parsed.portfolio);
+  const mu = portfolio.map((p, i) =>
+    periods && typeof p.expected_return === "number" ? p.expected_return * periods
+    : idx[i] >= 0 ? stats.mu[idx[i]]
+    : null
+  );
+  const riskFreeRate = getRiskFreeRate(stats.dataset);
+  const expectedReturn = mu.every(v => v !== null) ? portfolioReturn(weights, mu) : null;
+  const risk = idx.every(i => i >= 0) ? portfolioVolatility(weights, subMatrix(stats.cov, idx)) : null;
+  const sharpe = expectedReturn !== null && risk !== null
+    ? sharpeRatio(expectedReturn, risk, riskFreeRate)
     : null;
 
   const normalized = {
@@ -77,65 +147,58 @@ function normalizeOptimize(fastApiJson) {
     weights,
     allocation,
     expectedReturn,
-    risk: null,
-    sharpe: null,
+    risk,
+    sharpe,
     diagnostics: {
       backend: "fastapi",
       dataset: parsed.dataset,
+      riskFreeRate,
+      currency: getCurrency(stats.dataset),
+      priceSource: stats.source,
       objectiveValue: parsed.objective_value,
       gamma: parsed.gamma,
+      seed: modeA.seed,
+      constraints: describeConstraints(resolved, {
+        bounds: enforced.bounds,
+        adjusted: enforced.adjusted,
+        forwarded,
+      }),
     },
   };
 
   return NormalizedOptimizeResponseSchema.parse(normalized);
 }
 
-async function callQuantumOptimizeJSON(modeA) {
+async function callQuantumOptimizeJSON(modeA, { signal } = {}) {
   // mock mode
-  if (String(process.env.MOCK_MODE || config.mockMode).toLowerCase() === "true") {
+  if (isMockMode()) {
     const fp = path.join(process.cwd(), "scripts", "mockPayloads", "sample-optimize.json");
     const txt = await fs.readFile(fp, "utf-8");
     const json = JSON.parse(txt);
-    const normalized = normalizeOptimize(json);
+    const normalized = normalizeOptimize(json, modeA);
     normalized.runId = new Date().toISOString();
     return normalized;
   }
 
-  const base = (process.env.QUANTUM_BASE_URL || config.quantumBaseUrl || "").replace(/\/+$/, "");
-  if (!base) {
-    const err = new Error("QUANTUM_BASE_URL not set");
-    err.type = "upstream_unavailable";
-    throw err;
-  }
-
   const body = toFastApiOptimizeBody(modeA);
-  const headers = { "Content-Type": "application/json" };
-  const key = process.env.QUANTUM_API_KEY || config.quantumApiKey;
-  if (key) headers["Authorization"] = `Bearer ${key}`;
 
-  let res;
+  let json;
   try {
-    res = await httpFetch(`${base}/optimize`, {
-      method: "POST",
-      headers,
-      body: JSON.stringify(body),
-      timeoutMs: Number(process.env.REQUEST_TIMEOUT_MS || config.requestTimeoutMs || 60000),
-    });
-  } catch (e) {
-    const err = new Error("Quantum API request failed or timed out");
-    err.type = String(e || "").includes("timeout") ? "upstream_timeout" : "upstream_unavailable";
-    throw err;
-  }
-
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    const err = new Error(`Quantum API error ${res.status}: ${text || res.statusText}`);
-    err.type = res.status === 504 ? "upstream_timeout" : "upstream_unavailable";
-    throw err;
+    // pure computation on the FastAPI side, so safe to retry
+    json = await requestQuantumJSON("/optimize", { method: "POST", body, signal, idempotent: true });
+  } catch (err) {
+    if (!err.circuitOpen) throw err;
+    // breaker open: answer locally instead of failing – simulated QAOA when the universe fits, else classical
+    if (fitsSimulator(modeA.dataset)) {
+      const result = await runQaoaSimOptimize(modeA);
+      result.diagnostics.fallback = "quantum circuit open; served by local QAOA simulator";
+      return result;
+    }
+    const result = await runClassicalOptimize(modeA);
+    result.diagnostics.fallback = "quantum circuit open; served by classical solver";
+    return result;
   }
-
-  const json = await res.json();
-  return normalizeOptimize(json);
+  return normalizeOptimize(json, modeA, { forwarded: true });
 }
 
 // ---------------- REBALANCE ----------------
@@ -144,7 +207,7 @@ async function callQuantumOptimizeJSON(modeA) {
 function toFastApiRebalanceBody(ui) {
   return {
     dataset_option: mapDatasetOption(ui.dataset),
-    future_dataset_option: undefined, // let FastAPI default to <dataset>_Future
+    future_dataset_option: ui.futureDataset || undefined, // FastAPI defaults to <dataset>_Future
     budget: Number(ui.budget),
     risk_factor: mapUiRiskToFast(ui.risk),
     total_investment: Number(ui.totalInvestment),
@@ -164,84 +227,142 @@ function pluckExpRet(r) {
   return 0;
 }
 
-// Create a smooth daily path from portfolio expected return
-function synthEvolution({ days, start, muCurrent, muFuture }) {
+// Create a smooth daily path from portfolio expected return (jitter drawn from the request seed).
+// muCurrent / muFuture: annualized expected returns (decimal); periodsPerYear turns them into a daily drift.
+function synthEvolution({ days, start, muCurrent, muFuture, periodsPerYear = 252, seed }) {
+  const rng = seededRng(seed);
   const n = Math.max(5, Number(days) || 30);
   const s = Math.max(1000, Number(start) || 100000);
   let cur = s, fut = s;
   const out = [];
   for (let i = 0; i < n; i++) {
-    const curDay = (muCurrent / 100) / 22; // ~22 trading days
-    const futDay = (muFuture / 100) / 22;
-    cur *= 1 + curDay + (Math.random() - 0.5) * 0.002; // tiny jitter
-    fut *= 1 + futDay + (Math.random() - 0.5) * 0.002;
+    const curDay = muCurrent / periodsPerYear;
+    const futDay = muFuture / periodsPerYear;
+    cur *= 1 + curDay + (rng() - 0.5) * 0.002; // tiny jitter
+    fut *= 1 + futDay + (rng() - 0.5) * 0.002;
     out.push({ time: `Day ${i + 1}`, Current: Math.round(cur), Future: Math.round(fut) });
   }
   return out;
 }
 
-async function callQuantumRebalanceJSON(uiPayload) {
-  // Validate UI payload early (throws 400 in controller if invalid)
-  RebalanceRequestSchema.parse(uiPayload);
+function mockRebalance(uiPayload, { fallback } = {}) {
+  const muCurrent = 0.085;
+  const muFuture = 0.11;
+  const evolution = synthEvolution({
+    days: uiPayload.timeHorizon,
+    start: uiPayload.totalInvestment,
+    muCurrent,
+    muFuture,
+    seed: uiPayload.seed,
+  });
+  return RebalanceResponseSchema.parse({
+    runId: new Date().toISOString(),
+    dataset: mapDatasetOption(uiPayload.dataset),
+    current: [],
+    future: [],
+    actions: [],
+    evolution,
+    summary: { muCurrent, muFuture, buy: 0, sell: 0, hold: 0 },
+    fallback,
+  });
+}
 
-  // MOCK: generate evolution so the chart works without FastAPI
-  if (String(process.env.MOCK_MODE || config.mockMode).toLowerCase() === "true") {
-    const muCurrent = 8.5;
-    const muFuture = 11.0;
-    const evolution = synthEvolution({
+// Rebalance computed in Node (uploaded datasets, which FastAPI doesn't have): the current
+// portfolio is max-Sharpe over the whole history; the future one uses `futureDataset` when it is
+// exactly another registered dataset's id, else only the most recent RECENT_LOOKBACK days.
+const RECENT_LOOKBACK = 63; // ~ one quarter of trading days
+
+async function localRebalance(uiPayload) {
+  const id = datasetKey(uiPayload.dataset);
+  const futureId = String(uiPayload.futureDataset || "").trim().toUpperCase();
+  const separateFuture = futureId !== id && resolveDatasetId(futureId) === futureId;
+  const modeA = { dataset: id, maxAssets: uiPayload.budget, riskLevel: uiPayload.risk };
+  const futureOpts = separateFuture ? {} : { lookback: RECENT_LOOKBACK };
+  const futureModeA = separateFuture ? { ...modeA, dataset: futureId } : modeA;
+
+  const [cur, fut] = await Promise.all([
+    runClassicalOptimize(modeA),
+    runClassicalOptimize(futureModeA, futureOpts),
+  ]);
+
+  // expected_return per period (daily), like FastAPI, from the estimates each side was solved on
+  const holdings = (result, stats) => {
+    const periods = getPeriodsPerYear(stats.dataset);
+    const idx = indexOfAssets(stats, result.selected);
+    return result.selected.map((asset, i) => ({ asset, weight: result.weights[i], expected_return: stats.mu[idx[i]] / periods }));
+  };
+  const current = holdings(cur, getDatasetStats(id));
+  const future = holdings(fut, getDatasetStats(futureModeA.dataset, futureOpts));
+
+  const names = [...new Set([...current, ...future].map(p => p.asset))];
+  const actions = names.map(asset => {
+    const c = current.find(p => p.asset === asset);
+    const f = future.find(p => p.asset === asset);
+    const currentPct = c ? c.weight * 100 : 0;
+    const futurePct = f ? f.weight * 100 : 0;
+    const change = futurePct - currentPct;
+    const action = !c ? "BUY" : !f ? "SELL" : Math.abs(change) < 0.5 ? "HOLD" : change > 0 ? "INCREASE" : "DECREASE";
+    return { action, asset, current_pct: currentPct, future_pct: futurePct, change_pct: change };
+  });
+
+  // holdings carry daily returns; annualize each side with its own dataset's periods
+  const muW = (arr) => arr.reduce((s, a) => s + a.expected_return * a.weight, 0);
+  const periodsPerYear = getPeriodsPerYear(id);
+  const muCurrent = muW(current) * periodsPerYear;
+  const muFuture = muW(future) * getPeriodsPerYear(futureModeA.dataset);
+  return RebalanceResponseSchema.parse({
+    runId: new Date().toISOString(),
+    dataset: id,
+    current,
+    future,
+    actions,
+    evolution: synthEvolution({
       days: uiPayload.timeHorizon,
       start: uiPayload.totalInvestment,
       muCurrent,
       muFuture,
-    });
-    return RebalanceResponseSchema.parse({
-      runId: new Date().toISOString(),
-      dataset: mapDatasetOption(uiPayload.dataset),
-      current: [],
-      future: [],
-      actions: [],
-      evolution,
-      summary: { muCurrent, muFuture },
-    });
-  }
+      periodsPerYear,
+      seed: uiPayload.seed,
+    }),
+    summary: { muCurrent, muFuture, ...countActions(actions) },
+  });
+}
 
-  // LIVE: call FastAPI
-  const base = (process.env.QUANTUM_BASE_URL || config.quantumBaseUrl || "").replace(/\/+$/, "");
-  if (!base) {
-    const err = new Error("QUANTUM_BASE_URL not set");
-    err.type = "upstream_unavailable";
-    throw err;
-  }
+// Rebalance plus the executable trade list for its actions
+async function callQuantumRebalanceJSON(rawPayload) {
+  // Validate UI payload early (throws 400 in controller if invalid)
+  const parsed = RebalanceRequestSchema.parse(rawPayload);
+  const uiPayload = { ...parsed, seed: parsed.seed ?? randomSeed() };
+  const result = await rebalancePortfolios(uiPayload);
+  return {
+    ...result,
+    seed: uiPayload.seed,
+    trades: buildTradeList({
+      dataset: uiPayload.dataset,
+      actions: result.actions,
+      totalInvestment: uiPayload.totalInvestment,
+    }),
+  };
+}
 
-  const headers = { "Content-Type": "application/json" };
-  const key = process.env.QUANTUM_API_KEY || config.quantumApiKey;
-  if (key) headers["Authorization"] = `Bearer ${key}`;
+async function rebalancePortfolios(uiPayload) {
+  // uploaded (and unknown -> 400) datasets never reach FastAPI
+  if (!isBuiltinDataset(uiPayload.dataset)) return localRebalance(uiPayload);
+
+  // MOCK: generate evolution so the chart works without FastAPI
+  if (isMockMode()) return mockRebalance(uiPayload);
 
+  // LIVE: call FastAPI
   const body = toFastApiRebalanceBody(uiPayload);
 
-  let res;
+  let raw;
   try {
-    res = await httpFetch(`${base}/rebalance`, {
-      method: "POST",
-      headers,
-      body: JSON.stringify(body),
-      timeoutMs: Number(process.env.REQUEST_TIMEOUT_MS || config.requestTimeoutMs || 60000),
-    });
-  } catch (e) {
-    const err = new Error("Quantum /rebalance request failed or timed out");
-    err.type = String(e || "").includes("timeout") ? "upstream_timeout" : "upstream_unavailable";
-    throw err;
-  }
-
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    const err = new Error(`Quantum /rebalance error ${res.status}: ${text || res.statusText}`);
-    err.type = res.status === 504 ? "upstream_timeout" : "upstream_unavailable";
-    throw err;
+    raw = await requestQuantumJSON("/rebalance", { method: "POST", body, idempotent: true });
+  } catch (err) {
+    if (!err.circuitOpen) throw err;
+    return mockRebalance(uiPayload, { fallback: "quantum circuit open; synthetic rebalance" });
   }
 
-  const raw = await res.json();
-
   // FastAPI JSON (likely) fields:
   // {
   //   dataset: "NIFTY50",
@@ -277,15 +398,14 @@ async function callQuantumRebalanceJSON(uiPayload) {
       }))
     : [];
 
-  // compute weighted expected returns for current/future
-  const muW = (arr) =>
-    arr.reduce(
-      (s, a) =>
-        s +
-        (Number(a.expected_return) || 0) *
-          (Number(a.weight) || 0),
-      0
-    );
+  // compute weighted expected returns for current/future (FastAPI's are per period; annualized here,
+  // or taken from the dataset estimates when they fail the unit check)
+  const periods = quantumReturnPeriods([...current, ...future]);
+  const stats = periods ? null : getDatasetStats(uiPayload.dataset);
+  const annualReturn = (a) => periods
+    ? (Number(a.expected_return) || 0) * periods
+    : stats.mu[indexOfAssets(stats, [a.asset])[0]] ?? 0;
+  const muW = (arr) => arr.reduce((s, a) => s + annualReturn(a) * (Number(a.weight) || 0), 0);
   const muCurrent = muW(current);
   const muFuture = muW(future);
 
@@ -294,6 +414,8 @@ async function callQuantumRebalanceJSON(uiPayload) {
     start: uiPayload.totalInvestment,
     muCurrent,
     muFuture,
+    periodsPerYear: periods || getPeriodsPerYear(uiPayload.dataset),
+    seed: uiPayload.seed,
   });
 
   return RebalanceResponseSchema.parse({
@@ -303,11 +425,22 @@ async function callQuantumRebalanceJSON(uiPayload) {
     future,
     actions,
     evolution,
-    summary: { muCurrent, muFuture },
+    summary: { muCurrent, muFuture, ...countActions(actions) },
   });
 }
 
+function countActions(actions) {
+  const count = (pred) => actions.filter(a => pred(String(a.action).toUpperCase())).length;
+  return {
+    buy: count(a => a === "BUY"),
+    sell: count(a => a === "SELL"),
+    hold: count(a => a !== "BUY" && a !== "SELL"),
+  };
+}
+
 module.exports = {
   callQuantumOptimizeJSON,
   callQuantumRebalanceJSON,
+  toFastApiOptimizeBody,
+  toFastApiRebalanceBody,
 };
@@ -0,0 +1,172 @@
+// src/services/qubo.service.js
+// Asset selection as a QUBO (pick exactly k assets, equal-weight mean-variance),
+// solved locally; the chosen assets are then weighted by the classical solver.
+const {
+  portfolioReturn,
+  portfolioVolatility,
+  subMatrix,
+} = require("../utils/portfolio.math");
+const {
+  buildSelectionQubo,
+  fixVariables,
+  addLinear,
+  solveQuboExact,
+  sampleAnnealing,
+} = require("../utils/qubo");
+const { seededRng, nameSeed } = require("../utils/random");
+const { resolveConstraints } = require("../utils/constraints");
+const { getDatasetStats, getEsgFlagged } = require("./dataset.service");
+const { prepareSelection, buildResult } = require("./classical.service");
+
+// riskLevel -> risk aversion in the QUBO objective (low risk = penalize variance more)
+const RISK_AVERSION = { low: 4, medium: 2, high: 1 };
+
+// QUBO over the non-excluded pool, with forced includes pinned to 1
+function selectionQubo(modeA, prepared) {
+  const { stats, pool, forced, k } = prepared;
+  const qubo = buildSelectionQubo({
+    mu: pool.map(i => stats.mu[i]),
+    cov: subMatrix(stats.cov, pool),
+    k,
+    riskAversion: RISK_AVERSION[modeA.riskLevel] ?? RISK_AVERSION.medium,
+  });
+  const fixed = {};
+  forced.forEach(i => { fixed[pool.indexOf(i)] = 1; });
+  return fixVariables(qubo, fixed);
+}
+
+async function runExactQuboOptimize(modeA, opts = {}) {
+  return runQuboOptimize(modeA, opts, "node-qubo-exact", async (q) => {
+    const sol = await solveQuboExact(q, { signal: opts.signal });
+    return { x: sol.x, energy: sol.energy, iterations: sol.evaluated };
+  });
+}
+
+// Lowest-energy bitstring over a few annealing reads (for repeated solves, e.g. backtests)
+async function runAnnealingQuboOptimize(modeA, opts = {}) {
+  return runQuboOptimize(modeA, opts, "node-qubo-annealing", async (q, stats) => {
+    const seed = opts.seed ?? modeA.seed ?? nameSeed(`${stats.dataset}:${modeA.maxAssets}:${modeA.riskLevel}`);
+    const samples = await sampleAnnealing(q, {
+      reads: opts.reads || 64,
+      sweeps: opts.sweeps || 150,
+      betaRange: [0.1 / q.penalty, 100 / q.penalty],
+      rng: seededRng(seed),
+      signal: opts.signal,
+    });
+    const best = samples.reduce((a, b) => (b.energy < a.energy ? b : a));
+    return { x: best.x, energy: best.energy, iterations: samples.length, seed };
+  });
+}
+
+// Shared by the QUBO solvers: solve(reducedQubo, stats) -> Promise<{ x, energy, iterations, seed? }>
+async function runQuboOptimize(modeA, opts, backend, solve) {
+  const started = Date.now();
+  const prepared = prepareSelection(modeA, opts);
+  const { stats, pool, forced } = prepared;
+  const reduced = selectionQubo(modeA, prepared);
+  const sol = await solve(reduced, stats);
+
+  const picked = reduced.free.filter((_, j) => sol.x[j]).map(j => pool[j]);
+  const idx = [...forced, ...picked];
+  return buildResult(modeA, stats, idx, {
+    method: "classical",
+    backend,
+    started,
+    iterations: sol.iterations,
+    resolved: prepared.resolved,
+    adjusted: prepared.adjusted,
+    riskFreeRate: prepared.riskFreeRate,
+    diagnostics: { objectiveValue: sol.energy, seed: sol.seed },
+  });
+}
+
+// ---------------- sampling (/api/qaoa/bits) ----------------
+
+// Selection QUBO over the whole universe. Excludes, ESG flags and includes are soft
+// penalties, so samplers can still return violating bitstrings; rows report which one.
+function bitsProblem(input) {
+  const stats = getDatasetStats(input.dataset);
+  const k = Math.min(input.maxAssets, stats.assets.length);
+  const resolved = resolveConstraints(input, stats.assets);
+  const esg = input.constraints?.esg === false
+    ? []
+    : getEsgFlagged(stats.dataset).filter(a => !resolved.include.includes(a));
+  const pos = (names) => names.map(a => stats.assets.indexOf(a)).filter(i => i >= 0);
+
+  let qubo = buildSelectionQubo({
+    mu: stats.mu,
+    cov: stats.cov,
+    k,
+    riskAversion: RISK_AVERSION[input.riskLevel] ?? RISK_AVERSION.medium,
+  });
+  qubo = addLinear(qubo, pos(resolved.exclude), qubo.penalty);
+  qubo = addLinear(qubo, pos(esg), qubo.penalty / 2);
+  qubo = addLinear(qubo, pos(resolved.include), -qubo.penalty);
+
+  return { stats, k, resolved, esg, qubo };
+}
+
+// One /api/qaoa/bits row for bit vector x (asset order = dataset universe)
+function bitsRow({ stats, k, resolved, esg }, x, p, energy) {
+  const idx = x.map((v, i) => (v ? i : -1)).filter(i => i >= 0);
+  const names = idx.map(i => stats.assets[i]);
+  const w = idx.map(() => 1 / idx.length); // the QUBO scores equal-weight baskets
+  return {
+    bits: x.join(""),
+    p,
+    expRet: idx.length ? portfolioReturn(w, idx.map(i => stats.mu[i])) : 0,
+    risk: idx.length ? portfolioVolatility(w, subMatrix(stats.cov, idx)) : 0,
+    constraints: constraintStatus(names, { k, resolved, esg }),
+    energy,
+    selected: names.join("; "),
+  };
+}
+
+// Simulated annealing sampler; p = empirical frequency over the reads
+async function sampleSelections(input) {
+  const problem = bitsProblem(input);
+  const { stats, k, qubo } = problem;
+
+  const seed = input.seed ?? nameSeed(`${stats.dataset}:${k}:${input.riskLevel}`);
+  // start hot enough to cross the penalties, finish cold relative to the portfolio objective
+  const betaRange = [0.1 / qubo.penalty, 100 / qubo.penalty];
+  const samples = await sampleAnnealing(qubo, {
+    reads: input.reads,
+    sweeps: input.sweeps,
+    betaRange,
+    rng: seededRng(seed),
+  });
+
+  // empirical distribution over distinct bitstrings
+  const counts = new Map();
+  for (const s of samples) {
+    const bits = s.x.join("");
+    const e = counts.get(bits) || { x: s.x, energy: s.energy, count: 0 };
+    e.count += 1;
+    counts.set(bits, e);
+  }
+
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.energy - b.energy)
+    .slice(0, input.topK)
+    .map(e => bitsRow(problem, e.x, e.count / samples.length, e.energy));
+}
+
+function constraintStatus(names, { k, resolved, esg }) {
+  const issues = [];
+  if (names.length !== k) issues.push(`Cardinality ${names.length}/${k}`);
+  if (names.some(a => resolved.exclude.includes(a))) issues.push("Excluded asset");
+  if (names.some(a => esg.includes(a))) issues.push("ESG excluded");
+  if (resolved.include.some(a => !names.includes(a))) issues.push("Missing include");
+  return issues.length ? issues.join("; ") : "OK";
+}
+
+module.exports = {
+  RISK_AVERSION,
+  selectionQubo,
+  runExactQuboOptimize,
+  runAnnealingQuboOptimize,
+  bitsProblem,
+  bitsRow,
+  sampleSelections,
+};
@@ -0,0 +1,250 @@
+// src/services/risk.service.js
+// Value at Risk / Expected Shortfall of an allocation over a horizon of `timeHorizon` trading days.
+// Three estimates of the horizon P&L distribution, all from the same lookback window:
+//   parametric:  normal, mean and variance scaled by the horizon
+//   historical:  every overlapping `timeHorizon`-day run of past daily portfolio returns
+//   montecarlo:  daily returns drawn from a Student-t (fat tails) with the sample mean / variance
+// Weights are held fixed (rebalanced daily), so the portfolio return is w'r every day.
+const {
+  getDatasetStats,
+  getPriceHistory,
+  getPeriodsPerYear,
+  getCurrency,
+  indexOfAssets,
+} = require("./dataset.service");
+const { portfolioReturn, portfolioVariance } = require("../utils/portfolio.math");
+const { seededRng, nameSeed } = require("../utils/random");
+const { typedError } = require("../utils/errors");
+
+const METHOD_LABELS = { parametric: "Parametric (normal)", historical: "Historical", montecarlo: "Monte Carlo (Student-t)" };
+const MIN_HISTORICAL_WINDOWS = 20;
+// Monte Carlo normal draws per request (simulations x timeHorizon x (degreesOfFreedom + 1), about 0.4 s);
+// the simulation runs inline on the request
+const MAX_MC_DRAWS = 4000000;
+const DEFAULT_SIMULATIONS = 10000;
+
+// Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+    ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+const normalPdf = (z) => Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+const normalCdf = (z) => 1 - normalTail(z);
+
+// Upper tail P(Z > z) (Abramowitz-Stegun 26.2.17, |error| < 7.5e-8)
+function normalTail(z) {
+  if (z < 0) return 1 - normalTail(-z);
+  const t = 1 / (1 + 0.2316419 * z);
+  return normalPdf(z) * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+}
+
+// Standard normal draws from the seeded stream (two draws per uniform: the stream has 1e-4 resolution)
+function normalSampler(rng) {
+  const uniform = () => rng() + (rng() + 0.00005) / 10000; // (0, 1)
+  return () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+// VaR / CVaR (positive = loss, in money) from P&L outcomes sorted ascending
+function empiricalLevels(sortedPnl, levels) {
+  return levels.map(confidence => {
+    const cut = Math.max(1, Math.floor((1 - confidence) * sortedPnl.length));
+    const tail = sortedPnl.slice(0, cut);
+    return {
+      confidence,
+      var: -sortedPnl[cut - 1],
+      cvar: -tail.reduce((s, x) => s + x, 0) / tail.length,
+    };
+  });
+}
+
+// { name, value (%) } allocation -> weights aligned with the dataset universe
+function portfolioOf(alloc, stats) {
+  const idx = indexOfAssets(stats, alloc.map(a => a.name));
+  const unknown = alloc.filter((_, i) => idx[i] < 0).map(a => a.name);
+  if (unknown.length) throw typedError("bad_request", `Unknown assets for ${stats.dataset}: ${unknown.join(", ")}`);
+  const total = alloc.reduce((s, a) => s + a.value, 0);
+  if (!(total > 0)) throw typedError("bad_request", "alloc needs at least one positive weight");
+  const w = stats.assets.map(() => 0);
+  alloc.forEach((a, k) => { w[idx[k]] += a.value / total; });
+  return w;
+}
+
+// Requested simulations, or as many of DEFAULT_SIMULATIONS as fit MAX_MC_DRAWS
+function simulationCount({ simulations, timeHorizon, degreesOfFreedom }) {
+  const perSimulation = timeHorizon * (degreesOfFreedom + 1);
+  if (simulations === undefined) return Math.min(DEFAULT_SIMULATIONS, Math.floor(MAX_MC_DRAWS / perSimulation));
+  if (simulations * perSimulation > MAX_MC_DRAWS) {
+    throw typedError(
+      "bad_request",
+      `simulations x timeHorizon x (degreesOfFreedom + 1) must not exceed ${MAX_MC_DRAWS}; ` +
+      `at most ${Math.floor(MAX_MC_DRAWS / perSimulation)} simulations fit this horizon`
+    );
+  }
+  return simulations;
+}
+
+// input: VarRequestSchema output
+function computeVaR(input) {
+  const stats = getDatasetStats(input.dataset, { lookback: input.lookback });
+  const periodsPerYear = getPeriodsPerYear(stats.dataset);
+  const w = portfolioOf(input.alloc, stats);
+  const h = input.timeHorizon;
+  const equity = input.initialEquity;
+  const ruinLine = (input.threshold / 100) * equity;
+  const ruinReturn = input.threshold / 100 - 1; // horizon return that lands on the ruin line
+  const seed = input.seed ?? nameSeed(`${stats.dataset}:var:${h}`);
+
+  // daily portfolio mean / volatility
+  const mean = portfolioReturn(w, stats.mu) / periodsPerYear;
+  const sd = Math.sqrt(portfolioVariance(w, stats.cov) / periodsPerYear);
+
+  const methods = [
+    parametricVaR(mean, sd, input, ruinReturn),
+    historicalVaR(stats, w, input, ruinReturn),
+    monteCarloVaR(mean, sd, { ...input, simulations: simulationCount(input) }, ruinReturn, seed),
+  ];
+  const mc = methods[2];
+
+  return {
+    dataset: stats.dataset,
+    currency: getCurrency(stats.dataset),
+    priceSource: stats.source,
+    window: stats.window,
+    timeHorizon: h,
+    seed,
+    initialEquity: equity,
+    threshold: input.threshold,
+    ruinLine,
+    portfolio: stats.assets
+      .map((name, i) => ({ name, weight: w[i] }))
+      .filter(p => p.weight > 0)
+      .sort((a, b) => b.weight - a.weight),
+    daily: { mean, volatility: sd },
+    methods: methods.map(({ outcomes, ...m }) => m),
+    distribution: histogram(mc.outcomes, input.bins),
+  };
+}
+
+function parametricVaR(mean, sd, { timeHorizon: h, initialEquity: equity, confidence }, ruinReturn) {
+  const mu = mean * h;
+  const sigma = sd * Math.sqrt(h) || 1e-12;
+  return {
+    method: "parametric",
+    label: METHOD_LABELS.parametric,
+    levels: confidence.map(c => {
+      const z = normalQuantile(1 - c);
+      return {
+        confidence: c,
+        var: -(mu + z * sigma) * equity,
+        cvar: -(mu - (sigma * normalPdf(z)) / (1 - c)) * equity,
+      };
+    }),
+    breach: { atHorizon: normalCdf((ruinReturn - mu) / sigma) },
+  };
+}
+
+// Overlapping horizon windows over the lookback's daily closes
+function historicalVaR(stats, w, { timeHorizon: h, initialEquity: equity, confidence }, ruinReturn) {
+  const { dates, closes } = getPriceHistory(stats.dataset);
+  const from = dates.indexOf(stats.window.start);
+  const daily = [];
+  for (let t = from + 1; t < closes.length; t++) {
+    daily.push(closes[t].reduce((s, c, i) => s + w[i] * (c / closes[t - 1][i] - 1), 0));
+  }
+  const windows = daily.length - h + 1;
+  if (windows < MIN_HISTORICAL_WINDOWS) {
+    throw typedError(
+      "bad_request",
+      `Historical VaR needs at least ${MIN_HISTORICAL_WINDOWS} ${h}-day windows; ` +
+      `the lookback has ${daily.length} daily returns`
+    );
+  }
+
+  const outcomes = [];
+  let endBreaches = 0;
+  let pathBreaches = 0;
+  for (let s = 0; s < windows; s++) {
+    let value = 1;
+    let low = 1;
+    for (let t = s; t < s + h; t++) {
+      value *= 1 + daily[t];
+      low = Math.min(low, value);
+    }
+    outcomes.push((value - 1) * equity);
+    if (value - 1 <= ruinReturn) endBreaches++;
+    if (low - 1 <= ruinReturn) pathBreaches++;
+  }
+  outcomes.sort((a, b) => a - b);
+  return {
+    method: "historical",
+    label: METHOD_LABELS.historical,
+    windows,
+    levels: empiricalLevels(outcomes, confidence),
+    breach: { atHorizon: endBreaches / windows, anytime: pathBreaches / windows },
+    outcomes,
+  };
+}
+
+// Daily r = mean + sd * t_nu * sqrt((nu - 2) / nu), so the draws keep the sample variance
+function monteCarloVaR(mean, sd, input, ruinReturn, seed) {
+  const { timeHorizon: h, initialEquity: equity, confidence, simulations, degreesOfFreedom: nu } = input;
+  const normal = normalSampler(seededRng(seed));
+  const scale = sd * Math.sqrt((nu - 2) / nu);
+  const student = () => {
+    let chi2 = 0;
+    for (let k = 0; k < nu; k++) { const z = normal(); chi2 += z * z; }
+    return normal() / Math.sqrt(chi2 / nu);
+  };
+
+  const outcomes = [];
+  let endBreaches = 0;
+  let pathBreaches = 0;
+  for (let s = 0; s < simulations; s++) {
+    let value = 1;
+    let low = 1;
+    for (let t = 0; t < h; t++) {
+      value *= Math.max(0, 1 + mean + scale * student()); // a long-only book cannot lose more than it holds
+      low = Math.min(low, value);
+    }
+    outcomes.push((value - 1) * equity);
+    if (value - 1 <= ruinReturn) endBreaches++;
+    if (low - 1 <= ruinReturn) pathBreaches++;
+  }
+  outcomes.sort((a, b) => a - b);
+  return {
+    method: "montecarlo",
+    label: METHOD_LABELS.montecarlo,
+    simulations,
+    degreesOfFreedom: nu,
+    levels: empiricalLevels(outcomes, confidence),
+    breach: { atHorizon: endBreaches / simulations, anytime: pathBreaches / simulations },
+    outcomes,
+  };
+}
+
+// Sorted P&L -> [{ pnl (bin centre), count, probability }]
+function histogram(sorted, bins) {
+  const lo = sorted[0];
+  const hi = sorted[sorted.length - 1];
+  const width = (hi - lo) / bins || 1;
+  const counts = Array.from({ length: bins }, () => 0);
+  for (const x of sorted) counts[Math.min(bins - 1, Math.floor((x - lo) / width))]++;
+  return counts.map((count, k) => ({
+    pnl: lo + (k + 0.5) * width,
+    count,
+    probability: count / sorted.length,
+  }));
+}
+
+module.exports = { computeVaR };
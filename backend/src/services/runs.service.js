@@ -0,0 +1,138 @@
+// src/services/runs.service.js
+// File-backed run history (JSON lines). Each line is either a run record or a
+// tombstone { runId, deleted: true }; the file is replayed into memory on first use.
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { randomUUID } = require("node:crypto");
+const { config } = require("../config/env");
+const { logger, currentLogger } = require("../config/logger");
+
+let loading = null;   // Promise<Map<runId, record>>, loaded lazily
+let writeChain = Promise.resolve(); // serialize appends
+
+function runsFile() {
+  return path.resolve(process.cwd(), process.env.RUNS_FILE || config.runsFile || "data/runs.jsonl");
+}
+
+function load() {
+  if (!loading) {
+    loading = readAll().catch((e) => {
+      loading = null; // retry on the next call
+      throw e;
+    });
+  }
+  return loading;
+}
+
+async function readAll() {
+  const map = new Map();
+  let txt = "";
+  try {
+    txt = await fs.readFile(runsFile(), "utf-8");
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  for (const line of txt.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (rec.deleted) map.delete(rec.runId);
+      else map.set(rec.runId, rec);
+    } catch {
+      logger.warn("runs: skipping corrupt line", { file: runsFile() });
+    }
+  }
+  return map;
+}
+
+function append(rec) {
+  const next = writeChain.then(async () => {
+    await fs.mkdir(path.dirname(runsFile()), { recursive: true });
+    await fs.appendFile(runsFile(), JSON.stringify(rec) + "\n", "utf-8");
+  });
+  writeChain = next.catch(() => {}); // one failed write must not block the next
+  return next;
+}
+
+// kind: "optimize" | "rebalance"; startedAt: ms timestamp taken before the work began.
+// The stored runId is written back to output.runId, so GET /api/runs/<runId of the response> finds it.
+async function saveRun({ kind, input, output, startedAt }) {
+  const map = await load();
+  const finishedAt = Date.now();
+  let runId = output?.runId || new Date(startedAt).toISOString();
+  if (map.has(runId)) runId = `${runId}-${randomUUID().slice(0, 8)}`; // same-millisecond runs
+  if (output) output.runId = runId;
+  const rec = {
+    runId,
+    kind,
+    method: output?.method || "quantum",
+    dataset: String(output?.dataset || output?.diagnostics?.dataset || input?.dataset || input?.dataset_option || ""),
+    createdAt: new Date(startedAt).toISOString(),
+    timings: { startedAt: new Date(startedAt).toISOString(), finishedAt: new Date(finishedAt).toISOString(), durationMs: finishedAt - startedAt },
+    input,
+    output,
+    diagnostics: output?.diagnostics || null,
+  };
+  map.set(runId, rec);
+  await append(rec);
+  return rec;
+}
+
+// Never lets history failures break the response that produced the run; await it before responding
+// so the response carries the stored runId
+async function recordRun(entry) {
+  try {
+    await saveRun(entry);
+  } catch (err) {
+    currentLogger().error("runs: failed to persist run", { kind: entry.kind, err });
+  }
+}
+
+function summarize(rec) {
+  const o = rec.output || {};
+  return {
+    runId: rec.runId,
+    kind: rec.kind,
+    method: rec.method,
+    dataset: rec.dataset,
+    createdAt: rec.createdAt,
+    durationMs: rec.timings?.durationMs,
+    selected: o.selected,
+    expectedReturn: o.expectedReturn,
+    risk: o.risk,
+    sharpe: o.sharpe,
+  };
+}
+
+async function listRuns({ dataset, method, kind, from, to, limit = 50, offset = 0 } = {}) {
+  const map = await load();
+  const ds = dataset ? String(dataset).toUpperCase() : null;
+  const items = [...map.values()]
+    .filter(r => !ds || r.dataset.toUpperCase().includes(ds))
+    .filter(r => !method || r.method === method)
+    .filter(r => !kind || r.kind === kind)
+    .filter(r => !from || Date.parse(r.createdAt) >= from.getTime())
+    .filter(r => !to || Date.parse(r.createdAt) <= to.getTime())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return {
+    total: items.length,
+    limit,
+    offset,
+    items: items.slice(offset, offset + limit).map(summarize),
+  };
+}
+
+async function getRun(runId) {
+  const map = await load();
+  return map.get(runId) || null;
+}
+
+async function deleteRun(runId) {
+  const map = await load();
+  if (!map.has(runId)) return false;
+  map.delete(runId);
+  await append({ runId, deleted: true, deletedAt: new Date().toISOString() });
+  return true;
+}
+
+module.exports = { saveRun, recordRun, listRuns, getRun, deleteRun };
@@ -0,0 +1,219 @@
+// src/services/solver.registry.js
+// Optimization backends register here with their capabilities; /api/optimize picks one
+// per request (explicit `solver`, or the first solver for `method` that can take the request).
+const { getDatasetStats, datasetKey } = require("./dataset.service");
+const { isMockMode, quantumBaseUrl } = require("./quantum.client");
+const { callQuantumOptimizeJSON, toFastApiOptimizeBody } = require("./quantum.service");
+const { runClassicalOptimize, reweightSelection } = require("./classical.service");
+const { runExactQuboOptimize } = require("./qubo.service");
+const { qaoaSettings, runQaoaSimOptimize } = require("./qaoa.service");
+const { typedError } = require("../utils/errors");
+
+const ALL_CONSTRAINTS = ["minWeight", "maxWeight", "include", "exclude"];
+const FASTAPI_DATASETS = ["NIFTY50", "NASDAQ100", "CRYPTO50"]; // uploaded datasets exist only in Node
+
+const solvers = new Map(); // id -> solver (Map order = preference order per method)
+
+// solver: { id, label, method, description, capabilities, available(), run(payload, { signal }), upstreamBody? }
+// upstreamBody(payload): the body sent to FastAPI, for solvers whose answer is decided upstream (cache key)
+// capabilities: {
+//   maxAssets,      // largest maxAssets it can pick (null = no limit)
+//   maxUniverse,    // largest dataset universe it can search (null = no limit)
+//   datasets,       // dataset ids it can run on (null = any registered dataset)
+//   objectives,     // e.g. ["sharpe", "variance"]
+//   constraints,    // subset of ALL_CONSTRAINTS
+//   qaoaParams,     // accepts qaoaParams
+// }
+function registerSolver(solver) {
+  if (!solver?.id || typeof solver.run !== "function") {
+    throw new Error("registerSolver: id and run() are required");
+  }
+  solvers.set(solver.id, {
+    available: () => true,
+    ...solver,
+    capabilities: {
+      maxAssets: null,
+      maxUniverse: null,
+      datasets: null,
+      objectives: ["sharpe"],
+      constraints: [],
+      qaoaParams: false,
+      ...solver.capabilities,
+    },
+  });
+}
+
+function getSolver(id) {
+  return solvers.get(id) || null;
+}
+
+function listSolvers() {
+  const defaults = new Set(["quantum", "classical"].map(m => firstFor(m)?.id));
+  return [...solvers.values()].map(s => ({
+    id: s.id,
+    label: s.label,
+    method: s.method,
+    description: s.description,
+    available: Boolean(s.available()),
+    default: defaults.has(s.id),
+    capabilities: s.capabilities,
+  }));
+}
+
+const firstFor = (method) => [...solvers.values()].find(s => s.method === method);
+
+// Reasons the solver can't take this request ([] = fine)
+function capabilityProblems(solver, payload) {
+  const caps = solver.capabilities;
+  const problems = [];
+  const c = payload.constraints || {};
+  const used = [
+    c.minWeight !== undefined && "minWeight",
+    c.maxWeight !== undefined && "maxWeight",
+    payload.include?.length && "include",
+    payload.exclude?.length && "exclude",
+  ].filter(Boolean);
+
+  if (caps.maxAssets && payload.maxAssets > caps.maxAssets) {
+    problems.push(`maxAssets ${payload.maxAssets} exceeds ${caps.maxAssets}`);
+  }
+  if (caps.datasets && !caps.datasets.includes(datasetKey(payload.dataset))) {
+    problems.push(`dataset "${datasetKey(payload.dataset)}" not available`);
+  }
+  if (caps.maxUniverse) {
+    const size = getDatasetStats(payload.dataset).assets.length;
+    if (size > caps.maxUniverse) problems.push(`dataset has ${size} assets, limit is ${caps.maxUniverse}`);
+  }
+  const objective = payload.objective || "sharpe";
+  if (!caps.objectives.includes(objective)) problems.push(`objective "${objective}" not supported`);
+  for (const name of used) {
+    if (!caps.constraints.includes(name)) problems.push(`constraint "${name}" not supported`);
+  }
+  if (payload.qaoaParams && Object.keys(payload.qaoaParams).length && !caps.qaoaParams) {
+    problems.push("qaoaParams not supported");
+  }
+  return problems;
+}
+
+// Explicit `solver` must fit the request; otherwise take the first solver of `method` that fits
+function resolveSolver(payload) {
+  if (payload.solver) {
+    const solver = getSolver(payload.solver);
+    if (!solver) {
+      throw typedError("bad_request", `Unknown solver "${payload.solver}" (available: ${[...solvers.keys()].join(", ")})`);
+    }
+    const problems = capabilityProblems(solver, payload);
+    if (problems.length) throw typedError("bad_request", `Solver "${solver.id}" cannot run this request: ${problems.join("; ")}`);
+    return solver;
+  }
+
+  // prefer solvers that are reachable right now (e.g. the local QAOA simulator when FastAPI isn't configured)
+  const candidates = [...solvers.values()].filter(s => s.method === payload.method);
+  const fits = candidates.filter(s => !capabilityProblems(s, payload).length);
+  const fit = fits.find(s => s.available()) || fits[0];
+  if (fit) return fit;
+  const first = candidates[0];
+  if (!first) throw typedError("bad_request", `No solver registered for method "${payload.method}"`);
+  throw typedError("bad_request", `Solver "${first.id}" cannot run this request: ${capabilityProblems(first, payload).join("; ")}`);
+}
+
+// Runs the solver and tags the result with its id
+async function runSolver(solver, payload, { signal } = {}) {
+  const result = await solver.run(payload, { signal });
+  result.diagnostics = { ...result.diagnostics, solver: solver.id };
+  return result;
+}
+
+// ---------------- built-in solvers ----------------
+
+registerSolver({
+  id: "fastapi-qaoa",
+  label: "QAOA (FastAPI)",
+  method: "quantum",
+  description: "QAOA asset selection and weights from the FastAPI quantum service; constraints re-applied in Node.",
+  capabilities: {
+    maxAssets: 50,
+    datasets: FASTAPI_DATASETS,
+    objectives: ["sharpe"],
+    constraints: ALL_CONSTRAINTS,
+    qaoaParams: true,
+  },
+  available: () => isMockMode() || Boolean(quantumBaseUrl()),
+  upstreamBody: toFastApiOptimizeBody,
+  run: (payload, { signal }) => callQuantumOptimizeJSON(payload, { signal }),
+});
+
+registerSolver({
+  id: "hybrid",
+  label: "QAOA selection + Markowitz weights",
+  method: "quantum",
+  description: "Assets picked by the FastAPI QAOA run, weights re-solved by the local Markowitz solver.",
+  capabilities: {
+    maxAssets: 50,
+    datasets: FASTAPI_DATASETS,
+    objectives: ["sharpe", "variance"],
+    constraints: ALL_CONSTRAINTS,
+    qaoaParams: true,
+  },
+  available: () => isMockMode() || Boolean(quantumBaseUrl()),
+  upstreamBody: toFastApiOptimizeBody,
+  run: async (payload, { signal }) => {
+    const started = Date.now();
+    const picked = await callQuantumOptimizeJSON(payload, { signal });
+    if (picked.diagnostics?.fallback) return picked; // already answered locally
+    return reweightSelection(payload, picked.selected, {
+      method: "quantum",
+      backend: "fastapi+node-markowitz",
+      started,
+      diagnostics: { objectiveValue: picked.diagnostics?.objectiveValue, gamma: picked.diagnostics?.gamma },
+    });
+  },
+});
+
+registerSolver({
+  id: "qaoa-sim",
+  label: "QAOA (local statevector)",
+  method: "quantum",
+  description: "p-layer QAOA on the selection QUBO simulated in Node; angles tuned with Nelder-Mead, weights by the Markowitz solver.",
+  capabilities: {
+    maxUniverse: qaoaSettings().maxQubits,
+    objectives: ["sharpe", "variance"],
+    constraints: ALL_CONSTRAINTS,
+    qaoaParams: true,
+  },
+  run: (payload, { signal }) => runQaoaSimOptimize(payload, { signal }),
+});
+
+registerSolver({
+  id: "classical",
+  label: "Markowitz (Node)",
+  method: "classical",
+  description: "Long-only max-Sharpe / min-variance solver over the dataset estimates.",
+  capabilities: {
+    objectives: ["sharpe", "variance"],
+    constraints: ALL_CONSTRAINTS,
+  },
+  run: (payload, { signal }) => runClassicalOptimize(payload, { signal }),
+});
+
+registerSolver({
+  id: "exact-qubo",
+  label: "Exact QUBO (brute force)",
+  method: "classical",
+  description: "Enumerates every selection of the QUBO formulation; only for small universes.",
+  capabilities: {
+    maxUniverse: 20,
+    objectives: ["sharpe", "variance"],
+    constraints: ALL_CONSTRAINTS,
+  },
+  run: (payload, { signal }) => runExactQuboOptimize(payload, { signal }),
+});
+
+module.exports = {
+  registerSolver,
+  getSolver,
+  listSolvers,
+  capabilityProblems,
+  resolveSolver,
+  runSolver,
+};
@@ -0,0 +1,207 @@
+// src/services/stress.service.js
+// Stress tests for an allocation. Two modes:
+//   shock:  per-sector losses from the rates / oil / tech / FX knobs, or from a named scenario
+//   replay: buy-and-hold the allocation through the scenario's actual dates in a dataset's price history
+const { getPriceHistory } = require("./dataset.service");
+const { describeAsset } = require("./asset.service");
+const { typedError } = require("../utils/errors");
+
+// Historical episodes. `window` is peak to trough; `sectorLoss` are rough peak-to-trough drawdowns
+// (fractions) per stress bucket used in shock mode, falling back to the knob model for buckets not listed
+// and for buckets moved by a knob the caller sets.
+const STRESS_SCENARIOS = [
+  {
+    id: "gfc-2008",
+    name: "2008 Global Financial Crisis",
+    description: "Lehman collapse to the March 2009 low: bank failures, credit freeze, oil -60%.",
+    window: { start: "2008-09-12", end: "2009-03-09" },
+    shocks: { ratesBps: 200, oilPct: -60, techPct: -40, fxPct: 15 },
+    sectorLoss: { finance: 0.60, energy: 0.45, tech: 0.40, auto: 0.55, health: 0.25, other: 0.40 },
+  },
+  {
+    id: "taper-tantrum-2013",
+    name: "2013 Taper Tantrum",
+    description: "Fed tapering signal: yields jump, emerging-market currencies and banks sell off.",
+    window: { start: "2013-05-22", end: "2013-09-05" },
+    shocks: { ratesBps: 100, oilPct: 5, techPct: -5, fxPct: 15 },
+    sectorLoss: { finance: 0.25, energy: 0.10, tech: 0.03, auto: 0.15, health: 0.08, other: 0.12 },
+  },
+  {
+    id: "covid-2020",
+    name: "2020 COVID Crash",
+    description: "February peak to the March 23 low: lockdowns, oil demand collapse, liquidity scramble.",
+    window: { start: "2020-02-19", end: "2020-03-23" },
+    shocks: { ratesBps: 0, oilPct: -60, techPct: -28, fxPct: 6 },
+    sectorLoss: { finance: 0.40, energy: 0.50, tech: 0.28, auto: 0.45, health: 0.20, other: 0.33, crypto: 0.50 },
+  },
+  {
+    id: "crypto-winter-2022",
+    name: "2022 Crypto Winter",
+    description: "Terra/Luna and FTX collapses during the 2022 rate-hike cycle.",
+    window: { start: "2022-05-05", end: "2022-11-21" },
+    shocks: { ratesBps: 300, oilPct: -10, techPct: -25, fxPct: 5 },
+    sectorLoss: { crypto: 0.65, tech: 0.20, finance: 0.10 },
+  },
+  {
+    id: "yen-carry-2024",
+    name: "2024 Yen Carry Unwind",
+    description: "BoJ hike and weak US payrolls force a fast unwind of yen-funded positions.",
+    window: { start: "2024-07-31", end: "2024-08-05" },
+    shocks: { ratesBps: 0, oilPct: -5, techPct: -12, fxPct: 8 },
+    sectorLoss: { tech: 0.12, finance: 0.08, crypto: 0.25 },
+  },
+  {
+    id: "tariff-shock-2025",
+    name: "2025 Tariff Shock",
+    description: "US reciprocal tariff announcement: broad sell-off led by importers and tech.",
+    window: { start: "2025-04-02", end: "2025-04-08" },
+    shocks: { ratesBps: 0, oilPct: -15, techPct: -15, fxPct: 4 },
+    sectorLoss: { tech: 0.15, auto: 0.15, energy: 0.15, finance: 0.12, health: 0.08, other: 0.10, crypto: 0.15 },
+  },
+];
+
+const BASE_LOSS = { energy: 0.10, tech: 0.12, finance: 0.08, auto: 0.07, health: 0.05, crypto: 0.25, other: 0.06 };
+
+function listScenarios() {
+  return STRESS_SCENARIOS.map(s => ({ ...s }));
+}
+
+function getScenario(id) {
+  return STRESS_SCENARIOS.find(s => s.id === id) || null;
+}
+
+// Metadata sector / industry -> the stress model's buckets
+const STRESS_BUCKETS = {
+  "Energy": "energy",
+  "Information Technology": "tech",
+  "Communication Services": "tech",
+  "Financials": "finance",
+  "Health Care": "health",
+  "Crypto": "crypto",
+};
+
+function stressBucket(name) {
+  const { sector, industry } = describeAsset(name);
+  if (industry === "Automobiles") return "auto";
+  return STRESS_BUCKETS[sector] || "other";
+}
+
+// Buckets each knob moves in knobLoss
+const KNOB_BUCKETS = {
+  ratesBps: ["finance", "tech", "auto", "health", "crypto"],
+  oilPct: ["energy"],
+  techPct: ["tech", "crypto"],
+  fxPct: ["finance", "tech", "energy", "auto"],
+};
+
+// Loss fraction for a stress bucket under the knobs (clamped to 2%..35%)
+function knobLoss(sec, { ratesBps = 0, oilPct = 0, techPct = 0, fxPct = 0 }) {
+  const ratesHit  = Math.max(0, ratesBps) / 10000;
+  const oilShock  = oilPct / 100;
+  const techShock = techPct / 100;
+  const fxShock   = Math.abs(fxPct) / 100 * 0.3;
+
+  let loss = BASE_LOSS[sec] ?? BASE_LOSS.other;
+  if (sec === "finance") loss += ratesHit * 0.8 + fxShock * 0.2;
+  if (sec === "tech")    loss += ratesHit * 0.3 + Math.max(0, -techShock) * 0.6 + fxShock * 0.1;
+  if (sec === "energy")  loss += Math.max(0, oilShock) * 0.7 + fxShock * 0.1;
+  if (sec === "auto")    loss += ratesHit * 0.2 + fxShock * 0.2;
+  if (sec === "health")  loss += ratesHit * 0.1;
+  if (sec === "crypto")  loss += ratesHit * 1.5 + Math.max(0, -techShock) * 0.8;
+  return Math.max(0.02, Math.min(0.35, loss));
+}
+
+// alloc values are percentages; names without weight still get a (zero) bar
+function weightsOf(alloc) {
+  return alloc.map(a => ({ name: a.name || "Asset", w: (Number(a.value) || 0) / 100 }));
+}
+
+// Invested amount before vs bar values after
+function summarize(bars, invested) {
+  const after = bars.reduce((s, b) => s + b.value, 0);
+  return { before: Math.round(invested), after, pnl: after - Math.round(invested) };
+}
+
+// input: StressRequestSchema output
+function runStress(input) {
+  const scenario = input.scenario ? getScenario(input.scenario) : null;
+  if (input.scenario && !scenario) throw typedError("bad_request", `Unknown stress scenario "${input.scenario}" (see GET /api/stress/scenarios)`);
+  const ruinLine = Math.round((Number(input.threshold) || 0) / 100 * input.initialEquity);
+  const meta = scenario ? { id: scenario.id, name: scenario.name, window: scenario.window } : null;
+  return input.replay
+    ? { ...replayStress(input, scenario), ruinLine, scenario: meta }
+    : { ...shockStress(input, scenario), ruinLine, scenario: meta };
+}
+
+function shockStress({ alloc, initialEquity, stress }, scenario) {
+  const shocks = { ...(scenario?.shocks || {}), ...(stress || {}) };
+  // the caller's knobs override the scenario's table for the buckets they move
+  const knobbed = new Set(Object.keys(stress || {}).flatMap(k => KNOB_BUCKETS[k] || []));
+  const held = weightsOf(alloc);
+  const bars = held.map(({ name, w }) => {
+    const { sector } = describeAsset(name);
+    const bucket = stressBucket(name);
+    const tabled = knobbed.has(bucket) ? undefined : scenario?.sectorLoss?.[bucket];
+    const loss = tabled ?? knobLoss(bucket, shocks);
+    return { name, sector, bucket, loss, value: Math.max(0, Math.round(initialEquity * w * (1 - loss))) };
+  });
+  const invested = held.reduce((s, h) => s + initialEquity * h.w, 0);
+  return { mode: "shock", shocks, bars, portfolio: summarize(bars, invested) };
+}
+
+// Buy and hold through [start, end] of the dataset's daily closes
+function replayStress({ alloc, initialEquity, dataset, start, end }, scenario) {
+  const window = { start: start || scenario?.window.start, end: end || scenario?.window.end };
+  if (!window.start || !window.end) throw typedError("bad_request", "Replay needs a scenario or a start and end date");
+  const history = getPriceHistory(dataset);
+  // simulated closes would be presented as the historical episode
+  if (history.source !== "csv") {
+    throw typedError(
+      "bad_request",
+      `${history.dataset} has simulated prices only; replay needs real daily closes ` +
+      `(add <DATASET_DIR>/${history.dataset}.csv or upload a dataset via POST /api/datasets)`
+    );
+  }
+  const { dates, closes, tickers } = history;
+  if (window.start < dates[0] || window.end > dates[dates.length - 1]) {
+    throw typedError(
+      "bad_request",
+      `${history.dataset} prices cover ${dates[0]}..${dates[dates.length - 1]}; ` +
+      `the window ${window.start}..${window.end} cannot be replayed`
+    );
+  }
+  const from = dates.findIndex(d => d >= window.start);
+  let to = dates.length - 1;
+  while (to > from && dates[to] > window.end) to--;
+  if (to <= from) throw typedError("bad_request", `No trading days between ${window.start} and ${window.end}`);
+
+  const held = weightsOf(alloc).map(h => ({ ...h, i: tickers.indexOf(h.name) }));
+  const unmatched = held.filter(h => h.i < 0).map(h => h.name);
+  const matched = held.filter(h => h.i >= 0);
+  if (!matched.length) throw typedError("bad_request", `None of the allocation's assets are in ${history.dataset}`);
+
+  // portfolio value path for the drawdown
+  let peak = 0;
+  let maxDrawdown = 0;
+  for (let t = from; t <= to; t++) {
+    const v = matched.reduce((s, h) => s + h.w * closes[t][h.i] / closes[from][h.i], 0);
+    peak = Math.max(peak, v);
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, 1 - v / peak);
+  }
+
+  const bars = matched.map(({ name, w, i }) => {
+    const ret = closes[to][i] / closes[from][i] - 1;
+    return { name, sector: describeAsset(name).sector, bucket: stressBucket(name), loss: -ret, value: Math.max(0, Math.round(initialEquity * w * (1 + ret))) };
+  });
+  const invested = matched.reduce((s, h) => s + initialEquity * h.w, 0);
+  return {
+    mode: "replay",
+    dataset: history.dataset,
+    window: { start: dates[from], end: dates[to], days: to - from },
+    bars,
+    unmatched,
+    portfolio: { ...summarize(bars, invested), maxDrawdown },
+  };
+}
+
+module.exports = { listScenarios, getScenario, runStress };
@@ -0,0 +1,145 @@
+// src/services/trades.service.js
+// Rebalance actions (current_pct -> future_pct) -> executable orders at the dataset's last close:
+// whole lots (fractional units only for crypto), per-market fees, residual cash and turnover.
+// The current book is taken to be the current weights bought in whole lots at the same prices.
+// Without a price CSV the closes are simulated: the list is then only indicative (`indicative`, `priceSource`).
+const { getPriceHistory, getPeriodsPerYear, getCurrency } = require("./dataset.service");
+const { describeAsset } = require("./asset.service");
+
+// Per-market lot and fee schedule (rates are fractions of notional unless noted)
+const MARKET_RULES = {
+  // NSE cash equity, delivery: brokerage min(0.03%, ₹20) per order, STT 0.1% both sides,
+  // exchange 0.00297%, SEBI 0.0001%, stamp duty 0.015% on buys, GST 18% on brokerage + exchange + SEBI
+  NSE: {
+    lotSize: 1,
+    fees: (side, notional) => {
+      const brokerage = Math.min(notional * 0.0003, 20);
+      const exchange = notional * 0.0000297;
+      const sebi = notional * 0.000001;
+      return {
+        brokerage,
+        stt: notional * 0.001,
+        exchange,
+        sebi,
+        stamp: side === "BUY" ? notional * 0.00015 : 0,
+        gst: 0.18 * (brokerage + exchange + sebi),
+      };
+    },
+  },
+  // US equities: commission-free; SEC fee ($27.80 per $1M) and FINRA TAF ($0.000166/share, max $8.30) on sells
+  NASDAQ: {
+    lotSize: 1,
+    fees: (side, notional, quantity) => ({
+      brokerage: 0,
+      sec: side === "SELL" ? notional * 0.0000278 : 0,
+      taf: side === "SELL" ? Math.min(quantity * 0.000166, 8.3) : 0,
+    }),
+  },
+  // Spot crypto: 0.1% taker fee, units to 1e-6
+  Crypto: {
+    lotSize: 0.000001,
+    fees: (_side, notional) => ({ brokerage: notional * 0.001 }),
+  },
+};
+
+// Market for an asset: metadata first, else guessed from the dataset (daily trading -> crypto)
+function marketOf(name, dataset) {
+  const { market } = describeAsset(name);
+  if (MARKET_RULES[market]) return market;
+  if (getPeriodsPerYear(dataset) === 365) return "Crypto";
+  return getCurrency(dataset) === "INR" ? "NSE" : "NASDAQ";
+}
+
+// Whole lots not above `value` (tiny epsilon so exact multiples are not lost to rounding)
+function lotsFor(value, price, lotSize) {
+  return Math.floor(value / price / lotSize + 1e-9) * lotSize;
+}
+
+const round = (x, digits = 2) => Math.round(x * 10 ** digits) / 10 ** digits;
+
+function feesFor(market, side, notional, quantity) {
+  const parts = MARKET_RULES[market].fees(side, notional, quantity);
+  const total = Object.values(parts).reduce((s, v) => s + v, 0);
+  return { ...Object.fromEntries(Object.entries(parts).map(([k, v]) => [k, round(v)])), total: round(total) };
+}
+
+// { dataset, actions: [{ asset, current_pct, future_pct }], totalInvestment }
+// -> { currency, priceDate, priceSource, indicative, orders, totals, unpriced }
+function buildTradeList({ dataset, actions, totalInvestment }) {
+  const { tickers, dates, closes, source } = getPriceHistory(dataset);
+  const last = closes[closes.length - 1];
+  const unpriced = [];
+
+  const lines = [];
+  for (const a of actions) {
+    const i = tickers.findIndex(t => t.toLowerCase() === String(a.asset).toLowerCase());
+    if (i < 0) { unpriced.push(a.asset); continue; }
+    const market = marketOf(tickers[i], dataset);
+    const lotSize = describeAsset(tickers[i]).lotSize || MARKET_RULES[market].lotSize;
+    const price = last[i];
+    const currentQty = lotsFor((a.current_pct / 100) * totalInvestment, price, lotSize);
+    const targetQty = lotsFor((a.future_pct / 100) * totalInvestment, price, lotSize);
+    lines.push({ asset: tickers[i], market, lotSize, price, currentQty, targetQty });
+  }
+
+  const held = lines.reduce((s, l) => s + l.currentQty * l.price, 0);
+  const orderFor = (l) => {
+    const quantity = Math.abs(l.targetQty - l.currentQty);
+    const side = l.targetQty > l.currentQty ? "BUY" : "SELL";
+    const notional = quantity * l.price;
+    return {
+      asset: l.asset,
+      side,
+      quantity: round(quantity, 6),
+      price: l.price,
+      notional,
+      lotSize: l.lotSize,
+      market: l.market,
+      fees: feesFor(l.market, side, notional, quantity),
+    };
+  };
+  const cashAfter = () => {
+    const target = lines.reduce((s, l) => s + l.targetQty * l.price, 0);
+    const fees = lines.filter(l => l.targetQty !== l.currentQty).reduce((s, l) => s + orderFor(l).fees.total, 0);
+    return totalInvestment - target - fees;
+  };
+
+  // fees can push cash below zero: trim the largest buy until the book is funded
+  for (let deficit = -cashAfter(); deficit > 0; deficit = -cashAfter()) {
+    const buys = lines.filter(l => l.targetQty > l.currentQty);
+    if (!buys.length) break;
+    const size = (l) => (l.targetQty - l.currentQty) * l.price;
+    const biggest = buys.reduce((a, b) => (size(b) > size(a) ? b : a));
+    const lots = Math.max(1, Math.ceil(deficit / (biggest.price * biggest.lotSize)));
+    biggest.targetQty = Math.max(biggest.currentQty, round(biggest.targetQty - lots * biggest.lotSize, 6));
+  }
+
+  // sells first, so their proceeds fund the buys
+  const orders = lines
+    .filter(l => l.targetQty !== l.currentQty)
+    .map(orderFor)
+    .sort((a, b) => (a.side === b.side ? b.notional - a.notional : a.side === "SELL" ? -1 : 1))
+    .map(o => ({ ...o, notional: round(o.notional) }));
+
+  const sum = (side) => orders.filter(o => side === undefined || o.side === side).reduce((s, o) => s + o.notional, 0);
+  const fees = orders.reduce((s, o) => s + o.fees.total, 0);
+  return {
+    currency: getCurrency(dataset),
+    priceDate: dates[dates.length - 1],
+    priceSource: source,
+    indicative: source !== "csv",                                // simulated closes: not executable as priced
+    orders,
+    unpriced,
+    totals: {
+      buy: round(sum("BUY")),
+      sell: round(sum("SELL")),
+      fees: round(fees),
+      turnover: round(sum()),                                    // traded notional, both sides
+      turnoverPct: totalInvestment > 0 ? (sum() / totalInvestment) * 100 : 0,
+      investedBefore: round(held),
+      residualCash: round(cashAfter()),                          // uninvested after trades and fees
+    },
+  };
+}
+
+module.exports = { buildTradeList };
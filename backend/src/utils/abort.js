@@ -0,0 +1,13 @@
+// src/utils/abort.js
+// Cooperative cancellation for the CPU-bound local solvers. They await checkpoint(signal) between
+// iterations: that lets pending I/O (other requests, the DELETE of their job) run, then stops the
+// solve once `signal` is aborted.
+const { typedError } = require("./errors");
+
+// Always yields, with or without a signal, so one solve never holds the event loop for its whole run
+async function checkpoint(signal) {
+  await new Promise(resolve => setImmediate(resolve));
+  if (signal?.aborted) throw typedError("cancelled", "Solve cancelled");
+}
+
+module.exports = { checkpoint };
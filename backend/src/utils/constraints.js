@@ -0,0 +1,123 @@
+// src/utils/constraints.js
+// Shared handling of minWeight/maxWeight/include/exclude for every optimize path.
+const { projectToBoxSimplex } = require("./portfolio.math");
+const { typedError } = require("./errors");
+const { getAsset } = require("../services/asset.service");
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+// Resolve UI constraints against a universe (asset names). Names may also be an asset id or ticker
+// from the metadata registry ("INFY", "INFY.NS" -> "Infosys"). Unknown names are reported, not fatal.
+function resolveConstraints(modeA, universe = null) {
+  const c = modeA.constraints || {};
+  const known = universe ? new Map(universe.map(a => [norm(a), a])) : null;
+  const lookup = (n) => known.get(norm(n)) || known.get(norm(getAsset(n)?.name));
+  const ignored = [];
+  const pick = (names) => {
+    const out = [];
+    for (const n of names || []) {
+      const hit = known ? lookup(n) : String(n);
+      if (!hit) ignored.push(String(n));
+      else if (!out.includes(hit)) out.push(hit);
+    }
+    return out;
+  };
+
+  const exclude = pick(modeA.exclude);
+  const include = pick(modeA.include).filter(a => !exclude.includes(a));
+
+  return {
+    minWeight: typeof c.minWeight === "number" ? c.minWeight : 0,
+    maxWeight: typeof c.maxWeight === "number" ? c.maxWeight : 1,
+    include,
+    exclude,
+    ignored,
+  };
+}
+
+// Make [lo, hi] feasible for n assets (n*lo <= 1 <= n*hi), noting what had to give
+function feasibleBounds({ minWeight, maxWeight }, n, adjusted = []) {
+  let lo = minWeight;
+  let hi = maxWeight;
+  if (n > 0 && n * lo > 1) {
+    lo = 1 / n;
+    adjusted.push(`minWeight lowered to ${lo.toFixed(4)} (${n} assets)`);
+  }
+  if (n > 0 && n * hi < 1) {
+    hi = 1 / n;
+    adjusted.push(`maxWeight raised to ${hi.toFixed(4)} (${n} assets)`);
+  }
+  return { lo, hi };
+}
+
+// Every optimize path rejects include lists that do not fit in maxAssets
+function checkIncludeFits(resolved, maxAssets) {
+  const cap = Number(maxAssets) || Infinity;
+  if (resolved.include.length > cap) {
+    throw typedError("bad_request", `include lists ${resolved.include.length} assets but maxAssets is ${cap}`);
+  }
+  return cap;
+}
+
+// Post-process an upstream portfolio ([{ asset, weight, ... }]) so it respects the constraints.
+// Excluded assets are dropped, missing includes are added (each replacing the lowest-weight
+// non-included asset once the portfolio holds maxAssets), weights are projected into [lo, hi].
+function enforceOnPortfolio(portfolio, resolved, { maxAssets } = {}) {
+  const adjusted = [];
+  const cap = checkIncludeFits(resolved, maxAssets);
+  const isExcluded = (a) => resolved.exclude.some(x => norm(x) === norm(a));
+  const isIncluded = (a) => resolved.include.some(x => norm(x) === norm(a));
+  const rows = portfolio.filter(p => {
+    if (!isExcluded(p.asset)) return true;
+    adjusted.push(`dropped excluded ${p.asset}`);
+    return false;
+  });
+
+  for (const a of resolved.include) {
+    if (!rows.some(p => norm(p.asset) === norm(a))) {
+      while (rows.length >= cap) {
+        let drop = -1;
+        rows.forEach((p, i) => {
+          if (!isIncluded(p.asset) && (drop < 0 || (Number(p.weight) || 0) < (Number(rows[drop].weight) || 0))) drop = i;
+        });
+        adjusted.push(`dropped ${rows[drop].asset} to make room for included ${a}`);
+        rows.splice(drop, 1);
+      }
+      rows.push({ asset: a, weight: 1 / (rows.length + 1), expected_return: null });
+      adjusted.push(`added included ${a}`);
+    }
+  }
+  if (!rows.length) return { portfolio: [], adjusted, bounds: null };
+
+  const bounds = feasibleBounds(resolved, rows.length, adjusted);
+  const projected = projectToBoxSimplex(rows.map(p => Number(p.weight) || 0), bounds.lo, bounds.hi);
+  const changed = projected.some((w, i) => Math.abs(w - (Number(rows[i].weight) || 0)) > 1e-6);
+  if (changed) adjusted.push(`weights projected into [${bounds.lo.toFixed(4)}, ${bounds.hi.toFixed(4)}]`);
+
+  return {
+    portfolio: rows.map((p, i) => ({ ...p, weight: projected[i] })),
+    adjusted,
+    bounds,
+  };
+}
+
+// What goes into diagnostics.constraints
+function describeConstraints(resolved, { bounds, adjusted = [], forwarded = false } = {}) {
+  return {
+    minWeight: bounds ? bounds.lo : resolved.minWeight,
+    maxWeight: bounds ? bounds.hi : resolved.maxWeight,
+    include: resolved.include,
+    exclude: resolved.exclude,
+    ignored: resolved.ignored,
+    adjusted,
+    forwarded,
+  };
+}
+
+module.exports = {
+  resolveConstraints,
+  feasibleBounds,
+  checkIncludeFits,
+  enforceOnPortfolio,
+  describeConstraints,
+};
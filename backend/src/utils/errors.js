@@ -0,0 +1,52 @@
+// src/utils/errors.js
+// Error types (err.type, set where the error is thrown) -> HTTP status and the stable `code` clients branch on.
+// middleware/error.handler.js turns them into problem+json bodies; jobs.service records the code on failed jobs.
+
+const ERROR_TYPES = {
+  validation: { status: 400, code: "VALIDATION_ERROR", title: "Request failed validation" },
+  bad_request: { status: 400, code: "BAD_REQUEST", title: "Bad request" },
+  "entity.parse.failed": { status: 400, code: "MALFORMED_JSON", title: "Request body is not valid JSON" }, // express.json
+  not_found: { status: 404, code: "NOT_FOUND", title: "Not found" },
+  conflict: { status: 409, code: "CONFLICT", title: "Conflict" },
+  "entity.too.large": { status: 413, code: "PAYLOAD_TOO_LARGE", title: "Request body too large" },   // express.json
+  cancelled: { status: 499, code: "CANCELLED", title: "Request cancelled" },
+  upstream_unavailable: { status: 502, code: "UPSTREAM_UNAVAILABLE", title: "Quantum service unavailable" },
+  circuit_open: { status: 503, code: "UPSTREAM_CIRCUIT_OPEN", title: "Quantum service temporarily disabled" },
+  upstream_timeout: { status: 504, code: "UPSTREAM_TIMEOUT", title: "Quantum service timed out" },
+  internal: { status: 500, code: "INTERNAL_ERROR", title: "Internal error" },
+};
+
+function typedError(type, message, extra = {}) {
+  const err = new Error(message);
+  err.type = type;
+  Object.assign(err, extra);
+  return err;
+}
+
+// zod issue -> { path: "constraints.minWeight", message, code }
+const fieldError = (issue) => ({ path: issue.path.join("."), message: issue.message, code: issue.code });
+
+// Any thrown value -> { type, status, code, title, detail, errors?, upstreamStatus? }
+// `detail` is withheld for internal errors (the message may expose internals; it is logged instead).
+function classifyError(err) {
+  if (err?.issues) {
+    const errors = err.issues.map(fieldError);
+    return {
+      type: "validation",
+      ...ERROR_TYPES.validation,
+      detail: errors.map(e => (e.path ? `${e.path}: ${e.message}` : e.message)).join("; "),
+      errors,
+    };
+  }
+  const type = err?.circuitOpen ? "circuit_open" : ERROR_TYPES[err?.type] ? err.type : "internal";
+  const out = {
+    type,
+    ...ERROR_TYPES[type],
+    detail: type === "internal" ? "Something went wrong" : err.message,
+  };
+  if (Array.isArray(err?.details)) out.errors = err.details.map(message => ({ message }));
+  if (err?.status && type.startsWith("upstream")) out.upstreamStatus = err.status;
+  return out;
+}
+
+module.exports = { ERROR_TYPES, typedError, classifyError };
@@ -0,0 +1,144 @@
+// src/utils/openapi.js
+// zod schemas -> JSON Schema (2020-12, as used by OpenAPI 3.1) and the OpenAPI document around them.
+// Covers the zod types utils/validate.js uses; anything else becomes {} (any value).
+
+// Schemas that accept `undefined` (optional, or defaulted) are left out of `required`
+const isOptional = (schema) => schema.safeParse(undefined).success;
+
+// Named schemas are emitted once under components.schemas and referenced everywhere else
+function toJsonSchema(schema, refs = new Map()) {
+  if (refs.has(schema)) return { $ref: `#/components/schemas/${refs.get(schema)}` };
+  const def = schema._def;
+  const convert = (s) => toJsonSchema(s, refs);
+
+  switch (def.typeName) {
+    case "ZodString": {
+      const out = { type: "string" };
+      for (const c of def.checks) {
+        if (c.kind === "min") out.minLength = c.value;
+        if (c.kind === "max") out.maxLength = c.value;
+        if (c.kind === "regex") out.pattern = c.regex.source;
+      }
+      return out;
+    }
+    case "ZodNumber": {
+      const out = { type: def.checks.some(c => c.kind === "int") ? "integer" : "number" };
+      for (const c of def.checks) {
+        if (c.kind === "min") out[c.inclusive ? "minimum" : "exclusiveMinimum"] = c.value;
+        if (c.kind === "max") out[c.inclusive ? "maximum" : "exclusiveMaximum"] = c.value;
+      }
+      return out;
+    }
+    case "ZodBoolean":
+      return { type: "boolean" };
+    case "ZodDate":
+      return { type: "string", format: "date-time" };
+    case "ZodLiteral":
+      return { type: typeof def.value, const: def.value };
+    case "ZodEnum":
+      return { type: "string", enum: [...def.values] };
+    case "ZodArray": {
+      const out = { type: "array", items: convert(def.type) };
+      if (def.minLength) out.minItems = def.minLength.value;
+      if (def.maxLength) out.maxItems = def.maxLength.value;
+      return out;
+    }
+    case "ZodObject": {
+      const shape = def.shape();
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(shape)) {
+        properties[key] = convert(value);
+        if (!isOptional(value)) required.push(key);
+      }
+      const out = { type: "object", properties };
+      if (required.length) out.required = required;
+      if (def.unknownKeys === "passthrough") out.additionalProperties = true;
+      return out;
+    }
+    case "ZodRecord":
+      return { type: "object", additionalProperties: convert(def.valueType) };
+    case "ZodUnion":
+      return { anyOf: def.options.map(convert) };
+    case "ZodOptional":
+      return convert(def.innerType);
+    case "ZodNullable":
+      return { anyOf: [convert(def.innerType), { type: "null" }] };
+    case "ZodDefault":
+      return { ...convert(def.innerType), default: def.defaultValue() };
+    case "ZodEffects": // refine / transform / preprocess: document the input shape
+      return convert(def.schema);
+    default:
+      return {};
+  }
+}
+
+// Object schema -> query parameters (one per key)
+function queryParameters(schema, refs) {
+  const inner = schema._def.typeName === "ZodEffects" ? schema._def.schema : schema;
+  return Object.entries(inner._def.shape()).map(([name, value]) => ({
+    name,
+    in: "query",
+    required: !isOptional(value),
+    schema: toJsonSchema(value, refs),
+  }));
+}
+
+// "/runs/{runId}" -> path parameters
+function pathParameters(path) {
+  return [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: { type: "string" },
+  }));
+}
+
+// info: { title, version }; schemas: { Name: zodSchema }; errorSchema: name of the error body
+// operations: [{ id, method, path, summary, query?, body?, bodyTypes?, status?, response? }]
+// (body / response / query are zod schemas; named ones become $refs)
+function buildOpenApiDocument({ info, servers, schemas, errorSchema, operations }) {
+  const refs = new Map(Object.entries(schemas).map(([name, schema]) => [schema, name]));
+  const ref = (schema) => toJsonSchema(schema, refs);
+  const json = (schema) => ({ "application/json": { schema: ref(schema) } });
+  const errorResponse = {
+    description: "Problem details (RFC 7807)",
+    content: { "application/problem+json": { schema: ref(schemas[errorSchema]) } },
+  };
+
+  const paths = {};
+  for (const op of operations) {
+    const parameters = [
+      ...pathParameters(op.path),
+      ...(op.query ? queryParameters(op.query, refs) : []),
+    ];
+    const operation = { operationId: op.id, summary: op.summary };
+    if (op.tags) operation.tags = op.tags;
+    if (parameters.length) operation.parameters = parameters;
+    if (op.body) {
+      operation.requestBody = {
+        required: !isOptional(op.body),
+        content: { ...json(op.body), ...(op.bodyTypes || {}) },
+      };
+    }
+    operation.responses = {
+      [op.status || 200]: op.response
+        ? { description: "OK", content: json(op.response) }
+        : { description: "OK" },
+      default: errorResponse,
+    };
+    paths[op.path] = { ...paths[op.path], [op.method]: operation };
+  }
+
+  const components = { schemas: {} };
+  for (const [name, schema] of Object.entries(schemas)) {
+    // convert without its own entry so the component holds the definition, not a self-reference
+    const others = new Map(refs);
+    others.delete(schema);
+    components.schemas[name] = toJsonSchema(schema, others);
+  }
+
+  return { openapi: "3.1.0", info, servers, paths, components };
+}
+
+module.exports = { toJsonSchema, buildOpenApiDocument };
@@ -0,0 +1,67 @@
+// src/utils/portfolio.math.js
+// Small dense linear-algebra helpers for mean-variance work (n is tiny, so plain arrays are fine)
+const { typedError } = require("./errors");
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+function matVec(m, v) {
+  return m.map(row => dot(row, v));
+}
+
+function portfolioReturn(weights, mu) {
+  return dot(weights, mu);
+}
+
+function portfolioVariance(weights, cov) {
+  return Math.max(0, dot(weights, matVec(cov, weights)));
+}
+
+function portfolioVolatility(weights, cov) {
+  return Math.sqrt(portfolioVariance(weights, cov));
+}
+
+function sharpeRatio(ret, vol, riskFreeRate = 0) {
+  return vol > 0 ? (ret - riskFreeRate) / vol : null;
+}
+
+// Pick rows/cols `idx` out of a square matrix
+function subMatrix(m, idx) {
+  return idx.map(i => idx.map(j => m[i][j]));
+}
+
+// Euclidean projection onto { w : sum(w) = 1, lo_i <= w_i <= hi } via bisection on the shift.
+// `lo` is one floor for every asset or an array of per-asset floors.
+function projectToBoxSimplex(v, lo = 0, hi = 1) {
+  const n = v.length;
+  const floors = Array.isArray(lo) ? lo : v.map(() => lo);
+  const floorSum = floors.reduce((s, f) => s + f, 0);
+  if (floorSum > 1 + 1e-12 || n * hi < 1 - 1e-12) {
+    const range = Array.isArray(lo) ? `floors summing to ${floorSum.toFixed(4)}, max ${hi}` : `[${lo}, ${hi}]`;
+    throw typedError("bad_request", `Weight bounds ${range} are infeasible for ${n} assets`);
+  }
+  const clip = (x, i) => Math.min(hi, Math.max(floors[i], x));
+  let a = Math.min(...v) - hi;
+  let b = Math.max(...v) - Math.min(...floors);
+  for (let k = 0; k < 100; k++) {
+    const tau = (a + b) / 2;
+    const s = v.reduce((acc, x, i) => acc + clip(x - tau, i), 0);
+    if (s > 1) a = tau; else b = tau;
+  }
+  const tau = (a + b) / 2;
+  return v.map((x, i) => clip(x - tau, i));
+}
+
+module.exports = {
+  dot,
+  matVec,
+  portfolioReturn,
+  portfolioVariance,
+  portfolioVolatility,
+  sharpeRatio,
+  subMatrix,
+  projectToBoxSimplex,
+};
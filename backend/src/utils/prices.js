@@ -0,0 +1,150 @@
+// src/utils/prices.js
+// Daily close prices -> returns -> annualized mean / covariance.
+// Price files are long-format CSV: one row per (date, ticker, close), header required.
+const { typedError } = require("./errors");
+
+// Split one CSV line, honouring double-quoted fields ("Larsen & Toubro, Ltd")
+function splitCsvLine(line) {
+  const out = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      out.push(field.trim());
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  out.push(field.trim());
+  return out;
+}
+
+// CSV text -> [{ date: "YYYY-MM-DD", ticker, close }]
+function parsePriceCsv(text) {
+  const lines = String(text || "").split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) throw typedError("bad_request", "Price CSV is empty");
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const col = (name) => header.indexOf(name);
+  if (col("date") < 0 || col("ticker") < 0 || col("close") < 0) {
+    throw typedError("bad_request", "Price CSV needs a header with date, ticker and close columns");
+  }
+  return lines.slice(1).map((line, k) => {
+    const cells = splitCsvLine(line);
+    return priceRow({ date: cells[col("date")], ticker: cells[col("ticker")], close: cells[col("close")] }, `Price CSV line ${k + 2}`);
+  });
+}
+
+// { date, ticker, close } -> normalized row, or a bad_request naming `where`
+function priceRow({ date, ticker, close }, where) {
+  const row = { date: String(date ?? "").trim(), ticker: String(ticker ?? "").trim(), close: Number(close) };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date) || Number.isNaN(Date.parse(row.date)) || !row.ticker || !(row.close > 0)) {
+    throw typedError("bad_request", `${where}: expected date (YYYY-MM-DD), ticker and a positive close`);
+  }
+  return row;
+}
+
+// Rows -> aligned matrix over the dates every ticker has a close.
+// Tickers keep their first-seen order; closes[t][i] is ticker i on dates[t].
+function priceMatrix(rows) {
+  const tickers = [];
+  const byDate = new Map(); // date -> Map(ticker -> close)
+  for (const { date, ticker, close } of rows) {
+    if (!tickers.includes(ticker)) tickers.push(ticker);
+    if (!byDate.has(date)) byDate.set(date, new Map());
+    byDate.get(date).set(ticker, close);
+  }
+  const allDates = [...byDate.keys()].sort();
+  const dates = allDates.filter(d => byDate.get(d).size === tickers.length);
+  return {
+    tickers,
+    dates,
+    closes: dates.map(d => tickers.map(t => byDate.get(d).get(t))),
+    skippedDates: allDates.length - dates.length,
+  };
+}
+
+// Upload checks: duplicate (ticker, date) rows and tickers missing closes on dates others have are
+// errors; calendar gaps longer than `maxGapDays` are only reported as warnings.
+function checkPriceRows(rows, { minTickers = 2, maxTickers = 50, minDates = 30, maxGapDays = 7 } = {}) {
+  const errors = [];
+  const warnings = [];
+  const list = (items) => items.slice(0, 5).join(", ") + (items.length > 5 ? ` (+${items.length - 5} more)` : "");
+
+  const seen = new Set();
+  const duplicates = [];
+  const datesOf = new Map(); // ticker -> Set(date)
+  for (const { date, ticker } of rows) {
+    const key = `${ticker}@${date}`;
+    if (seen.has(key)) duplicates.push(key);
+    seen.add(key);
+    if (!datesOf.has(ticker)) datesOf.set(ticker, new Set());
+    datesOf.get(ticker).add(date);
+  }
+  if (duplicates.length) errors.push(`Duplicate rows for ${list(duplicates)}`);
+
+  const allDates = [...new Set(rows.map(r => r.date))].sort();
+  if (datesOf.size < minTickers) errors.push(`At least ${minTickers} tickers are required (got ${datesOf.size})`);
+  if (datesOf.size > maxTickers) errors.push(`At most ${maxTickers} tickers are supported (got ${datesOf.size})`);
+  if (allDates.length < minDates) errors.push(`At least ${minDates} dates are required (got ${allDates.length})`);
+
+  for (const [ticker, dates] of datesOf) {
+    const missing = allDates.filter(d => !dates.has(d));
+    if (missing.length) {
+      errors.push(`${ticker} has no close on ${missing.length} of ${allDates.length} dates (${list(missing)})`);
+    }
+  }
+
+  const day = (d) => Date.parse(`${d}T00:00:00Z`) / 86400000;
+  for (let t = 1; t < allDates.length; t++) {
+    const gap = day(allDates[t]) - day(allDates[t - 1]);
+    if (gap > maxGapDays) warnings.push(`${gap}-day gap between ${allDates[t - 1]} and ${allDates[t]}`);
+  }
+  return { errors, warnings, tickers: [...datesOf.keys()], dates: allDates };
+}
+
+// Rows back to CSV text (the format parsePriceCsv reads)
+function toPriceCsv(rows) {
+  const cell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return ["date,ticker,close", ...rows.map(r => [r.date, r.ticker, r.close].map(cell).join(","))].join("\n") + "\n";
+}
+
+// Simple returns between consecutive rows
+function simpleReturns(closes) {
+  const out = [];
+  for (let t = 1; t < closes.length; t++) {
+    out.push(closes[t].map((c, i) => c / closes[t - 1][i] - 1));
+  }
+  return out;
+}
+
+// Sample mean and covariance of per-period returns, scaled to annual figures
+function annualizedMoments(returns, periodsPerYear) {
+  const T = returns.length;
+  const n = returns[0]?.length || 0;
+  if (T < 2) throw typedError("bad_request", "At least three prices per asset are needed to estimate returns");
+  const mean = Array.from({ length: n }, (_, i) => returns.reduce((s, r) => s + r[i], 0) / T);
+  const cov = mean.map((_, i) => mean.map((__, j) => {
+    let s = 0;
+    for (const r of returns) s += (r[i] - mean[i]) * (r[j] - mean[j]);
+    return (s / (T - 1)) * periodsPerYear;
+  }));
+  return { mu: mean.map(m => m * periodsPerYear), cov };
+}
+
+module.exports = {
+  parsePriceCsv,
+  priceRow,
+  checkPriceRows,
+  toPriceCsv,
+  priceMatrix,
+  simpleReturns,
+  annualizedMoments,
+};
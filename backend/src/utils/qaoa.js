@@ -0,0 +1,232 @@
+// src/utils/qaoa.js
+// CPU statevector simulation of p-layer QAOA for a QUBO (see utils/qubo.js).
+// Basis index z encodes x_i as bit i of z; memory is 2 * 2^n doubles, so keep n <= ~18.
+const { checkpoint } = require("./abort");
+
+// E(z) for every basis state, walked in Gray-code order (one bit flip per step)
+function diagonalEnergies(q) {
+  const n = q.n;
+  const N = 2 ** n;
+  const energies = new Float64Array(N);
+  const x = new Uint8Array(n);
+  const field = Float64Array.from(q.linear);
+  let energy = q.offset;
+  let z = 0;
+  energies[0] = energy;
+  for (let step = 1; step < N; step++) {
+    let i = 0;
+    while (!((step >> i) & 1)) i++;
+    const d = x[i] ? -1 : 1;
+    energy += d * field[i];
+    x[i] += d;
+    z ^= 1 << i;
+    for (let j = 0; j < n; j++) if (j !== i) field[j] += d * q.quadratic[j][i];
+    energies[z] = energy;
+  }
+  return energies;
+}
+
+// 2x2 block [[cos b, -i sin b], [-i sin b, cos b]] on amplitudes z0, z1
+function rotatePair(re, im, z0, z1, cb, sb) {
+  const r0 = re[z0], i0 = im[z0], r1 = re[z1], i1 = im[z1];
+  re[z0] = cb * r0 + sb * i1;
+  im[z0] = cb * i0 - sb * r1;
+  re[z1] = cb * r1 + sb * i0;
+  im[z1] = cb * i1 - sb * r0;
+}
+
+const popcount = (z) => { let c = 0; for (; z; z &= z - 1) c++; return c; };
+
+// |psi> = prod_l [ U_mixer(beta_l) e^{-i gamma_l H} ] |psi_0>, H diagonal (h).
+// Without `cardinality`: |+>^n and RX(2 beta) on every qubit.
+// With `cardinality` k: Dicke state |D(n,k)> and a ring XY mixer, so only weight-k states
+// ever carry amplitude (the cardinality constraint holds by construction).
+function runCircuit(h, n, gammas, betas, cardinality) {
+  const N = h.length;
+  const re = new Float64Array(N);
+  const im = new Float64Array(N);
+  if (cardinality === undefined) {
+    re.fill(1 / Math.sqrt(N));
+  } else {
+    let count = 0;
+    for (let z = 0; z < N; z++) if (popcount(z) === cardinality) count++;
+    for (let z = 0; z < N; z++) if (popcount(z) === cardinality) re[z] = 1 / Math.sqrt(count);
+  }
+
+  const pairs = n < 2 ? [] : n === 2 ? [[0, 1]] : Array.from({ length: n }, (_, i) => [i, (i + 1) % n]);
+  for (let l = 0; l < gammas.length; l++) {
+    // cost layer: phase e^{-i gamma h(z)}
+    const g = gammas[l];
+    for (let z = 0; z < N; z++) {
+      const c = Math.cos(g * h[z]);
+      const s = Math.sin(g * h[z]);
+      const a = re[z];
+      const b = im[z];
+      re[z] = a * c + b * s;
+      im[z] = b * c - a * s;
+    }
+    const cb = Math.cos(betas[l]);
+    const sb = Math.sin(betas[l]);
+    if (cardinality === undefined) {
+      // RX(2 beta) on every qubit
+      for (let k = 0; k < n; k++) {
+        const bit = 1 << k;
+        for (let z = 0; z < N; z++) if (!(z & bit)) rotatePair(re, im, z, z | bit, cb, sb);
+      }
+    } else {
+      // XY(beta) on neighbouring qubits: mixes |..01..> with |..10..>
+      for (const [a, b] of pairs) {
+        const ba = 1 << a;
+        const bb = 1 << b;
+        for (let z = 0; z < N; z++) if (!(z & ba) && (z & bb)) rotatePair(re, im, z, z ^ ba ^ bb, cb, sb);
+      }
+    }
+  }
+  return { re, im };
+}
+
+function probabilities({ re, im }) {
+  const p = new Float64Array(re.length);
+  for (let z = 0; z < re.length; z++) p[z] = re[z] * re[z] + im[z] * im[z];
+  return p;
+}
+
+function expectation(h, n, gammas, betas, cardinality) {
+  const p = probabilities(runCircuit(h, n, gammas, betas, cardinality));
+  let e = 0;
+  for (let z = 0; z < h.length; z++) e += p[z] * h[z];
+  return e;
+}
+
+// Derivative-free minimizer; trace = best value after each iteration. `signal` is checked between iterations.
+async function nelderMead(f, x0, { maxIter = 100, step = 0.3, tol = 1e-8, signal } = {}) {
+  const dim = x0.length;
+  let evaluations = 0;
+  const evalf = (x) => { evaluations++; return f(x); };
+  let simplex = [x0, ...x0.map((_, i) => x0.map((v, j) => (i === j ? v + step : v)))]
+    .map(x => ({ x, fx: evalf(x) }));
+  const trace = [];
+
+  for (let it = 0; it < maxIter; it++) {
+    await checkpoint(signal);
+    simplex.sort((a, b) => a.fx - b.fx);
+    trace.push(simplex[0].fx);
+    if (simplex[dim].fx - simplex[0].fx < tol) break;
+
+    const centroid = x0.map((_, j) => simplex.slice(0, dim).reduce((s, p) => s + p.x[j], 0) / dim);
+    const towards = (t) => centroid.map((c, j) => c + t * (simplex[dim].x[j] - c));
+    const worst = simplex[dim];
+
+    const r = { x: towards(-1) };
+    r.fx = evalf(r.x);
+    if (r.fx < simplex[0].fx) {
+      const e = { x: towards(-2) };
+      e.fx = evalf(e.x);
+      simplex[dim] = e.fx < r.fx ? e : r;
+    } else if (r.fx < simplex[dim - 1].fx) {
+      simplex[dim] = r;
+    } else {
+      const c = { x: towards(r.fx < worst.fx ? -0.5 : 0.5) };
+      c.fx = evalf(c.x);
+      if (c.fx < Math.min(r.fx, worst.fx)) {
+        simplex[dim] = c;
+      } else {
+        // shrink towards the best point
+        const best = simplex[0].x;
+        simplex = simplex.map((p, i) => {
+          if (i === 0) return p;
+          const x = best.map((b, j) => b + 0.5 * (p.x[j] - b));
+          return { x, fx: evalf(x) };
+        });
+      }
+    }
+  }
+  simplex.sort((a, b) => a.fx - b.fx);
+  return { x: simplex[0].x, fx: simplex[0].fx, trace, evaluations };
+}
+
+// Full QAOA run: optimize (gamma, beta) per layer for the lowest <H>, then return the
+// final state's distribution. Energies are shifted to start at 0 and divided by their range
+// over the reachable states (or `scale`), so the angles are in those units.
+// `cardinality`: constrained QAOA (see runCircuit).
+async function simulateQaoa(q, { layers = 2, restarts = 2, maxIter = 80, scale, cardinality, rng = Math.random, signal } = {}) {
+  const n = q.n;
+  const energies = diagonalEnergies(q);
+  let min = Infinity;
+  let max = -Infinity;
+  energies.forEach((e, z) => {
+    if (cardinality !== undefined && popcount(z) !== cardinality) return;
+    if (e < min) min = e;
+    if (e > max) max = e;
+  });
+  const unit = scale || (max - min) || 1;
+  const h = energies.map(e => (e - min) / unit);
+
+  const split = (v) => ({ gammas: v.slice(0, layers), betas: v.slice(layers) });
+  const f = (v) => { const { gammas, betas } = split(v); return expectation(h, n, gammas, betas, cardinality); };
+
+  // first start: linear ramp (annealing-like), then random angles
+  const starts = [[
+    ...Array.from({ length: layers }, (_, l) => (2 * (l + 1)) / layers),
+    ...Array.from({ length: layers }, (_, l) => 0.6 * (1 - l / layers)),
+  ]];
+  for (let r = 1; r < restarts; r++) {
+    starts.push([
+      ...Array.from({ length: layers }, () => rng() * 2 * Math.PI),
+      ...Array.from({ length: layers }, () => rng() * (Math.PI / 2)),
+    ]);
+  }
+
+  let best = null;
+  let evaluations = 0;
+  const trace = [];
+  for (const x0 of starts) {
+    const run = await nelderMead(f, x0, { maxIter, signal });
+    evaluations += run.evaluations;
+    trace.push(...run.trace);
+    if (!best || run.fx < best.fx) best = run;
+  }
+
+  const { gammas, betas } = split(best.x);
+  return {
+    qubits: n,
+    layers,
+    mixer: cardinality === undefined ? "x" : "xy-ring",
+    gammas,
+    betas,
+    expectation: best.fx,                 // in normalized units (0 = best reachable state)
+    trace,                                // best <H> per Nelder-Mead iteration, all restarts
+    evaluations,
+    energies,                             // unscaled E(z)
+    probabilities: probabilities(runCircuit(h, n, gammas, betas, cardinality)),
+  };
+}
+
+// `count` most likely basis states (optionally only those passing `filter(z)`)
+function topStates(probs, count, filter = () => true) {
+  const out = [];
+  for (let z = 0; z < probs.length; z++) {
+    const p = probs[z];
+    if (out.length === count && p <= out[count - 1].p) continue;
+    if (!filter(z)) continue;
+    let i = out.length;
+    while (i > 0 && out[i - 1].p < p) i--;
+    out.splice(i, 0, { z, p });
+    if (out.length > count) out.pop();
+  }
+  return out;
+}
+
+// Basis index -> [x_0, ..., x_{n-1}]
+function bitsOf(z, n) {
+  return Array.from({ length: n }, (_, i) => (z >> i) & 1);
+}
+
+module.exports = {
+  diagonalEnergies,
+  runCircuit,
+  simulateQaoa,
+  topStates,
+  bitsOf,
+  popcount,
+};
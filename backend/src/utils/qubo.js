@@ -0,0 +1,145 @@
+// src/utils/qubo.js
+// QUBO helpers for asset selection.
+// A QUBO is { n, linear, quadratic, offset } with
+//   E(x) = offset + sum_i linear[i] x_i + sum_{i<j} quadratic[i][j] x_i x_j,  x_i in {0, 1}
+// (quadratic is symmetric with a zero diagonal).
+const { checkpoint } = require("./abort");
+
+// Equal-weight selection of exactly k assets:
+//   E(x) = riskAversion/k^2 * x'Σx - 1/k * mu'x + penalty * (sum(x) - k)^2
+function buildSelectionQubo({ mu, cov, k, riskAversion = 1, penalty }) {
+  const n = mu.length;
+  const a = riskAversion / (k * k);
+
+  // one bit flip moves the objective by at most |mu_i|/k + 2a * sum_j |Σ_ij|;
+  // a penalty above that makes every infeasible x worse than a feasible neighbour
+  const maxStep = Math.max(...mu.map((m, i) =>
+    Math.abs(m) / k + 2 * a * cov[i].reduce((s, x) => s + Math.abs(x), 0)
+  ));
+  const P = penalty ?? 2 * maxStep + 1e-9;
+
+  const linear = mu.map((m, i) => a * cov[i][i] - m / k + P * (1 - 2 * k));
+  const quadratic = cov.map((row, i) => row.map((c, j) => (i === j ? 0 : 2 * a * c + 2 * P)));
+  return { n, linear, quadratic, offset: P * k * k, penalty: P };
+}
+
+function quboEnergy(q, x) {
+  let e = q.offset;
+  for (let i = 0; i < q.n; i++) {
+    if (!x[i]) continue;
+    e += q.linear[i];
+    for (let j = i + 1; j < q.n; j++) if (x[j]) e += q.quadratic[i][j];
+  }
+  return e;
+}
+
+// Pin some variables ({ index: 0|1 }) and return the QUBO over the remaining ones.
+// `free[j]` is the original index of reduced variable j.
+function fixVariables(q, fixed) {
+  const free = [];
+  for (let i = 0; i < q.n; i++) if (!(i in fixed)) free.push(i);
+  const ones = Object.keys(fixed).map(Number).filter(i => fixed[i]);
+
+  let offset = q.offset;
+  ones.forEach((i, a) => {
+    offset += q.linear[i];
+    for (const j of ones.slice(a + 1)) offset += q.quadratic[i][j];
+  });
+  return {
+    n: free.length,
+    linear: free.map(i => q.linear[i] + ones.reduce((s, j) => s + q.quadratic[i][j], 0)),
+    quadratic: free.map(i => free.map(j => q.quadratic[i][j])),
+    offset,
+    penalty: q.penalty,
+    free,
+  };
+}
+
+// Soft penalty (or reward, amount < 0) on selecting each of `indices`
+function addLinear(q, indices, amount) {
+  const linear = q.linear.slice();
+  for (const i of indices) linear[i] += amount;
+  return { ...q, linear };
+}
+
+// Exhaustive search in Gray-code order: each step flips one bit, so it costs O(n).
+// `signal` is checked every 2^16 steps.
+async function solveQuboExact(q, { signal } = {}) {
+  const n = q.n;
+  const x = Array(n).fill(0);
+  const field = q.linear.slice(); // dE for flipping bit i from 0 to 1, given the other bits
+  let energy = q.offset;
+  let best = { x: x.slice(), energy };
+
+  const total = 2 ** n;
+  for (let step = 1; step < total; step++) {
+    if (!(step & 0xffff)) await checkpoint(signal);
+    // bit to flip = index of the lowest set bit of `step`
+    let i = 0;
+    while (!((step >> i) & 1)) i++;
+    const d = x[i] ? -1 : 1;
+    energy += d * field[i];
+    x[i] += d;
+    for (let j = 0; j < n; j++) if (j !== i) field[j] += d * q.quadratic[j][i];
+    if (energy < best.energy - 1e-12) best = { x: x.slice(), energy };
+  }
+  return { ...best, evaluated: total };
+}
+
+// Simulated annealing: `reads` independent runs of `sweeps` Metropolis sweeps each, with a
+// geometric inverse-temperature schedule over betaRange. Each sweep tries n single-bit flips
+// and n pair swaps (one bit off, one on), which keep sum(x) and so cross cardinality
+// penalties. Returns one sample per read: { x, energy }; `signal` is checked between reads.
+async function sampleAnnealing(q, { reads = 200, sweeps = 300, betaRange, rng = Math.random, signal } = {}) {
+  const n = q.n;
+  if (!n) return Array.from({ length: reads }, () => ({ x: [], energy: q.offset }));
+
+  // default range from the largest single-flip size
+  const scale = Math.max(1e-12, ...q.linear.map(Math.abs), ...q.quadratic.flat().map(Math.abs));
+  const [betaStart, betaEnd] = betaRange || [0.1 / scale, 20 / scale];
+  const ratio = sweeps > 1 ? Math.pow(betaEnd / betaStart, 1 / (sweeps - 1)) : 1;
+  const accept = (delta, beta) => delta <= 0 || rng() < Math.exp(-beta * delta);
+
+  const samples = [];
+  for (let r = 0; r < reads; r++) {
+    await checkpoint(signal);
+    const x = Array.from({ length: n }, () => (rng() < 0.5 ? 1 : 0));
+    const field = q.linear.map((l, i) => l + x.reduce((s, xj, j) => s + xj * q.quadratic[i][j], 0));
+    const flip = (i) => {
+      const d = x[i] ? -1 : 1;
+      x[i] += d;
+      for (let j = 0; j < n; j++) if (j !== i) field[j] += d * q.quadratic[j][i];
+    };
+    let energy = quboEnergy(q, x);
+    let beta = betaStart;
+    for (let sweep = 0; sweep < sweeps; sweep++, beta *= ratio) {
+      for (let i = 0; i < n; i++) {
+        const delta = (x[i] ? -1 : 1) * field[i];
+        if (!accept(delta, beta)) continue;
+        flip(i);
+        energy += delta;
+      }
+      for (let t = 0; t < n; t++) {
+        const i = Math.floor(rng() * n);
+        const j = Math.floor(rng() * n);
+        if (x[i] !== 1 || x[j] !== 0) continue;
+        const delta = field[j] - field[i] - q.quadratic[i][j];
+        if (!accept(delta, beta)) continue;
+        flip(i);
+        flip(j);
+        energy += delta;
+      }
+    }
+    samples.push({ x: x.slice(), energy });
+  }
+  return samples;
+}
+
+module.exports = {
+  buildSelectionQubo,
+  quboEnergy,
+  fixVariables,
+  addLinear,
+  solveQuboExact,
+  sampleAnnealing,
+};
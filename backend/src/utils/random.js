@@ -0,0 +1,21 @@
+// src/utils/random.js
+
+// xorshift32 – deterministic 0..1 stream for a given integer seed
+function seededRng(seed) {
+  let s = (seed >>> 0) || 1; // xorshift gets stuck on 0
+  return () => {
+    s ^= s << 13; s ^= s >>> 17; s ^= s << 5;
+    return ((s >>> 0) % 10000) / 10000; // 0..1
+  };
+}
+
+function nameSeed(str) {
+  return Array.from(String(str || "")).reduce((a, c) => a + c.charCodeAt(0), 0);
+}
+
+// Fresh seed for requests that did not pass one (echoed back so the run can be repeated)
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+module.exports = { seededRng, nameSeed, randomSeed };
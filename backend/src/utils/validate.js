@@ -2,22 +2,36 @@
 const { z } = require("zod");
 
 /** ---------- Frontend → Backend (Mode A) ---------- */
-const DatasetEnum = z.enum(["NIFTY50", "NASDAQ100", "CRYPTO50"]);
+// built-in id ("NIFTY50" | "NASDAQ100" | "CRYPTO50") or an uploaded dataset's id; checked against the registry
+const DatasetIdSchema = z.string().trim().min(1).max(64);
+const MethodEnum = z.enum(["quantum", "classical"]);
+// PRNG seed for every stochastic step of a request; echoed in the response
+const SeedSchema = z.number().int().min(0).max(0xffffffff);
+// where a response's prices came from: dataset CSV or the seeded simulation (see dataset.service.js)
+const PriceSourceSchema = z.enum(["csv", "synthetic"]);
+// per-asset weight bounds (fractions), shared by every request that optimizes weights
+const ConstraintsSchema = z.object({
+  minWeight: z.number().min(0).max(1).optional(),
+  maxWeight: z.number().min(0).max(1).optional(),
+}).refine(
+  c => c.minWeight === undefined || c.maxWeight === undefined || c.minWeight <= c.maxWeight,
+  { message: "constraints.minWeight must not exceed constraints.maxWeight" }
+);
 const OptimizeRequestSchema = z.object({
   mode: z.literal("dataset"),
-  dataset: DatasetEnum,
+  method: MethodEnum.default("quantum"),    // "classical" = local Markowitz solver
+  solver: z.string().min(1).optional(),      // solver id from GET /api/solvers (wins over `method`)
+  dataset: DatasetIdSchema,
   timeHorizon: z.number().int().positive().optional(),
   riskLevel: z.enum(["low", "medium", "high"]).default("medium"),
   budget: z.number().finite().positive(),   // total_investment (₹)
   maxAssets: z.number().int().positive(),   // how many assets to pick
   objective: z.enum(["sharpe", "variance"]).optional(),
   qaoaParams: z.record(z.any()).optional(),
-  constraints: z.object({
-    minWeight: z.number().min(0).max(1).optional(),
-    maxWeight: z.number().min(0).max(1).optional(),
-  }).partial().optional(),
+  constraints: ConstraintsSchema.optional(),
   include: z.array(z.string()).optional(),
   exclude: z.array(z.string()).optional(),
+  seed: SeedSchema.optional(),
 });
 
 /** ---------- FastAPI JSON (as returned by /optimize) ---------- */
@@ -38,30 +52,204 @@ const FastApiOptimizeResponseSchema = z.object({
 });
 
 /** ---------- Backend → Frontend (normalized) ---------- */
+// constraints as actually applied (after feasibility relaxation / post-processing)
+const ConstraintsDiagnosticsSchema = z.object({
+  minWeight: z.number(),
+  maxWeight: z.number(),
+  include: z.array(z.string()),
+  exclude: z.array(z.string()),
+  ignored: z.array(z.string()),   // names not found in the dataset
+  adjusted: z.array(z.string()),  // human-readable notes on what Node changed
+  forwarded: z.boolean(),         // sent to FastAPI as well
+});
+// local QAOA run: optimized angles, <H> trace and the most likely bitstrings (asset order = dataset)
+const QaoaDiagnosticsSchema = z.object({
+  qubits: z.number(),
+  layers: z.number(),
+  mixer: z.string(),              // "xy-ring": cardinality-preserving, starts from a Dicke state
+  gammas: z.array(z.number()),
+  betas: z.array(z.number()),
+  expectation: z.number(),        // final <H>, normalized (0 = best, 1 = worst k-asset basket)
+  trace: z.array(z.number()),     // best <H> per optimizer iteration
+  evaluations: z.number(),        // circuit simulations
+  probability: z.number(),        // of the bitstring that was selected
+  distribution: z.array(z.object({ bits: z.string(), p: z.number(), energy: z.number() })),
+});
 const NormalizedOptimizeResponseSchema = z.object({
   runId: z.string(),
-  method: z.literal("quantum"),
+  method: MethodEnum,
   selected: z.array(z.string()).min(1),
   weights: z.array(z.number()).min(1),   // 0..1
   allocation: z.array(z.object({ name: z.string(), value: z.number() })), // value in %
-  expectedReturn: z.number().nullable().optional(),
-  risk: z.number().nullable().optional(),
+  expectedReturn: z.number().nullable().optional(), // annualized, decimal
+  risk: z.number().nullable().optional(),           // annualized volatility, decimal
   sharpe: z.number().nullable().optional(),
   diagnostics: z.object({
     backend: z.string().optional(),
+    solver: z.string().optional(),         // registry id that produced the result
     dataset: z.string().optional(),
     objectiveValue: z.number().optional(),
     gamma: z.number().optional(),
+    riskFreeRate: z.number().optional(),   // annual, decimal
+    currency: z.string().optional(),       // "INR" | "USD"
+    priceSource: PriceSourceSchema.optional(), // prices behind the estimates
+    objective: z.string().optional(),
+    iterations: z.number().optional(),
+    runtimeMs: z.number().optional(),
+    fallback: z.string().optional(),       // set when the requested path was unavailable
+    seed: z.number().optional(),           // PRNG seed used (stochastic solvers / request seed)
+    qaoa: QaoaDiagnosticsSchema.optional(), // local statevector simulation only
+    selection: z.array(z.string()).optional(), // local solvers: assets picked before weighting (selected drops zero weights)
+    constraints: ConstraintsDiagnosticsSchema.optional(),
   }).partial(),
 });
+/** ---------- /api/frontier ---------- */
+const FrontierRequestSchema = z.object({
+  dataset: z.string().min(1).default("NIFTY50"),
+  constraints: ConstraintsSchema.default({}),  // applies to every asset on the frontier
+  exclude: z.array(z.string()).optional(),
+  points: z.number().int().min(5).max(100).default(25),
+  // portfolio to place against the frontier (e.g. the last optimize result)
+  portfolio: z.object({
+    selected: z.array(z.string()).min(1),
+    weights: z.array(z.number().min(0)).min(1),
+  }).refine(p => p.selected.length === p.weights.length, {
+    message: "portfolio.selected and portfolio.weights must have the same length",
+  }).optional(),
+  riskLevel: z.enum(["low", "medium", "high"]).optional(), // sent by the dashboard, not used here
+  threshold: z.number().optional(),
+});
+
+/** ---------- /api/allocation (demo data) ---------- */
+const SeedOnlySchema = z.object({ seed: SeedSchema.optional() }).passthrough();
+
+/** ---------- /api/evolution (walk-forward backtest) ---------- */
+const IsoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "expected YYYY-MM-DD");
+const BacktestRequestSchema = z.object({
+  dataset: DatasetIdSchema.default("NIFTY50"),
+  freq: z.enum(["daily", "weekly", "monthly", "quarterly"]).default("monthly"), // rebalance frequency
+  hybrid: z.boolean().default(false),               // add the QUBO-selection + Markowitz-weights curve
+  sampler: z.enum(["annealing", "qaoa"]).default("annealing"), // quantum selection at each rebalance
+  maxAssets: z.number().int().positive().default(5),
+  riskLevel: z.enum(["low", "medium", "high"]).default("medium"),
+  constraints: ConstraintsSchema.optional(),
+  include: z.array(z.string()).optional(),
+  exclude: z.array(z.string()).optional(),
+  lookback: z.number().int().min(20).max(2000).default(126), // estimation window, trading days
+  initialEquity: z.number().positive().default(100000),
+  costBps: z.number().min(0).max(500).default(10),      // commission on traded notional
+  slippageBps: z.number().min(0).max(500).default(5),   // price impact on traded notional
+  start: IsoDate.optional(),
+  end: IsoDate.optional(),
+  timeHorizon: z.number().int().positive().optional(), // trailing days to test when `start` is not given
+  seed: SeedSchema.optional(),                          // sampler seeds (one per rebalance derive from it)
+});
+
+/** ---------- /api/compare (out-of-sample evaluation) ---------- */
+const CompareRequestSchema = z.object({
+  dataset: DatasetIdSchema.default("NIFTY50"),
+  sampler: z.enum(["auto", "qaoa", "annealing"]).default("auto"), // quantum selection; auto = QAOA when it fits the simulator
+  maxAssets: z.number().int().positive().default(5),
+  riskLevel: z.enum(["low", "medium", "high"]).default("medium"),
+  constraints: ConstraintsSchema.optional(),
+  include: z.array(z.string()).optional(),
+  exclude: z.array(z.string()).optional(),
+  trainDays: z.number().int().min(20).max(2000).default(252), // estimation window, trading days
+  testDays: z.number().int().min(5).max(1000).default(63),    // held-out window after the split
+  split: IsoDate.optional(),                                  // last training day (default: testDays before the end)
+  seed: SeedSchema.optional(),
+});
+
+/** ---------- /api/stress ---------- */
+const StressRequestSchema = z.object({
+  alloc: z.array(z.object({
+    name: z.string().min(1),
+    value: z.number().min(0),                        // percent of equity
+  }).passthrough()).default([]),
+  initialEquity: z.number().positive().default(100000),
+  threshold: z.number().min(0).max(100).default(60),    // ruin line, percent of equity
+  stress: z.object({
+    ratesBps: z.number(),
+    oilPct: z.number(),
+    techPct: z.number(),
+    fxPct: z.number(),
+  }).partial().optional(),                               // knobs; override the scenario's
+  scenario: z.string().trim().min(1).optional(),         // id from GET /api/stress/scenarios
+  replay: z.boolean().default(false),                    // replay the window over real prices (csv datasets only)
+  dataset: DatasetIdSchema.default("NIFTY50"),           // price history used by replay
+  start: IsoDate.optional(),                             // replay window (defaults to the scenario's)
+  end: IsoDate.optional(),
+}).refine(s => !s.replay || s.scenario || (s.start && s.end), {
+  message: "replay needs a scenario or both start and end",
+}).refine(s => !s.start || !s.end || s.start < s.end, {
+  message: "start must be before end",
+});
+
+/** ---------- /api/risk/var ---------- */
+const VarRequestSchema = z.object({
+  dataset: DatasetIdSchema.default("NIFTY50"),
+  alloc: z.array(z.object({
+    name: z.string().min(1),
+    value: z.number().min(0),                        // percent (normalized to sum to 1)
+  }).passthrough()).min(1),
+  initialEquity: z.number().positive().default(100000),
+  timeHorizon: z.number().int().min(1).max(252).default(10), // trading days
+  threshold: z.number().min(0).max(100).default(60),    // ruin line, percent of equity
+  confidence: z.array(z.number().gt(0.5).lt(1)).min(1).max(5).default([0.9, 0.95, 0.99]),
+  lookback: z.number().int().min(20).max(5000).optional(), // estimation window, trading days
+  simulations: z.number().int().min(1000).max(20000).optional(), // default: 10000, fewer on long horizons
+  degreesOfFreedom: z.number().int().min(3).max(30).default(5), // Student-t tails (lower = fatter)
+  bins: z.number().int().min(10).max(100).default(40),  // loss-distribution histogram
+  seed: SeedSchema.optional(),
+});
+
+/** ---------- /api/qaoa/bits (local QUBO sampler) ---------- */
+const MAX_ANNEALING_WORK = 200000; // reads x sweeps per request (about 0.35 s of annealing)
+const QaoaBitsRequestSchema = z.object({
+  dataset: z.string().min(1).default("NIFTY50"),
+  maxAssets: z.number().int().positive().default(5),   // cardinality of each bitstring
+  riskLevel: z.enum(["low", "medium", "high"]).default("medium"),
+  include: z.array(z.string()).optional(),
+  exclude: z.array(z.string()).optional(),
+  constraints: z.object({
+    esg: z.boolean().default(true),                    // penalize ESG-flagged assets
+  }).default({}),
+  sampler: z.enum(["auto", "qaoa", "annealing"]).default("auto"), // auto = QAOA when it fits the simulator
+  layers: z.number().int().min(1).max(8).optional(),   // QAOA p
+  topK: z.number().int().min(1).max(50).default(5),
+  reads: z.number().int().min(1).max(5000).default(400),   // annealing runs
+  sweeps: z.number().int().min(1).max(10000).default(200), // sweeps per run
+  seed: SeedSchema.optional(),
+  threshold: z.number().optional(),                    // sent by the dashboard, not used here
+}).refine(b => b.reads * b.sweeps <= MAX_ANNEALING_WORK, {
+  message: `reads x sweeps must not exceed ${MAX_ANNEALING_WORK}`,
+});
+
 const RebalanceRequestSchema = z.object({
   // UI inputs we need; Node will map to FastAPI keys
   dataset: z.string().min(1),                 // "nifty50" | "nasdaq" | "crypto"
+  futureDataset: z.string().min(1).optional(), // e.g. "NIFTY50_Future"; FastAPI defaults to <dataset>_Future
   budget: z.number().int().positive(),        // number of assets
   risk: z.enum(['low','medium','high']),
   totalInvestment: z.number().positive(),
   timeHorizon: z.number().int().min(5).max(365).default(30), // days for chart (Node-only)
+  seed: SeedSchema.optional(),                // evolution jitter
 });
+
+// Legacy /api/rebalance body (FastAPI snake_case keys) -> UI contract above
+function fromLegacyRebalanceBody(body) {
+  if (!body || typeof body !== "object" || !("dataset_option" in body)) return body;
+  return {
+    dataset: body.dataset_option,
+    futureDataset: body.future_dataset_option || undefined,
+    budget: body.budget,
+    risk: typeof body.risk_factor === "string" ? body.risk_factor.toLowerCase() : body.risk_factor,
+    totalInvestment: body.total_investment,
+    timeHorizon: body.time_horizon,
+    seed: body.seed,
+  };
+}
+const RebalanceInputSchema = z.preprocess(fromLegacyRebalanceBody, RebalanceRequestSchema);
 const RebalanceResponseSchema = z.object({
   runId: z.string(),
   dataset: z.string(),
@@ -89,16 +277,422 @@ const RebalanceResponseSchema = z.object({
   })).default([]),
   
   summary: z.object({
-    muCurrent: z.number(),
+    muCurrent: z.number(),   // annualized expected return (decimal) of each portfolio
     muFuture: z.number(),
+    buy: z.number().int().optional(),     // action counts
+    sell: z.number().int().optional(),
+    hold: z.number().int().optional(),    // HOLD / INCREASE / DECREASE
+  }),
+  fallback: z.string().optional(),  // set when served without FastAPI (breaker open)
+  seed: z.number().optional(),      // evolution jitter seed (pass it back to reproduce)
+  trades: z.object({                // executable orders for `actions` (services/trades.service.js)
+    currency: z.string(),
+    priceDate: z.string(),
+    priceSource: PriceSourceSchema,
+    indicative: z.boolean(),        // priced off simulated closes (no dataset CSV)
+    orders: z.array(z.object({
+      asset: z.string(),
+      side: z.enum(["BUY", "SELL"]),
+      quantity: z.number(),         // whole lots; fractional units only for crypto
+      price: z.number(),
+      notional: z.number(),
+      lotSize: z.number(),
+      market: z.string(),
+      fees: z.record(z.number()),   // per fee type, plus total
+    })),
+    unpriced: z.array(z.string()),  // actions with no price in the dataset
+    totals: z.object({
+      buy: z.number(),
+      sell: z.number(),
+      fees: z.number(),
+      turnover: z.number(),
+      turnoverPct: z.number(),
+      investedBefore: z.number(),
+      residualCash: z.number(),
+    }),
+  }).optional(),
+});
+/** ---------- Run history query (GET /api/runs) ---------- */
+// a date-only `to` (YYYY-MM-DD) covers that whole day, UTC
+const endOfDay = (v) => (typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) ? `${v}T23:59:59.999Z` : v);
+const RunsQuerySchema = z.object({
+  dataset: z.string().optional(),
+  method: MethodEnum.optional(),
+  kind: z.enum(["optimize", "rebalance"]).optional(),
+  from: z.coerce.date().optional(),   // ISO date/time, inclusive
+  to: z.preprocess(endOfDay, z.coerce.date()).optional(), // inclusive
+  limit: z.coerce.number().int().min(1).max(500).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+/** ---------- /api/datasets ---------- */
+const DatasetAssetsQuerySchema = z.object({
+  lookback: z.coerce.number().int().min(2).optional(), // daily returns used for the estimates
+});
+
+/** ---------- /api/assets ---------- */
+const AssetListQuerySchema = z.object({
+  dataset: z.string().trim().min(1).optional(),
+  sector: z.string().trim().min(1).optional(),
+  esg: z.enum(["true", "false"]).transform(v => v === "true").optional(), // flagged / unflagged only
+});
+
+const PriceRowSchema = z.object({
+  date: z.string(),                        // YYYY-MM-DD
+  ticker: z.string(),
+  close: z.union([z.number(), z.string()]),
+});
+// POST /api/datasets (JSON); text/csv uploads pass name/label/currency as query parameters
+const DatasetUploadSchema = z.object({
+  name: z.string().trim().min(2).max(64),
+  label: z.string().trim().min(1).max(64).optional(),
+  currency: z.string().trim().regex(/^[A-Za-z]{3}$/, "3-letter currency code").optional(),
+  periodsPerYear: z.coerce.number().int().min(1).max(366).optional(), // default: 365 if weekends trade, else 252
+  csv: z.string().min(1).optional(),                   // date,ticker,close
+  prices: z.array(PriceRowSchema).min(1).optional(),
+}).refine(b => Boolean(b.csv) !== Boolean(b.prices), { message: "Send exactly one of csv or prices" });
+
+/** ---------- Responses (not parsed at runtime; they describe the /api/v1 contract) ---------- */
+// RFC 7807 problem details (application/problem+json); `code` is stable, see utils/errors.js
+const FieldErrorSchema = z.object({
+  path: z.string().optional(),  // "constraints.minWeight"
+  message: z.string(),
+  code: z.string().optional(),  // zod issue code
+});
+const ErrorResponseSchema = z.object({
+  type: z.string(),
+  title: z.string(),
+  status: z.number().int(),
+  detail: z.string(),
+  instance: z.string(),
+  code: z.string(),
+  requestId: z.string(),
+  errors: z.array(FieldErrorSchema).optional(),
+  upstreamStatus: z.number().int().optional(),  // status the quantum service answered with
+});
+const HealthResponseSchema = z.object({ status: z.string(), time: z.string() });
+const QuantumHealthResponseSchema = z.object({ quantumHealthy: z.boolean(), reason: z.string().optional() });
+const NamedValueSchema = z.object({ name: z.string(), value: z.number() });
+const WeightSchema = z.object({ name: z.string(), weight: z.number() });
+const WindowSchema = z.object({ start: z.string(), end: z.string() });
+
+const JobSchema = z.object({
+  id: z.string(),
+  kind: z.string(),
+  status: z.enum(["queued", "running", "succeeded", "failed", "cancelled"]),
+  createdAt: z.string(),
+  startedAt: z.string().nullable(),
+  finishedAt: z.string().nullable(),
+  elapsedMs: z.number(),
+  result: NormalizedOptimizeResponseSchema.optional(),
+  error: z.object({
+    type: z.string(),
+    code: z.string(),
+    message: z.string(),
+    errors: z.array(FieldErrorSchema).optional(),
+    upstreamStatus: z.number().int().optional(),
+  }).optional(),
+});
+
+const SolverListResponseSchema = z.object({
+  solvers: z.array(z.object({
+    id: z.string(),
+    label: z.string(),
+    method: MethodEnum,
+    description: z.string(),
+    available: z.boolean(),
+    default: z.boolean(),
+    capabilities: z.object({
+      maxAssets: z.number().nullable(),
+      maxUniverse: z.number().nullable(),
+      datasets: z.array(z.string()).nullable(),
+      objectives: z.array(z.string()),
+      constraints: z.array(z.string()),
+      qaoaParams: z.boolean(),
+    }),
+  })),
+});
+
+const FrontierPointSchema = z.object({ risk: z.number(), return: z.number(), sharpe: z.number() });
+const FrontierResponseSchema = z.object({
+  dataset: z.string(),
+  currency: z.string(),
+  priceSource: PriceSourceSchema,
+  riskFreeRate: z.number(),
+  constraints: z.object({
+    minWeight: z.number(),
+    maxWeight: z.number(),
+    exclude: z.array(z.string()),
+    ignored: z.array(z.string()),
+    adjusted: z.array(z.string()),
+  }),
+  points: z.array(FrontierPointSchema),
+  minVariance: FrontierPointSchema.extend({ weights: z.array(WeightSchema) }),
+  tangency: FrontierPointSchema.extend({ weights: z.array(WeightSchema) }),
+  current: FrontierPointSchema.extend({
+    frontierReturn: z.number(),
+    frontierRisk: z.number(),
+    returnGap: z.number(),
+    position: z.string(),
+  }).optional(),
+});
+
+const QaoaBitsResponseSchema = z.array(z.object({
+  bits: z.string(),              // one character per dataset asset
+  p: z.number(),
+  expRet: z.number(),
+  risk: z.number(),
+  constraints: z.string(),       // "OK" or the violated constraints
+  energy: z.number(),
+  selected: z.string(),          // "; "-separated names
+}));
+
+// annualized figures of an equity path (backtest, compare)
+const PerformanceSchema = z.object({
+  totalReturn: z.number(),
+  annualizedReturn: z.number(),
+  volatility: z.number(),
+  sharpe: z.number(),
+  maxDrawdown: z.number(),
+});
+const BacktestResponseSchema = z.object({
+  dataset: z.string(),
+  currency: z.string(),
+  priceSource: PriceSourceSchema,
+  freq: z.string(),
+  sampler: z.string(),
+  seed: z.number(),
+  lookback: z.number(),
+  costBps: z.number(),
+  slippageBps: z.number(),
+  initialEquity: z.number(),
+  start: z.string(),
+  end: z.string(),
+  methods: z.array(z.object({
+    method: z.enum(["classical", "quantum", "hybrid"]),
+    label: z.string(),
+    finalEquity: z.number(),
+    metrics: PerformanceSchema,
+    turnover: z.object({ total: z.number(), average: z.number() }),
+    costs: z.object({ commission: z.number(), slippage: z.number() }),
+    rebalances: z.array(z.object({
+      date: z.string(),
+      turnover: z.number(),
+      cost: z.number(),
+      weights: z.array(WeightSchema),
+    })),
+    equity: z.array(z.object({ date: z.string(), value: z.number() })),
+  })),
+  curve: z.array(z.record(z.union([z.string(), z.number()]))), // { date, Classical, Quantum, Hybrid? }
+});
+
+const RealizedSchema = PerformanceSchema.extend({ hitRate: z.number() }); // share of held-out days with a gain
+const CompareResponseSchema = z.object({
+  dataset: z.string(),
+  currency: z.string(),
+  priceSource: PriceSourceSchema,
+  sampler: z.enum(["qaoa", "annealing"]),
+  seed: z.number(),
+  riskLevel: z.string(),
+  maxAssets: z.number(),
+  train: WindowSchema.extend({ days: z.number() }),
+  test: WindowSchema.extend({ days: z.number() }),
+  methods: z.array(z.object({
+    method: MethodEnum,
+    label: z.string(),
+    backend: z.string(),
+    selected: z.array(z.string()),
+    weights: z.array(z.number()),
+    expected: z.object({ return: z.number(), volatility: z.number(), sharpe: z.number() }),
+    realized: RealizedSchema,
+  })),
+  benchmark: z.object({ label: z.string(), realized: RealizedSchema }),
+  assets: z.array(z.object({
+    name: z.string(),
+    sector: z.string(),
+    weights: z.object({ classical: z.number(), quantum: z.number() }),
+    train: z.object({ return: z.number(), volatility: z.number() }),
+    realized: RealizedSchema,
+  })),
+  curve: z.array(z.record(z.union([z.string(), z.number()]))), // { date, Classical, Quantum, "Equal weight" }
+});
+const AccuracyResponseSchema = z.object({
+  metric: z.literal("hitRate"),
+  dataset: z.string(),
+  priceSource: PriceSourceSchema,
+  test: WindowSchema.extend({ days: z.number() }),
+  quantum: z.number(),   // %
+  classical: z.number(),
+});
+const StressScenarioSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  description: z.string(),
+  window: WindowSchema,
+  shocks: z.object({ ratesBps: z.number(), oilPct: z.number(), techPct: z.number(), fxPct: z.number() }),
+  sectorLoss: z.record(z.number()),
+});
+const StressScenarioListResponseSchema = z.object({ scenarios: z.array(StressScenarioSchema) });
+const StressResponseSchema = z.object({
+  mode: z.enum(["shock", "replay"]),
+  shocks: z.record(z.number()).optional(),           // shock mode
+  dataset: z.string().optional(),                    // replay mode
+  window: WindowSchema.extend({ days: z.number() }).optional(),
+  unmatched: z.array(z.string()).optional(),
+  bars: z.array(z.object({
+    name: z.string(),
+    sector: z.string(),
+    bucket: z.string(),
+    loss: z.number(),                                // fraction (negative = gain in replay)
+    value: z.number(),
+  })),
+  portfolio: z.object({
+    before: z.number(),
+    after: z.number(),
+    pnl: z.number(),
+    maxDrawdown: z.number().optional(),
   }),
+  ruinLine: z.number(),
+  scenario: z.object({ id: z.string(), name: z.string(), window: WindowSchema }).nullable(),
+});
+
+const VarLevelSchema = z.object({ confidence: z.number(), var: z.number(), cvar: z.number() });
+const VarResponseSchema = z.object({
+  dataset: z.string(),
+  currency: z.string(),
+  priceSource: PriceSourceSchema,
+  window: WindowSchema.extend({ observations: z.number() }),
+  timeHorizon: z.number(),
+  seed: z.number(),
+  initialEquity: z.number(),
+  threshold: z.number(),
+  ruinLine: z.number(),
+  portfolio: z.array(WeightSchema),
+  daily: z.object({ mean: z.number(), volatility: z.number() }),
+  methods: z.array(z.object({
+    method: z.enum(["parametric", "historical", "montecarlo"]),
+    label: z.string(),
+    levels: z.array(VarLevelSchema),
+    breach: z.object({ atHorizon: z.number(), anytime: z.number().optional() }),
+    windows: z.number().optional(),
+    simulations: z.number().optional(),
+    degreesOfFreedom: z.number().optional(),
+  })),
+  distribution: z.array(z.object({ pnl: z.number(), count: z.number(), probability: z.number() })),
+});
+
+const RunSummarySchema = z.object({
+  runId: z.string(),
+  kind: z.enum(["optimize", "rebalance"]),
+  method: z.string().optional(),
+  dataset: z.string().optional(),
+  createdAt: z.string(),
+  durationMs: z.number().optional(),
+  selected: z.array(z.string()).optional(),
+  expectedReturn: z.number().nullable().optional(),
+  risk: z.number().nullable().optional(),
+  sharpe: z.number().nullable().optional(),
 });
+const RunListResponseSchema = z.object({
+  total: z.number(),
+  limit: z.number(),
+  offset: z.number(),
+  items: z.array(RunSummarySchema),
+});
+const RunSchema = z.object({
+  runId: z.string(),
+  kind: z.enum(["optimize", "rebalance"]),
+  method: z.string().optional(),
+  dataset: z.string().optional(),
+  createdAt: z.string(),
+  timings: z.object({ startedAt: z.string(), finishedAt: z.string(), durationMs: z.number() }),
+  input: z.record(z.any()),
+  output: z.record(z.any()),
+});
+
+const DatasetInfoSchema = z.object({
+  id: z.string(),
+  label: z.string(),
+  currency: z.string(),
+  periodsPerYear: z.number(),
+  custom: z.boolean(),
+  source: z.string(),
+  assetCount: z.number(),
+  start: z.string(),
+  end: z.string(),
+  prices: z.number(),
+});
+const DatasetListResponseSchema = z.object({ datasets: z.array(DatasetInfoSchema) });
+const DatasetUploadResponseSchema = z.object({ dataset: DatasetInfoSchema, warnings: z.array(z.string()) });
+const DatasetAssetsResponseSchema = DatasetInfoSchema.extend({
+  window: WindowSchema.extend({ observations: z.number() }),
+  assets: z.array(z.object({
+    name: z.string(),
+    ticker: z.string(),
+    sector: z.string(),
+    industry: z.string(),
+    expectedReturn: z.number(),
+    volatility: z.number(),
+    lastClose: z.number(),
+    esgFlagged: z.boolean(),
+    esg: z.array(z.string()),
+  })),
+});
+
+const AssetSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  ticker: z.string(),
+  sector: z.string(),
+  industry: z.string(),
+  market: z.string(),
+  currency: z.string(),
+  esg: z.array(z.string()),
+  datasets: z.array(z.string()),
+});
+const AssetListResponseSchema = z.object({ assets: z.array(AssetSchema) });
+
 module.exports = {
   OptimizeRequestSchema,
   FastApiOptimizeResponseSchema,
   NormalizedOptimizeResponseSchema,
-  DatasetEnum,
+  DatasetIdSchema,
+  MethodEnum,
+  FrontierRequestSchema,
+  SeedSchema,
+  ConstraintsSchema,
+  SeedOnlySchema,
+  BacktestRequestSchema,
+  CompareRequestSchema,
+  StressRequestSchema,
+  VarRequestSchema,
+  QaoaBitsRequestSchema,
   RebalanceRequestSchema,
+  RebalanceInputSchema,
   RebalanceResponseSchema,
-
+  RunsQuerySchema,
+  DatasetAssetsQuerySchema,
+  AssetListQuerySchema,
+  DatasetUploadSchema,
+  ErrorResponseSchema,
+  HealthResponseSchema,
+  QuantumHealthResponseSchema,
+  NamedValueSchema,
+  JobSchema,
+  SolverListResponseSchema,
+  FrontierResponseSchema,
+  QaoaBitsResponseSchema,
+  BacktestResponseSchema,
+  CompareResponseSchema,
+  AccuracyResponseSchema,
+  StressScenarioListResponseSchema,
+  StressResponseSchema,
+  VarResponseSchema,
+  RunListResponseSchema,
+  RunSchema,
+  DatasetListResponseSchema,
+  DatasetUploadResponseSchema,
+  DatasetAssetsResponseSchema,
+  AssetSchema,
+  AssetListResponseSchema,
 };
@@ -1,9 +1,16 @@
-import React from "react";
+import React, { useEffect } from "react";
+import { useDispatch } from "react-redux";
+import { loadDatasetsThunk } from "./store/uiSlice";
 import Dashboard from "./components/Dashboard";
 import ToastContainer from "./components/ToastContainer";
 import AboutModal from "./components/AboutModal";
 
 export default function App() {
+  const dispatch = useDispatch();
+
+  // uploaded datasets for the dataset dropdowns
+  useEffect(() => { dispatch(loadDatasetsThunk()); }, [dispatch]);
+
   return (
     <>
       <Dashboard />
@@ -1,16 +1,19 @@
 // src/components/Dashboard.js
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import Navbar from "./Navbar.js";
 import { useDispatch, useSelector } from "react-redux";
 import {
   addToast,
   setTimeHorizon,
   setThreshold,
+  setSeed,
   setInitialEquity,
   setRiskLevel,
   setMaxAssets,
+  setIncludeAssets,
+  setExcludeAssets,
 } from "../store/uiSlice";
-import { runOptimizeThunk } from "../store/uiSlice";
+import { runOptimizeThunk, buildOptimizePayload } from "../store/uiSlice";
 
 import EmptyState from "./EmptyState.js";
 import Skeleton from "./Skeleton.js";
@@ -19,7 +22,7 @@ import { downloadJSON, downloadCSV } from "../utils/exporters.js";
 import {
   XAxis, YAxis, Tooltip, ResponsiveContainer,
   PieChart, Pie, Legend, BarChart, Bar, CartesianGrid,
-  ReferenceLine, ScatterChart, Scatter
+  ReferenceLine, ScatterChart, Scatter, LineChart, Line, Cell
 } from "recharts";
 
 import {
@@ -28,6 +31,10 @@ import {
   runQAOASelection,
   fetchAllocation,
   stressSim,
+  fetchStressScenarios,
+  fetchValueAtRisk,
+  fetchAssets,
+  fetchComparison,
   fetchRebalance, // POST /api/rebalance
 } from "../lib/api.js";
 
@@ -51,6 +58,7 @@ const ChartCaption = ({ x, y }) => (
 const COLORS = ["#7C3AED", "#3B82F6", "#10B981", "#F59E0B", "#EF4444", "#22C55E", "#06B6D4"];
 const currency = (v) => `₹${Number(v).toLocaleString("en-IN")}`;
 const percent = (v, digits = 0) => `${Number(v).toFixed(digits)}%`;
+const splitNames = (txt) => String(txt || "").split(",").map(t => t.trim()).filter(Boolean);
 
 /* ---------- Dataset → API mapping (Home dataset → backend value) ---------- */
 const DATASET_API_MAP = {
@@ -75,7 +83,7 @@ function CompareTooltip({ active, payload }) {
         {(p.name ?? "")} • {(p._model ?? "")}
       </div>
       <div>Risk (σ): <b>{Number(p.risk ?? 0).toFixed(1)}%</b></div>
-      <div>Expected Return: <b>{Number(p.ret ?? 0).toFixed(1)}%</b></div>
+      <div>Return: <b>{Number(p.ret ?? 0).toFixed(1)}%</b></div>
     </div>
   );
 }
@@ -98,10 +106,11 @@ export default function Dashboard() {
   /* ---------- Global UI state ---------- */
   const {
     dataset, riskLevel, options,
-    initialEquity, timeHorizon, threshold,
-    maxAssets,
+    initialEquity, timeHorizon, threshold, seed,
+    maxAssets, includeAssets, excludeAssets,
     activeTab,
-    optimizeStatus, optimizeResult,
+    optimizeStatus, optimizeResult, optimizeJob,
+    customDatasets,
   } = useSelector((s) => s.ui);
 
   const safeRiskLevel = (typeof riskLevel === "string" && riskLevel.length) ? riskLevel : "medium";
@@ -110,22 +119,28 @@ export default function Dashboard() {
   /* ---------- Local state ---------- */
   const [activeSlice, setActiveSlice] = useState(null);
 
-  // Compare (uses demo data; no backend dependency to avoid missing export errors)
+  // Compare (POST /api/compare out-of-sample evaluation)
   const [compareLoading, setCompareLoading] = useState(false);
-  const [accuracy, setAccuracy] = useState(null);
-  const [riskReturn, setRiskReturn] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [compareError, setCompareError] = useState("");
   const [selectedAsset, setSelectedAsset] = useState(null);
+  const [assetMeta, setAssetMeta] = useState({}); // name -> { sector, industry, market, esg, ... }
 
   // Allocation / Frontier / Stress
-  const [frontier, setFrontier] = useState([]);
+  const [frontier, setFrontier] = useState(null); // { points, minVariance, tangency, current? }
   const [sharpeData, setSharpeData] = useState([]);
   const [alloc, setAlloc] = useState([]);
   const [evolution, setEvolution] = useState([]); // kept only for export JSON compatibility
   const [topBits, setTopBits] = useState([]);
   const [stressed, setStressed] = useState({ bars: [], ruinLine: 0 });
+  const [stressScenarios, setStressScenarios] = useState([]);
+  const [stressScenario, setStressScenario] = useState(""); // "" = custom knobs
+  const [stressReplay, setStressReplay] = useState(false);
+  const [valueAtRisk, setValueAtRisk] = useState(null); // POST /api/risk/var
+  const [varError, setVarError] = useState("");
 
   const [loading, setLoading] = useState({
-    frontier: false, sharpe: false, qaoa: false, alloc: false, stress: false
+    frontier: false, sharpe: false, qaoa: false, alloc: false, stress: false, var: false
   });
 
   // Rebalancing
@@ -133,17 +148,24 @@ export default function Dashboard() {
   const [futureDataset, setFutureDataset] = useState("NIFTY50_Future");
   const [rebal, setRebal] = useState(null);
 
-  /* ---------- Initial demo loads (frontier/sharpe/qaoa/alloc) ---------- */
+  /* ---------- Initial demo loads (sharpe/qaoa/alloc) ---------- */
   useEffect(() => {
     (async () => {
       try {
-        setLoading((l) => ({ ...l, frontier: true, sharpe: true, qaoa: true, alloc: true }));
-        const [f, s, bits] = await Promise.all([
-          fetchEfficientFrontier({ riskLevel: safeRiskLevel, constraints: {}, threshold }),
+        setLoading((l) => ({ ...l, sharpe: true, qaoa: true, alloc: true }));
+        const [s, bits] = await Promise.all([
           fetchSharpeComparison({}),
-          runQAOASelection({ constraints: {}, threshold }),
+          runQAOASelection({
+            dataset,
+            maxAssets: Math.max(1, Math.floor(Number(maxAssets) || 5)),
+            riskLevel: safeRiskLevel,
+            include: includeAssets,
+            exclude: excludeAssets,
+            constraints: {},
+            threshold,
+            seed: seed ?? undefined,
+          }),
         ]);
-        setFrontier(f);
         setSharpeData(s);
         setTopBits(bits);
 
@@ -152,51 +174,67 @@ export default function Dashboard() {
           hybrid: true,
           threshold,
           dataset,
+          seed: seed ?? undefined,
         });
         setAlloc(allocData);
       } catch (e) {
         console.error(e);
         dispatch(addToast({ type: "error", msg: "Initial data load failed. Try again." }));
       } finally {
-        setLoading((l) => ({ ...l, frontier: false, sharpe: false, qaoa: false, alloc: false }));
+        setLoading((l) => ({ ...l, sharpe: false, qaoa: false, alloc: false }));
       }
     })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  /* ---------- Compare tab (client-side demo data) ---------- */
-  useEffect(() => { setSelectedAsset(null); }, [riskReturn]);
+  /* ---------- Asset metadata (sector / industry / ESG) ---------- */
+  useEffect(() => {
+    fetchAssets({ dataset: buildOptimizePayload({ dataset }).dataset })
+      .then((res) => setAssetMeta(Object.fromEntries((res?.assets || []).map((a) => [a.name, a]))))
+      .catch((e) => console.error(e));
+  }, [dataset]);
+
+  /* ---------- Compare tab (out-of-sample evaluation) ---------- */
+  useEffect(() => { setSelectedAsset(null); }, [comparison]);
 
   useEffect(() => {
     if (activeTab !== "compare") return;
-    setCompareLoading(true);
-
-    // Simple deterministic demo data based on current alloc
-    const names = (alloc || []).map(a => a.name);
-    const baseAcc = { classical: 74, quantum: 83 };
-    const pts = names.map((n, i) => {
-      const w = Number(alloc[i]?.value || 0);
-      // derive "risk/return" from weight so it's stable
-      const risk = Math.max(2, Math.min(40, 30 - w * 0.1 + (i % 5)));
-      const ret  = Math.max(1, Math.min(30,  5 + w * 0.12 + ((i * 3) % 7)));
-      return {
-        name: n,
-        classical: { risk: risk + 2, ret: ret - 1 },
-        quantum:   { risk: risk,     ret: ret + 1.5 },
-      };
-    });
-
-    setAccuracy(baseAcc);
-    setRiskReturn({ points: pts });
-    setCompareLoading(false);
-  }, [activeTab, alloc]);
-
-  /* ---------- Frontier updates when risk/threshold change ---------- */
+    (async () => {
+      try {
+        setCompareLoading(true);
+        setCompareError("");
+        const payload = buildOptimizePayload({ dataset, riskLevel: safeRiskLevel, maxAssets, includeAssets, excludeAssets, seed });
+        const res = await fetchComparison({
+          dataset: payload.dataset,
+          maxAssets: payload.maxAssets,
+          riskLevel: payload.riskLevel,
+          include: payload.include,
+          exclude: payload.exclude,
+          seed: payload.seed,
+        });
+        setComparison(res);
+      } catch (e) {
+        console.error(e);
+        setComparison(null);
+        setCompareError(e?.message || "Failed to run the comparison.");
+      } finally {
+        setCompareLoading(false);
+      }
+    })();
+  }, [activeTab, dataset, safeRiskLevel, maxAssets, includeAssets, excludeAssets, seed]);
+
+  /* ---------- Frontier for the dataset, with the optimized portfolio placed on it ---------- */
   useEffect(() => {
+    const apiDataset = buildOptimizePayload({ dataset }).dataset;
+    const resultDataset = optimizeResult?.diagnostics?.dataset;
+    const portfolio = optimizeResult && (!resultDataset || resultDataset === apiDataset)
+      ? { selected: optimizeResult.selected, weights: optimizeResult.weights }
+      : undefined;
+
     (async () => {
       try {
         setLoading((l) => ({ ...l, frontier: true }));
-        const f = await fetchEfficientFrontier({ riskLevel: safeRiskLevel, constraints: {}, threshold });
+        const f = await fetchEfficientFrontier({ dataset: apiDataset, constraints: {}, exclude: excludeAssets, portfolio });
         setFrontier(f);
       } catch (e) {
         console.error(e);
@@ -206,7 +244,7 @@ export default function Dashboard() {
       }
     })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [safeRiskLevel, threshold]);
+  }, [dataset, excludeAssets, optimizeResult]);
 
   /* ---------- REBALANCING (replaces old Evolution) ---------- */
   useEffect(() => {
@@ -217,14 +255,16 @@ export default function Dashboard() {
       try {
         setRbLoading(true);
         const res = await fetchRebalance({
-          dataset_option: DATASET_API_MAP[dataset] || "NIFTY50", // current dataset from Home
-          future_dataset_option: futureDataset,                  // user free pick
+          dataset,                        // current dataset from Home
+          futureDataset,                  // user free pick
           budget: Math.max(1, Number(maxAssets || 5)),
-          risk_factor: riskLevel,
-          total_investment: Number(initialEquity) || 0,
+          risk: safeRiskLevel,
+          totalInvestment: Number(initialEquity) || 0,
+          timeHorizon: Math.min(365, Math.max(5, Number(timeHorizon) || 30)),
+          seed: seed ?? undefined,
         });
         setRebal(res);
-        setEvolution([]); // not used anymore
+        setEvolution(res?.evolution || []);
       } catch (e) {
         console.error(e);
         dispatch(addToast({ type: "error", msg: "Rebalancing failed to load." }));
@@ -233,9 +273,15 @@ export default function Dashboard() {
         setRbLoading(false);
       }
     })();
-  }, [activeTab, dataset, futureDataset, maxAssets, riskLevel, initialEquity, dispatch]);
+  }, [activeTab, dataset, futureDataset, maxAssets, safeRiskLevel, initialEquity, timeHorizon, seed, dispatch]);
 
   /* ---------- Stress chart ---------- */
+  useEffect(() => {
+    fetchStressScenarios()
+      .then((res) => setStressScenarios(Array.isArray(res?.scenarios) ? res.scenarios : []))
+      .catch((e) => console.error(e));
+  }, []);
+
   useEffect(() => {
     (async () => {
       try {
@@ -244,13 +290,16 @@ export default function Dashboard() {
           alloc,
           initialEquity,
           threshold,
-          stress: { ratesBps: 200, oilPct: 15, techPct: -8, fxPct: 3 },
+          ...(stressScenario
+            ? { scenario: stressScenario, replay: stressReplay, dataset: buildOptimizePayload({ dataset }).dataset }
+            : { stress: { ratesBps: 200, oilPct: 15, techPct: -8, fxPct: 3 } }),
         });
 
         if (Array.isArray(res)) {
           setStressed({ bars: res, ruinLine: (Number(threshold) / 100) * Number(initialEquity || 0) });
         } else {
           setStressed({
+            ...res, // mode, scenario, window, portfolio, unmatched
             bars: Array.isArray(res?.bars) ? res.bars : [],
             ruinLine:
               typeof res?.ruinLine === "number"
@@ -260,13 +309,40 @@ export default function Dashboard() {
         }
       } catch (e) {
         console.error(e);
-        dispatch(addToast({ type: "error", msg: "Failed to run stress simulation." }));
+        dispatch(addToast({ type: "error", msg: e?.message || "Failed to run stress simulation." }));
+        setStressed({ bars: [], ruinLine: 0 });
       } finally {
         setLoading((l) => ({ ...l, stress: false }));
       }
     })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [threshold, initialEquity, alloc]);
+  }, [threshold, initialEquity, alloc, stressScenario, stressReplay, dataset]);
+
+  /* ---------- VaR / CVaR (stress tab) ---------- */
+  useEffect(() => {
+    if (activeTab !== "stress" || !alloc?.length) return;
+    (async () => {
+      try {
+        setLoading((l) => ({ ...l, var: true }));
+        setVarError("");
+        const res = await fetchValueAtRisk({
+          dataset: buildOptimizePayload({ dataset }).dataset,
+          alloc: alloc.map((a) => ({ name: a.name, value: Number(a.value) || 0 })),
+          initialEquity: Number(initialEquity) || 100000,
+          timeHorizon: Math.min(252, Math.max(1, Number(timeHorizon) || 10)),
+          threshold: Number(threshold) || 0,
+          seed: seed ?? undefined,
+        });
+        setValueAtRisk(res);
+      } catch (e) {
+        console.error(e);
+        setValueAtRisk(null);
+        setVarError(e?.message || "Failed to compute VaR.");
+      } finally {
+        setLoading((l) => ({ ...l, var: false }));
+      }
+    })();
+  }, [activeTab, dataset, alloc, initialEquity, timeHorizon, threshold, seed]);
 
   /* ---------- Map backend optimize → alloc ---------- */
   useEffect(() => {
@@ -295,19 +371,30 @@ export default function Dashboard() {
   }, [optimizeResult]);
 
   /* ---------- Actions ---------- */
+  const optimizeRef = useRef(null); // in-flight thunk promise, for cancel
+
   async function handleRunQuantum() {
     try {
-      await dispatch(runOptimizeThunk()).unwrap();
+      optimizeRef.current = dispatch(runOptimizeThunk());
+      await optimizeRef.current.unwrap();
     } catch (e) {
+      if (e?.name === "AbortError") return; // cancelled by user; reducer already toasts
       dispatch(addToast({ type: "error", msg: e?.message || "Failed to optimize. Try again." }));
+    } finally {
+      optimizeRef.current = null;
     }
   }
 
+  function handleCancelOptimize() {
+    optimizeRef.current?.abort();
+  }
+
   /* ---------- Derived ---------- */
   const datasetLabel =
     dataset === "nifty50" ? "NIFTY 50" :
     dataset === "crypto" ? "Crypto" :
     dataset === "nasdaq" ? "NASDAQ" :
+    customDatasets.find((d) => d.id === dataset)?.label ||
     dataset || "Select Dataset";
 
   const showStress = !options?.length || options.includes("Stress Testing");
@@ -365,18 +452,178 @@ export default function Dashboard() {
             <div className="text-zinc-500">FastAPI <code>total_investment</code></div>
           </div>
 
+          {/* Include / exclude */}
+          <div className="space-y-2">
+            <label className="block text-zinc-300">Must include</label>
+            <input
+              type="text"
+              placeholder="e.g. Infosys, TCS"
+              className="w-full bg-[#0b0f1a] border border-zinc-700 rounded-lg px-3 py-2"
+              defaultValue={(includeAssets || []).join(", ")}
+              onBlur={(e) => dispatch(setIncludeAssets(splitNames(e.target.value)))}
+            />
+            <div className="text-zinc-500">Comma-separated asset names</div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="block text-zinc-300">Exclude</label>
+            <input
+              type="text"
+              placeholder="e.g. ITC"
+              className="w-full bg-[#0b0f1a] border border-zinc-700 rounded-lg px-3 py-2"
+              defaultValue={(excludeAssets || []).join(", ")}
+              onBlur={(e) => dispatch(setExcludeAssets(splitNames(e.target.value)))}
+            />
+            <div className="text-zinc-500">Min weight follows the Stress tab threshold ({threshold}%)</div>
+          </div>
+
+          {/* Seed */}
+          <div className="space-y-2">
+            <label className="block text-zinc-300">Seed</label>
+            <input
+              type="number"
+              min={0}
+              step={1}
+              placeholder="random"
+              className="w-full bg-[#0b0f1a] border border-zinc-700 rounded-lg px-3 py-2"
+              value={seed ?? ""}
+              onChange={(e) => dispatch(setSeed(e.target.value))}
+            />
+            <div className="text-zinc-500">
+              Same seed, same results{optimizeResult?.diagnostics?.seed != null && seed == null
+                ? ` (last run used ${optimizeResult.diagnostics.seed})`
+                : ""}
+            </div>
+          </div>
+
           {/* Action */}
-          <div className="lg:col-span-3">
+          <div className="lg:col-span-3 flex flex-wrap items-center gap-3">
             <button
               onClick={handleRunQuantum}
               className="px-3 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-sm disabled:opacity-60"
               disabled={optimizeStatus === "loading"}
-              title="Calls backend /api/optimize (FastAPI live or mock)"
+              title="Starts a backend optimize job (FastAPI live or mock) and polls it"
             >
               {optimizeStatus === "loading" ? "Optimizing..." : "Run Quantum Optimize"}
             </button>
+            {optimizeStatus === "loading" && (
+              <>
+                <div className="flex items-center gap-2 text-zinc-400">
+                  <span className="inline-block h-2 w-2 rounded-full bg-emerald-400 animate-pulse" />
+                  {optimizeJob
+                    ? `Job ${optimizeJob.status} • ${Math.round(optimizeJob.elapsedMs / 1000)}s`
+                    : "Submitting job…"}
+                </div>
+                <button
+                  onClick={handleCancelOptimize}
+                  className="px-3 py-2 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 text-sm"
+                >
+                  Cancel
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </Card>
+
+      {/* Portfolio metrics (annualized, from backend) */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <Card title="Expected Return">
+          <div className="text-2xl font-semibold text-emerald-400">
+            {typeof optimizeResult?.expectedReturn === "number" ? percent(optimizeResult.expectedReturn * 100, 1) : "—"}
+          </div>
+          <div className="text-xs text-zinc-400 mt-1">Weighted, annualized</div>
+        </Card>
+        <Card title="Risk (σ)">
+          <div className="text-2xl font-semibold">
+            {typeof optimizeResult?.risk === "number" ? percent(optimizeResult.risk * 100, 1) : "—"}
           </div>
+          <div className="text-xs text-zinc-400 mt-1">Portfolio volatility, annualized</div>
+        </Card>
+        <Card title="Sharpe Ratio">
+          <div className="text-2xl font-semibold">
+            {typeof optimizeResult?.sharpe === "number" ? optimizeResult.sharpe.toFixed(2) : "—"}
+          </div>
+          <div className="text-xs text-zinc-400 mt-1">
+            {typeof optimizeResult?.diagnostics?.riskFreeRate === "number"
+              ? `vs ${percent(optimizeResult.diagnostics.riskFreeRate * 100, 2)} risk-free (${optimizeResult.diagnostics.currency || "—"})`
+              : "Run optimize to compute"}
+          </div>
+        </Card>
+      </div>
+
+      {/* Constraints actually applied by the backend */}
+      {optimizeResult?.diagnostics?.constraints && (() => {
+        const c = optimizeResult.diagnostics.constraints;
+        return (
+          <Card title="Applied Constraints">
+            <div className="flex flex-wrap gap-6 text-sm">
+              <div>Min weight: <b>{percent(c.minWeight * 100, 1)}</b></div>
+              <div>Max weight: <b>{percent(c.maxWeight * 100, 1)}</b></div>
+              <div>Include: <b>{c.include.length ? c.include.join(", ") : "—"}</b></div>
+              <div>Exclude: <b>{c.exclude.length ? c.exclude.join(", ") : "—"}</b></div>
+            </div>
+            {(c.ignored.length > 0 || c.adjusted.length > 0) && (
+              <ul className="mt-2 text-xs text-zinc-400 list-disc pl-5">
+                {c.ignored.length > 0 && <li>Unknown names ignored: {c.ignored.join(", ")}</li>}
+                {c.adjusted.map((note, i) => <li key={i}>{note}</li>)}
+              </ul>
+            )}
+          </Card>
+        );
+      })()}
+
+      {/* Efficient frontier (long-only, from dataset estimates) */}
+      <Card title="Efficient Frontier">
+        <div className="h-[300px]">
+          {loading.frontier && !frontier ? (
+            <Skeleton className="h-full w-full" />
+          ) : !frontier?.points?.length ? (
+            <EmptyState title="No frontier yet" subtitle="Frontier could not be computed for this dataset." />
+          ) : (() => {
+            const pt = (p, name, model) => ({ name, risk: p.risk * 100, ret: p.return * 100, _model: model });
+            return (
+              <ResponsiveContainer width="100%" height="100%">
+                <ScatterChart margin={{ top: 10, right: 16, left: 12, bottom: 28 }}>
+                  <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.15} />
+                  <XAxis type="number" dataKey="risk" name="Risk (σ)" unit="%" stroke="#a1a1aa" tickMargin={6} domain={["auto", "auto"]} tickFormatter={(v) => v.toFixed(0)} />
+                  <YAxis type="number" dataKey="ret" name="Expected Return" unit="%" stroke="#a1a1aa" tickMargin={6} width={64} domain={["auto", "auto"]} tickFormatter={(v) => v.toFixed(0)} />
+                  <Tooltip content={<CompareTooltip />} cursor={{ strokeDasharray: "3 3" }} />
+                  <Legend />
+                  <Scatter
+                    name="Frontier"
+                    data={frontier.points.map(p => pt(p, "Frontier", `Sharpe ${p.sharpe.toFixed(2)}`))}
+                    fill="#6366F1"
+                    line={{ stroke: "#6366F1", strokeWidth: 2 }}
+                    shape={() => null}
+                    isAnimationActive={false}
+                  />
+                  <Scatter name="Min variance" data={[pt(frontier.minVariance, "Min variance", `Sharpe ${frontier.minVariance.sharpe.toFixed(2)}`)]} fill="#10B981" isAnimationActive={false} />
+                  <Scatter name="Tangency (max Sharpe)" data={[pt(frontier.tangency, "Tangency", `Sharpe ${frontier.tangency.sharpe.toFixed(2)}`)]} fill="#F59E0B" isAnimationActive={false} />
+                  {frontier.current && (
+                    <Scatter name="Your portfolio" data={[pt(frontier.current, "Your portfolio", frontier.current.position.replace("_", " "))]} fill="#EF4444" shape="diamond" isAnimationActive={false} />
+                  )}
+                </ScatterChart>
+              </ResponsiveContainer>
+            );
+          })()}
         </div>
+        <ChartCaption x="Risk (σ, annualized %)" y="Expected return (annualized %)" />
+        {frontier?.current && (
+          <div className="mt-2 text-xs text-zinc-400">
+            Your portfolio is <b className="text-zinc-200">{frontier.current.position.replace("_", " ")}</b>
+            {frontier.current.position === "below_frontier" &&
+              ` — the frontier offers ${percent(frontier.current.frontierReturn * 100, 2)} at the same risk, or the same return at ${percent(frontier.current.frontierRisk * 100, 2)} risk.`}
+            {frontier.current.position === "above_frontier" &&
+              " — it uses positions outside the frontier's weight limits."}
+          </div>
+        )}
+        {frontier?.tangency?.weights?.length > 0 && (
+          <div className="mt-1 text-xs text-zinc-400">
+            Tangency weights: {frontier.tangency.weights.slice(0, 6).map(w => `${w.name} ${percent(w.weight * 100, 1)}`).join(", ")}
+            {frontier.tangency.weights.length > 6 ? ", …" : ""}
+          </div>
+        )}
       </Card>
 
       {/* Chosen + Pie */}
@@ -475,7 +722,7 @@ export default function Dashboard() {
               <option value="Crypto_Future">Crypto_Future</option>
             </select>
             <div className="text-xs text-zinc-500">
-              Current dataset sent to API: <b>{DATASET_API_MAP[dataset] || "NIFTY50"}</b>
+              Current dataset sent to API: <b>{DATASET_API_MAP[dataset] || dataset}</b>
             </div>
           </div>
 
@@ -523,11 +770,11 @@ export default function Dashboard() {
                   </tr>
                 </thead>
                 <tbody>
-                  {rebal.current_portfolio?.map((a, i) => (
+                  {rebal.current?.map((a, i) => (
                     <tr key={i} className="border-t border-zinc-800/50">
                       <td className="p-2">{a.asset}</td>
-                      <td className="p-2 text-right">{percent(a.percentage, 1)}</td>
-                      <td className="p-2 text-right">{currency(a.investment)}</td>
+                      <td className="p-2 text-right">{percent(a.weight * 100, 1)}</td>
+                      <td className="p-2 text-right">{currency(Math.round(a.weight * (Number(initialEquity) || 0)))}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -547,11 +794,11 @@ export default function Dashboard() {
                   </tr>
                 </thead>
                 <tbody>
-                  {rebal.future_portfolio?.map((a, i) => (
+                  {rebal.future?.map((a, i) => (
                     <tr key={i} className="border-t border-zinc-800/50">
                       <td className="p-2">{a.asset}</td>
-                      <td className="p-2 text-right">{percent(a.percentage, 1)}</td>
-                      <td className="p-2 text-right">{currency(a.investment)}</td>
+                      <td className="p-2 text-right">{percent(a.weight * 100, 1)}</td>
+                      <td className="p-2 text-right">{currency(Math.round(a.weight * (Number(initialEquity) || 0)))}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -561,43 +808,81 @@ export default function Dashboard() {
 
           {/* Recommendations */}
           <Card title="✅ Recommendations">
-            {!rebal.recommendations?.length ? (
+            {!rebal.actions?.length ? (
               <div className="text-sm text-zinc-400">No actions.</div>
             ) : (
               <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                {rebal.recommendations.map((r, i) => (
-                  <div
-                    key={i}
-                    className="p-3 rounded-lg border"
-                    style={{
-                      borderColor:
-                        r.action === "BUY" || r.action === "INCREASE" ? "#059669" :
-                        r.action === "SELL" ? "#DC2626" : "#52525b",
-                      background:
-                        r.action === "BUY" || r.action === "INCREASE" ? "#064e3b33" :
-                        r.action === "SELL" ? "#7f1d1d33" : "#18181b33",
-                    }}
-                  >
-                    <div className="font-semibold">{r.action}: {r.asset}</div>
-                    <div className="text-xs text-zinc-400 mt-1">
-                      Current: {currency(r.current_allocation || 0)} ({percent(r.current_pct || 0, 1)})
-                    </div>
-                    <div className="text-xs text-zinc-400">
-                      Future: {currency(r.future_allocation || 0)} ({percent(r.future_pct || 0, 1)})
+                {rebal.actions.map((r, i) => {
+                  const alloc = (pct) => currency(Math.round(((pct || 0) / 100) * (Number(initialEquity) || 0)));
+                  return (
+                    <div
+                      key={i}
+                      className="p-3 rounded-lg border"
+                      style={{
+                        borderColor:
+                          r.action === "BUY" || r.action === "INCREASE" ? "#059669" :
+                          r.action === "SELL" ? "#DC2626" : "#52525b",
+                        background:
+                          r.action === "BUY" || r.action === "INCREASE" ? "#064e3b33" :
+                          r.action === "SELL" ? "#7f1d1d33" : "#18181b33",
+                      }}
+                    >
+                      <div className="font-semibold">{r.action}: {r.asset}</div>
+                      <div className="text-xs text-zinc-400 mt-1">
+                        Current: {alloc(r.current_pct)} ({percent(r.current_pct || 0, 1)})
+                      </div>
+                      <div className="text-xs text-zinc-400">
+                        Future: {alloc(r.future_pct)} ({percent(r.future_pct || 0, 1)})
+                      </div>
+                      <div className="text-xs mt-1">
+                        Change: <span className="font-medium">{alloc(r.change_pct)}</span>
+                      </div>
                     </div>
-                    <div className="text-xs mt-1">
-                      Change: <span className="font-medium">
-                        {currency(
-                          (r.change_allocation || 0).toFixed
-                            ? r.change_allocation.toFixed(0)
-                            : r.change_allocation || 0
-                        )}
-                      </span>
-                    </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             )}
+
+            {rebal.trades?.orders?.length ? (
+              <div className="mt-4 overflow-x-auto">
+                <div className="text-sm font-medium mb-1">
+                  Trade list <span className="text-xs text-zinc-400">(at {rebal.trades.priceDate} closes, {rebal.trades.currency})</span>
+                </div>
+                {rebal.trades.indicative && (
+                  <div className="text-xs text-amber-400 mb-1">Indicative only: priced off simulated closes (no price CSV for this dataset).</div>
+                )}
+                <table className="w-full text-xs text-zinc-300">
+                  <thead className="text-zinc-400">
+                    <tr>
+                      <th className="text-left py-1 pr-2">Side</th>
+                      <th className="text-left py-1 pr-2">Asset</th>
+                      <th className="text-right py-1 px-2">Qty</th>
+                      <th className="text-right py-1 px-2">Price</th>
+                      <th className="text-right py-1 px-2">Notional</th>
+                      <th className="text-right py-1 pl-2">Fees</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rebal.trades.orders.map((o, i) => (
+                      <tr key={i} className="border-t border-zinc-800">
+                        <td className={`py-1 pr-2 font-medium ${o.side === "BUY" ? "text-emerald-400" : "text-red-400"}`}>{o.side}</td>
+                        <td className="py-1 pr-2">{o.asset}</td>
+                        <td className="text-right py-1 px-2">{o.quantity}</td>
+                        <td className="text-right py-1 px-2">{o.price.toFixed(2)}</td>
+                        <td className="text-right py-1 px-2">{o.notional.toLocaleString()}</td>
+                        <td className="text-right py-1 pl-2">{o.fees.total.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-2 flex flex-wrap gap-4 text-xs text-zinc-400">
+                  <div>Turnover: <b className="text-zinc-200">{rebal.trades.totals.turnover.toLocaleString()}</b> ({percent(rebal.trades.totals.turnoverPct, 1)})</div>
+                  <div>Fees: <b className="text-zinc-200">{rebal.trades.totals.fees.toLocaleString()}</b></div>
+                  <div>Residual cash: <b className="text-zinc-200">{rebal.trades.totals.residualCash.toLocaleString()}</b></div>
+                  {rebal.trades.unpriced?.length ? <div>No price: {rebal.trades.unpriced.join(", ")}</div> : null}
+                </div>
+              </div>
+            ) : null}
           </Card>
 
           {/* Summary */}
@@ -605,8 +890,32 @@ export default function Dashboard() {
             <div className="flex flex-wrap gap-6 text-sm">
               <div>Sell: <b>{rebal?.summary?.sell ?? 0}</b></div>
               <div>Buy: <b>{rebal?.summary?.buy ?? 0}</b></div>
-              <div>Rebalance/Hold: <b>{rebal?.summary?.rebalance_or_hold ?? 0}</b></div>
+              <div>Rebalance/Hold: <b>{rebal?.summary?.hold ?? 0}</b></div>
             </div>
+            {rebal.fallback && (
+              <div className="text-xs text-amber-400 mt-2">Degraded result: {rebal.fallback}</div>
+            )}
+          </Card>
+
+          {/* Evolution */}
+          <Card title="📈 Projected Evolution">
+            {!rebal.evolution?.length ? (
+              <div className="text-sm text-zinc-400">No projection.</div>
+            ) : (
+              <div className="h-[260px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={rebal.evolution}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#27272a" />
+                    <XAxis dataKey="time" stroke="#a1a1aa" tick={{ fontSize: 11 }} />
+                    <YAxis stroke="#a1a1aa" tick={{ fontSize: 11 }} domain={["auto", "auto"]} />
+                    <Tooltip formatter={(v) => currency(v)} />
+                    <Legend />
+                    <Line type="monotone" dataKey="Current" stroke="#a1a1aa" dot={false} />
+                    <Line type="monotone" dataKey="Future" stroke="#22d3ee" dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
           </Card>
         </div>
       )}
@@ -647,75 +956,111 @@ export default function Dashboard() {
               {/* Compare */}
               {activeTab === "compare" && (
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                  {/* Accuracy bar (demo numbers) */}
-                  <Card title="Model Accuracy (Demo)">
+                  {/* Held-out growth of 100 per method */}
+                  <Card title="Out-of-Sample Performance">
                     <div className="h-[280px]">
                       {compareLoading ? (
                         <Skeleton className="h-full w-full" />
-                      ) : !accuracy ? (
-                        <EmptyState title="No data" subtitle="Open this tab to fetch results." />
+                      ) : !comparison?.curve?.length ? (
+                        <EmptyState title="No data" subtitle={compareError || "Open this tab to fetch results."} />
                       ) : (
                         <ResponsiveContainer width="100%" height="100%">
-                          <BarChart
-                            data={[
-                              { name: "Classical", value: accuracy.classical },
-                              { name: "Quantum",   value: accuracy.quantum   },
-                            ]}
-                            margin={{ top: 10, right: 15, left: 10, bottom: 24 }}
-                          >
+                          <LineChart data={comparison.curve} margin={{ top: 10, right: 15, left: 10, bottom: 24 }}>
                             <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.15} />
-                            <XAxis dataKey="name" stroke="#a1a1aa" tickMargin={6} />
-                            <YAxis stroke="#a1a1aa" domain={[0, 100]} width={56} />
+                            <XAxis dataKey="date" stroke="#a1a1aa" tickMargin={6} minTickGap={24} />
+                            <YAxis stroke="#a1a1aa" width={56} domain={["auto", "auto"]} />
                             <Tooltip
                               contentStyle={tooltipStyles.contentStyle}
                               labelStyle={tooltipStyles.labelStyle}
                               itemStyle={tooltipStyles.itemStyle}
                               wrapperStyle={tooltipStyles.wrapperStyle}
-                              formatter={(v) => `${v}%`}
                             />
-                            <Bar dataKey="value" radius={[8, 8, 0, 0]} />
-                          </BarChart>
+                            <Legend />
+                            <Line type="monotone" dataKey="Classical" stroke="#60a5fa" dot={false} strokeWidth={2} />
+                            <Line type="monotone" dataKey="Quantum" stroke="#a78bfa" dot={false} strokeWidth={2} />
+                            <Line type="monotone" dataKey="Equal weight" stroke="#71717a" dot={false} strokeDasharray="4 4" />
+                          </LineChart>
                         </ResponsiveContainer>
                       )}
                     </div>
-                    <ChartCaption x="Model" y="Accuracy (%)" />
+                    <ChartCaption x="Held-out trading day" y="Value of 100 invested at the split" />
+                    {comparison?.priceSource === "synthetic" && (
+                      <div className="text-xs text-amber-400 mt-2">Simulated prices: no price CSV for this dataset, so these are not historical results.</div>
+                    )}
+                    {comparison?.methods?.length ? (
+                      <div className="mt-3 overflow-x-auto">
+                        <table className="w-full text-xs text-zinc-300">
+                          <thead className="text-zinc-400">
+                            <tr>
+                              <th className="text-left py-1 pr-3">Portfolio</th>
+                              <th className="text-right py-1 px-2">Expected</th>
+                              <th className="text-right py-1 px-2">Realized</th>
+                              <th className="text-right py-1 px-2">Volatility</th>
+                              <th className="text-right py-1 px-2">Sharpe</th>
+                              <th className="text-right py-1 px-2">Max DD</th>
+                              <th className="text-right py-1 pl-2">Hit rate</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {[...comparison.methods, comparison.benchmark].map((m) => (
+                              <tr key={m.label} className="border-t border-zinc-800">
+                                <td className="py-1 pr-3">{m.label}</td>
+                                <td className="text-right py-1 px-2">{m.expected ? percent(m.expected.return * 100, 1) : "—"}</td>
+                                <td className="text-right py-1 px-2">{percent(m.realized.annualizedReturn * 100, 1)}</td>
+                                <td className="text-right py-1 px-2">{percent(m.realized.volatility * 100, 1)}</td>
+                                <td className="text-right py-1 px-2">{m.realized.sharpe.toFixed(2)}</td>
+                                <td className="text-right py-1 px-2">{percent(m.realized.maxDrawdown * 100, 1)}</td>
+                                <td className="text-right py-1 pl-2">{percent(m.realized.hitRate * 100, 1)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        <div className="mt-1 text-[11px] text-zinc-500">
+                          Fit on {comparison.train.start} – {comparison.train.end}, held out {comparison.test.start} – {comparison.test.end}
+                          {" "}({comparison.test.days} days, {comparison.sampler} sampler). Returns annualized; hit rate = share of held-out days with a gain.
+                        </div>
+                      </div>
+                    ) : null}
                   </Card>
 
-                  {/* Risk vs Return scatter */}
-                  <Card title="Risk vs Return per Asset">
+                  {/* Held-out risk vs return of every picked asset */}
+                  <Card title="Risk vs Return per Asset (Held-out)">
                     <div className="h-[320px]">
                       {compareLoading ? (
                         <Skeleton className="h-full w-full" />
-                      ) : !riskReturn?.points?.length ? (
-                        <EmptyState title="No data" subtitle="Open this tab to fetch results." />
+                      ) : !comparison?.assets?.length ? (
+                        <EmptyState title="No data" subtitle={compareError || "Open this tab to fetch results."} />
                       ) : (
                         <>
                           <ResponsiveContainer width="100%" height="100%">
                             <ScatterChart margin={{ top: 10, right: 16, left: 12, bottom: 28 }}>
                               <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.15} />
                               <XAxis type="number" dataKey="risk" name="Risk (σ)" unit="%" stroke="#a1a1aa" tickMargin={6} />
-                              <YAxis type="number" dataKey="ret"  name="Expected Return" unit="%" stroke="#a1a1aa" tickMargin={6} width={64} />
+                              <YAxis type="number" dataKey="ret"  name="Realized Return" unit="%" stroke="#a1a1aa" tickMargin={6} width={64} />
                               <Tooltip content={<CompareTooltip />} cursor={{ strokeDasharray: "3 3" }} />
                               <Legend />
-                              <Scatter
-                                name="Classical"
-                                data={riskReturn.points.map(p => ({ name: p.name, risk: p.classical.risk, ret: p.classical.ret, _model: "Classical" }))}
-                                fill="#60a5fa"
-                                shape="circle"
-                                onClick={(pt) => setSelectedAsset(pt?.name || null)}
-                              />
-                              <Scatter
-                                name="Quantum"
-                                data={riskReturn.points.map(p => ({ name: p.name, risk: p.quantum.risk, ret: p.quantum.ret, _model: "Quantum" }))}
-                                fill="#a78bfa"
-                                shape="circle"
-                                onClick={(pt) => setSelectedAsset(pt?.name || null)}
-                              />
+                              {["classical", "quantum"].map((m) => (
+                                <Scatter
+                                  key={m}
+                                  name={m === "classical" ? "Classical picks" : "Quantum picks"}
+                                  data={comparison.assets
+                                    .filter((a) => a.weights[m] > 1e-6)
+                                    .map((a) => ({
+                                      name: a.name,
+                                      risk: a.realized.volatility * 100,
+                                      ret: a.realized.annualizedReturn * 100,
+                                      _model: m === "classical" ? "Classical" : "Quantum",
+                                    }))}
+                                  fill={m === "classical" ? "#60a5fa" : "#a78bfa"}
+                                  shape={m === "classical" ? "circle" : "diamond"}
+                                  onClick={(pt) => setSelectedAsset(pt?.name || null)}
+                                />
+                              ))}
                             </ScatterChart>
                           </ResponsiveContainer>
 
                           {selectedAsset && (() => {
-                            const row = riskReturn.points.find(p => p.name === selectedAsset);
+                            const row = comparison.assets.find(a => a.name === selectedAsset);
                             if (!row) return null;
                             return (
                               <div className="mt-3 text-sm border border-zinc-800/60 rounded-xl p-3 bg-[#0f1422]">
@@ -728,25 +1073,35 @@ export default function Dashboard() {
                                     clear
                                   </button>
                                 </div>
+                                {assetMeta[row.name] ? (
+                                  <div className="mb-2 text-xs text-zinc-400">
+                                    {assetMeta[row.name].ticker} · {assetMeta[row.name].sector} · {assetMeta[row.name].industry}
+                                    {assetMeta[row.name].esg?.length ? ` · ESG: ${assetMeta[row.name].esg.join(", ")}` : ""}
+                                  </div>
+                                ) : null}
                                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
                                   <div className="border border-zinc-800/50 rounded-lg p-2">
-                                    <div className="text-zinc-400 mb-1">Classical</div>
-                                    <div>Risk (σ): <span className="text-zinc-100">{row.classical.risk.toFixed(1)}%</span></div>
-                                    <div>Return: <span className="text-zinc-100">{row.classical.ret.toFixed(1)}%</span></div>
+                                    <div className="text-zinc-400 mb-1">Training window</div>
+                                    <div>Risk (σ): <span className="text-zinc-100">{percent(row.train.volatility * 100, 1)}</span></div>
+                                    <div>Return: <span className="text-zinc-100">{percent(row.train.return * 100, 1)}</span></div>
                                   </div>
                                   <div className="border border-emerald-800/40 rounded-lg p-2">
-                                    <div className="text-zinc-400 mb-1">Quantum</div>
-                                    <div>Risk (σ): <span className="text-zinc-100">{row.quantum.risk.toFixed(1)}%</span></div>
-                                    <div>Return: <span className="text-zinc-100">{row.quantum.ret.toFixed(1)}%</span></div>
+                                    <div className="text-zinc-400 mb-1">Held-out</div>
+                                    <div>Risk (σ): <span className="text-zinc-100">{percent(row.realized.volatility * 100, 1)}</span></div>
+                                    <div>Return: <span className="text-zinc-100">{percent(row.realized.annualizedReturn * 100, 1)}</span></div>
+                                    <div>Max DD: <span className="text-zinc-100">{percent(row.realized.maxDrawdown * 100, 1)}</span></div>
                                   </div>
                                 </div>
+                                <div className="mt-2 text-xs text-zinc-400">
+                                  Weight — Classical: {percent(row.weights.classical * 100, 1)} · Quantum: {percent(row.weights.quantum * 100, 1)}
+                                </div>
                               </div>
                             );
                           })()}
                         </>
                       )}
                     </div>
-                    <ChartCaption x="Risk (σ, %)" y="Expected Return (%)" />
+                    <ChartCaption x="Realized risk (σ, %)" y="Realized return (%, annualized)" />
                   </Card>
                 </div>
               )}
@@ -767,6 +1122,49 @@ export default function Dashboard() {
                     <div className="text-zinc-400 mt-1">{threshold}%</div>
                   </Card>
 
+                  <Card title="Scenario">
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                      <select
+                        value={stressScenario}
+                        onChange={(e) => setStressScenario(e.target.value)}
+                        className="bg-[#0b0f1a] border border-zinc-700 rounded-lg px-2 py-1.5 text-zinc-200"
+                      >
+                        <option value="">Custom shocks (rates +200bp, oil +15%, tech -8%, FX 3%)</option>
+                        {stressScenarios.map((sc) => (
+                          <option key={sc.id} value={sc.id}>{sc.name}</option>
+                        ))}
+                      </select>
+                      <label className="flex items-center gap-2 text-zinc-300">
+                        <input
+                          type="checkbox"
+                          checked={stressReplay}
+                          disabled={!stressScenario}
+                          onChange={(e) => setStressReplay(e.target.checked)}
+                          className="accent-indigo-500"
+                        />
+                        Replay historical prices
+                      </label>
+                    </div>
+                    {(() => {
+                      const sc = stressScenarios.find((x) => x.id === stressScenario);
+                      return sc ? (
+                        <div className="mt-2 text-xs text-zinc-400">
+                          {sc.description} ({sc.window.start} → {sc.window.end})
+                        </div>
+                      ) : null;
+                    })()}
+                    {stressed?.portfolio ? (
+                      <div className="mt-2 text-xs text-zinc-300">
+                        {stressed.mode === "replay" ? `Replayed ${stressed.window?.start} → ${stressed.window?.end}: ` : "Shocked: "}
+                        {currency(stressed.portfolio.before)} → {currency(stressed.portfolio.after)}
+                        {typeof stressed.portfolio.maxDrawdown === "number"
+                          ? ` · max drawdown ${percent(stressed.portfolio.maxDrawdown * 100, 1)}`
+                          : ""}
+                        {stressed.unmatched?.length ? ` · not in dataset: ${stressed.unmatched.join(", ")}` : ""}
+                      </div>
+                    ) : null}
+                  </Card>
+
                   <Card title="Stock Resilience vs Ruin Threshold">
                     <div className="h-[320px]">
                       {loading.stress ? (
@@ -818,6 +1216,90 @@ export default function Dashboard() {
                     </div>
                     <ChartCaption x="Stocks" y="Equity after worst-case days (₹)" />
                   </Card>
+
+                  <Card title={`Loss Distribution (${valueAtRisk?.timeHorizon ?? timeHorizon}-day horizon)`}>
+                    {(() => {
+                      const mc = valueAtRisk?.methods?.find((m) => m.method === "montecarlo");
+                      const var95 = mc?.levels?.find((l) => l.confidence === 0.95)?.var;
+                      return (
+                        <>
+                          <div className="h-[280px]">
+                            {loading.var ? (
+                              <Skeleton className="h-full w-full" />
+                            ) : !valueAtRisk?.distribution?.length ? (
+                              <EmptyState title="No VaR estimate yet" subtitle={varError || "Run an optimization to get an allocation."} />
+                            ) : (
+                              <ResponsiveContainer width="100%" height="100%">
+                                <BarChart data={valueAtRisk.distribution} margin={{ top: 10, right: 12, left: 24, bottom: 8 }}>
+                                  <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.15} />
+                                  <XAxis
+                                    dataKey="pnl"
+                                    stroke="#a1a1aa"
+                                    tickFormatter={(v) => currency(Math.round(v))}
+                                    tickMargin={6}
+                                    minTickGap={24}
+                                  />
+                                  <YAxis stroke="#a1a1aa" tickFormatter={(v) => percent(v * 100, 1)} width={56} />
+                                  <Tooltip
+                                    formatter={(v) => percent(v * 100, 2)}
+                                    labelFormatter={(v) => `P&L ≈ ${currency(Math.round(v))}`}
+                                    contentStyle={{ background: "#111827", border: "1px solid #6366F1", borderRadius: 8 }}
+                                    labelStyle={{ color: "#C7D2FE", fontSize: 12 }}
+                                    itemStyle={{ color: "#E5E7EB", fontSize: 12 }}
+                                  />
+                                  <Bar dataKey="probability" name="Probability" radius={[4, 4, 0, 0]}>
+                                    {valueAtRisk.distribution.map((b, i) => (
+                                      <Cell key={i} fill={typeof var95 === "number" && b.pnl <= -var95 ? "#EF4444" : "#6366F1"} />
+                                    ))}
+                                  </Bar>
+                                </BarChart>
+                              </ResponsiveContainer>
+                            )}
+                          </div>
+                          <ChartCaption x="Horizon P&L, Monte Carlo (₹) — red: beyond 95% VaR" y="Probability" />
+                          {valueAtRisk?.priceSource === "synthetic" && (
+                            <div className="text-xs text-amber-400 mt-2">Simulated prices: no price CSV for this dataset, so these are not historical returns.</div>
+                          )}
+                          {valueAtRisk?.methods?.length ? (
+                            <div className="mt-3 overflow-x-auto">
+                              <table className="w-full text-xs text-zinc-300">
+                                <thead className="text-zinc-400">
+                                  <tr>
+                                    <th className="text-left py-1 pr-3">Method</th>
+                                    {valueAtRisk.methods[0].levels.map((l) => (
+                                      <th key={l.confidence} className="text-right py-1 px-2">
+                                        VaR / CVaR {percent(l.confidence * 100)}
+                                      </th>
+                                    ))}
+                                    <th className="text-right py-1 pl-2">P(ruin)</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {valueAtRisk.methods.map((m) => (
+                                    <tr key={m.method} className="border-t border-zinc-800">
+                                      <td className="py-1 pr-3">{m.label}</td>
+                                      {m.levels.map((l) => (
+                                        <td key={l.confidence} className="text-right py-1 px-2">
+                                          {currency(Math.round(l.var))} / {currency(Math.round(l.cvar))}
+                                        </td>
+                                      ))}
+                                      <td className="text-right py-1 pl-2">
+                                        {percent((m.breach.anytime ?? m.breach.atHorizon) * 100, 1)}
+                                      </td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                              <div className="mt-1 text-[11px] text-zinc-500">
+                                P(ruin): chance of touching the {threshold}% ruin line ({currency(Math.round(valueAtRisk.ruinLine))}) within the horizon
+                                (parametric: at the horizon end).
+                              </div>
+                            </div>
+                          ) : null}
+                        </>
+                      );
+                    })()}
+                  </Card>
                 </div>
               )}
 
@@ -0,0 +1,26 @@
+// src/components/DatasetUpload.js
+import React from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { uploadDatasetThunk } from "../store/uiSlice";
+
+// File picker for a price file (CSV: date,ticker,close or JSON rows); the file name becomes the dataset name
+export default function DatasetUpload({ className = "" }) {
+  const dispatch = useDispatch();
+  const busy = useSelector((s) => s.ui.datasetUploadStatus === "loading");
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // same file can be picked again after fixing it
+    if (file) dispatch(uploadDatasetThunk(file));
+  };
+
+  return (
+    <label
+      className={`cursor-pointer select-none ${busy ? "opacity-60 pointer-events-none" : ""} ${className}`}
+      title="Upload daily prices (CSV with date,ticker,close or JSON rows)"
+    >
+      {busy ? "Uploading…" : "+ Upload prices"}
+      <input type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={onFile} />
+    </label>
+  );
+}
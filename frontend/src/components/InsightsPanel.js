@@ -24,6 +24,7 @@ export default function InsightsPanel({
   alloc = [],
   evolution = [],
   useHybrid = true,
+  assetMeta = {}, // name -> { sector, ... } from GET /api/assets
 }) {
   // --- Derived little stats (safe fallbacks) ---
   const quantumVsClassicalEdge = useMemo(() => {
@@ -66,6 +67,18 @@ export default function InsightsPanel({
     return `Over this backtest, Quantum ${edge >= 0 ? "outperformed" : "underperformed"} Classical by ${Math.abs(edge).toFixed(1)}%. The best Sharpe among models is **${best.name}** at ${best.val}. Allocation concentration (HHI) is about ${hhiTxt} — ${hhi < 25 ? "well diversified" : "moderately concentrated"}. Hybrid mode is ${hybridTxt}.`;
   }, [quantumVsClassicalEdge, bestSharpeText, hhi, useHybrid]);
 
+  // Allocation by sector (unknown names count as "Unclassified")
+  const topSector = useMemo(() => {
+    if (!Array.isArray(alloc) || !alloc.length) return null;
+    const bySector = {};
+    for (const a of alloc) {
+      const sector = assetMeta[a?.name]?.sector || "Unclassified";
+      bySector[sector] = (bySector[sector] || 0) + Number(a?.value || 0);
+    }
+    const [sector, value] = Object.entries(bySector).sort((x, y) => y[1] - x[1])[0];
+    return { sector, value };
+  }, [alloc, assetMeta]);
+
   // Top weights list (up to 5)
   const topWeights = useMemo(
     () => Array.isArray(alloc) ? [...alloc].sort((a,b)=> (b?.value||0)-(a?.value||0)).slice(0,5) : [],
@@ -92,6 +105,12 @@ export default function InsightsPanel({
               Allocation concentration (HHI) is about <span className="font-semibold">{hhi.toFixed(1)}</span> —{" "}
               {hhi < 25 ? "well diversified" : "moderately concentrated"}.
             </li>
+            {topSector ? (
+              <li>
+                Largest sector exposure is <span className="font-semibold">{topSector.sector}</span> at{" "}
+                <span className="font-semibold">{percent(topSector.value, 0)}</span> of the allocation.
+              </li>
+            ) : null}
             <li>
               Hybrid mode is <span className="font-semibold">{useHybrid ? "ON" : "OFF"}</span> — subset by QAOA, weights by a classical solver.
             </li>
@@ -2,6 +2,7 @@
 import React from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { setActiveTab, setDataset, setRiskLevel } from "../store/uiSlice";
+import DatasetUpload from "./DatasetUpload.js";
 
 const TabBtn = ({ id, label, active, onClick }) => (
   <button
@@ -16,7 +17,7 @@ const TabBtn = ({ id, label, active, onClick }) => (
 
 export default function Navbar() {
   const dispatch = useDispatch();
-  const { activeTab, dataset, riskLevel } = useSelector((s) => s.ui);
+  const { activeTab, dataset, riskLevel, customDatasets } = useSelector((s) => s.ui);
 
   const handleTab = (key) => dispatch(setActiveTab(key));
 
@@ -41,7 +42,13 @@ export default function Navbar() {
             <option value="nifty50">NIFTY 50</option>
             <option value="nasdaq">NASDAQ</option>
             <option value="crypto">Crypto</option>
+            {customDatasets.length > 0 && (
+              <optgroup label="Uploaded">
+                {customDatasets.map((d) => <option key={d.id} value={d.id}>{d.label}</option>)}
+              </optgroup>
+            )}
           </select>
+          <DatasetUpload className="px-3 py-2 rounded-lg text-sm bg-[#0f1422] border border-zinc-800/70 hover:bg-zinc-800/30" />
 
           <select
             value={riskLevel}
@@ -4,10 +4,11 @@ import { useDispatch, useSelector } from "react-redux";
 import {
   setDataset, setRiskLevel, toggleOption, setInitialEquity,
 } from "../store/uiSlice";
+import DatasetUpload from "./DatasetUpload.js";
 
 export default function Sidebar() {
   const dispatch = useDispatch();
-  const { dataset, riskLevel, options, initialEquity } = useSelector((s) => s.ui);
+  const { dataset, riskLevel, options, initialEquity, customDatasets } = useSelector((s) => s.ui);
 
   return (
     <div className="w-64 bg-[#0f1422] border-r border-zinc-800/70 p-5 hidden md:block">
@@ -24,7 +25,13 @@ export default function Sidebar() {
           <option value="nifty50">NIFTY 50</option>
           <option value="crypto">Crypto</option>
           <option value="nasdaq">NASDAQ</option>
+          {customDatasets.length > 0 && (
+            <optgroup label="Uploaded">
+              {customDatasets.map((d) => <option key={d.id} value={d.id}>{d.label}</option>)}
+            </optgroup>
+          )}
         </select>
+        <DatasetUpload className="mt-2 inline-block text-xs text-indigo-400 hover:text-indigo-300" />
       </div>
 
       {/* Risk Level */}
@@ -0,0 +1,331 @@
+// src/lib/api.client.js
+// GENERATED by backend/scripts/generate-client.js from the /api/v1 OpenAPI document (1.0.0) – do not edit.
+// Run `npm run generate:client` in backend/ after changing a schema in utils/validate.js or a route.
+
+const API_BASE_URL = process.env.API_BASE_URL || "http://localhost:5000";
+export const API_V1_URL = `${API_BASE_URL}/api/v1`;
+
+// Non-2xx answer, read from the RFC 7807 problem body. `code` is stable (VALIDATION_ERROR, NOT_FOUND,
+// UPSTREAM_TIMEOUT, ...) and `errors` lists invalid fields; a failed fetch is status 0 / NETWORK_ERROR.
+export class ApiError extends Error {
+  /** @param {number} status @param {Problem | null} problem */
+  constructor(status, problem) {
+    super(problem?.detail || problem?.title || (status ? `Request failed: ${status}` : "Network error"));
+    this.name = "ApiError";
+    this.status = status;
+    this.code = problem?.code || (status ? `HTTP_${status}` : "NETWORK_ERROR");
+    this.requestId = problem?.requestId ?? null;
+    this.errors = problem?.errors || [];
+    this.upstreamStatus = problem?.upstreamStatus ?? null;
+    this.problem = problem;
+  }
+}
+
+async function request(method, path, { body, query, signal } = {}) {
+  const params = Object.entries(query || {}).filter(([, v]) => v !== undefined && v !== null && v !== "");
+  const qs = new URLSearchParams(params.map(([k, v]) => [k, String(v)])).toString();
+  let resp;
+  try {
+    resp = await fetch(`${API_V1_URL}${path}${qs ? `?${qs}` : ""}`, {
+      method,
+      headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal,
+    });
+  } catch (e) {
+    if (e?.name === "AbortError") throw e;
+    throw new ApiError(0, null);
+  }
+  if (!resp.ok) throw new ApiError(resp.status, await resp.json().catch(() => null));
+  return resp.status === 204 ? null : resp.json();
+}
+
+/* ---------- Types (components.schemas) ---------- */
+/** @typedef {{ type: string, title: string, status: number, detail: string, instance: string, code: string, requestId: string, errors?: Array<{ path?: string, message: string, code?: string }>, upstreamStatus?: number }} Problem */
+/** @typedef {{ status: string, time: string }} Health */
+/** @typedef {{ quantumHealthy: boolean, reason?: string }} QuantumHealth */
+/** @typedef {{ mode: "dataset", method?: "quantum" | "classical", solver?: string, dataset: string, timeHorizon?: number, riskLevel?: "low" | "medium" | "high", budget: number, maxAssets: number, objective?: "sharpe" | "variance", qaoaParams?: Object<string, *>, constraints?: { minWeight?: number, maxWeight?: number }, include?: Array<string>, exclude?: Array<string>, seed?: number }} OptimizeRequest */
+/** @typedef {{ runId: string, method: "quantum" | "classical", selected: Array<string>, weights: Array<number>, allocation: Array<{ name: string, value: number }>, expectedReturn?: number | null, risk?: number | null, sharpe?: number | null, diagnostics: { backend?: string, solver?: string, dataset?: string, objectiveValue?: number, gamma?: number, riskFreeRate?: number, currency?: string, priceSource?: "csv" | "synthetic", objective?: string, iterations?: number, runtimeMs?: number, fallback?: string, seed?: number, qaoa?: { qubits: number, layers: number, mixer: string, gammas: Array<number>, betas: Array<number>, expectation: number, trace: Array<number>, evaluations: number, probability: number, distribution: Array<{ bits: string, p: number, energy: number }> }, selection?: Array<string>, constraints?: { minWeight: number, maxWeight: number, include: Array<string>, exclude: Array<string>, ignored: Array<string>, adjusted: Array<string>, forwarded: boolean } } }} OptimizeResponse */
+/** @typedef {{ id: string, kind: string, status: "queued" | "running" | "succeeded" | "failed" | "cancelled", createdAt: string, startedAt: string | null, finishedAt: string | null, elapsedMs: number, result?: OptimizeResponse, error?: { type: string, code: string, message: string, errors?: Array<{ path?: string, message: string, code?: string }>, upstreamStatus?: number } }} Job */
+/** @typedef {{ solvers: Array<{ id: string, label: string, method: "quantum" | "classical", description: string, available: boolean, default: boolean, capabilities: { maxAssets: number | null, maxUniverse: number | null, datasets: Array<string> | null, objectives: Array<string>, constraints: Array<string>, qaoaParams: boolean } }> }} SolverList */
+/** @typedef {{ dataset?: string, constraints?: { minWeight?: number, maxWeight?: number }, exclude?: Array<string>, points?: number, portfolio?: { selected: Array<string>, weights: Array<number> }, riskLevel?: "low" | "medium" | "high", threshold?: number }} FrontierRequest */
+/** @typedef {{ dataset: string, currency: string, priceSource: "csv" | "synthetic", riskFreeRate: number, constraints: { minWeight: number, maxWeight: number, exclude: Array<string>, ignored: Array<string>, adjusted: Array<string> }, points: Array<{ risk: number, return: number, sharpe: number }>, minVariance: { risk: number, return: number, sharpe: number, weights: Array<{ name: string, weight: number }> }, tangency: { risk: number, return: number, sharpe: number, weights: Array<{ name: string, weight: number }> }, current?: { risk: number, return: number, sharpe: number, frontierReturn: number, frontierRisk: number, returnGap: number, position: string } }} FrontierResponse */
+/** @typedef {{ dataset?: string, maxAssets?: number, riskLevel?: "low" | "medium" | "high", include?: Array<string>, exclude?: Array<string>, constraints?: { esg?: boolean }, sampler?: "auto" | "qaoa" | "annealing", layers?: number, topK?: number, reads?: number, sweeps?: number, seed?: number, threshold?: number }} QaoaBitsRequest */
+/** @typedef {Array<{ bits: string, p: number, expRet: number, risk: number, constraints: string, energy: number, selected: string }>} QaoaBitsResponse */
+/** @typedef {{ dataset?: string, freq?: "daily" | "weekly" | "monthly" | "quarterly", hybrid?: boolean, sampler?: "annealing" | "qaoa", maxAssets?: number, riskLevel?: "low" | "medium" | "high", constraints?: { minWeight?: number, maxWeight?: number }, include?: Array<string>, exclude?: Array<string>, lookback?: number, initialEquity?: number, costBps?: number, slippageBps?: number, start?: string, end?: string, timeHorizon?: number, seed?: number }} BacktestRequest */
+/** @typedef {{ dataset: string, currency: string, priceSource: "csv" | "synthetic", freq: string, sampler: string, seed: number, lookback: number, costBps: number, slippageBps: number, initialEquity: number, start: string, end: string, methods: Array<{ method: "classical" | "quantum" | "hybrid", label: string, finalEquity: number, metrics: { totalReturn: number, annualizedReturn: number, volatility: number, sharpe: number, maxDrawdown: number }, turnover: { total: number, average: number }, costs: { commission: number, slippage: number }, rebalances: Array<{ date: string, turnover: number, cost: number, weights: Array<{ name: string, weight: number }> }>, equity: Array<{ date: string, value: number }> }>, curve: Array<Object<string, string | number>> }} BacktestResponse */
+/** @typedef {{ dataset?: string, sampler?: "auto" | "qaoa" | "annealing", maxAssets?: number, riskLevel?: "low" | "medium" | "high", constraints?: { minWeight?: number, maxWeight?: number }, include?: Array<string>, exclude?: Array<string>, trainDays?: number, testDays?: number, split?: string, seed?: number }} CompareRequest */
+/** @typedef {{ dataset: string, currency: string, priceSource: "csv" | "synthetic", sampler: "qaoa" | "annealing", seed: number, riskLevel: string, maxAssets: number, train: { start: string, end: string, days: number }, test: { start: string, end: string, days: number }, methods: Array<{ method: "quantum" | "classical", label: string, backend: string, selected: Array<string>, weights: Array<number>, expected: { return: number, volatility: number, sharpe: number }, realized: { totalReturn: number, annualizedReturn: number, volatility: number, sharpe: number, maxDrawdown: number, hitRate: number } }>, benchmark: { label: string, realized: { totalReturn: number, annualizedReturn: number, volatility: number, sharpe: number, maxDrawdown: number, hitRate: number } }, assets: Array<{ name: string, sector: string, weights: { classical: number, quantum: number }, train: { return: number, volatility: number }, realized: { totalReturn: number, annualizedReturn: number, volatility: number, sharpe: number, maxDrawdown: number, hitRate: number } }>, curve: Array<Object<string, string | number>> }} CompareResponse */
+/** @typedef {{ metric: "hitRate", dataset: string, priceSource: "csv" | "synthetic", test: { start: string, end: string, days: number }, quantum: number, classical: number }} AccuracyResponse */
+/** @typedef {{ alloc?: Array<{ name: string, value: number }>, initialEquity?: number, threshold?: number, stress?: { ratesBps?: number, oilPct?: number, techPct?: number, fxPct?: number }, scenario?: string, replay?: boolean, dataset?: string, start?: string, end?: string }} StressRequest */
+/** @typedef {{ mode: "shock" | "replay", shocks?: Object<string, number>, dataset?: string, window?: { start: string, end: string, days: number }, unmatched?: Array<string>, bars: Array<{ name: string, sector: string, bucket: string, loss: number, value: number }>, portfolio: { before: number, after: number, pnl: number, maxDrawdown?: number }, ruinLine: number, scenario: { id: string, name: string, window: { start: string, end: string } } | null }} StressResponse */
+/** @typedef {{ scenarios: Array<{ id: string, name: string, description: string, window: { start: string, end: string }, shocks: { ratesBps: number, oilPct: number, techPct: number, fxPct: number }, sectorLoss: Object<string, number> }> }} StressScenarioList */
+/** @typedef {{ dataset?: string, alloc: Array<{ name: string, value: number }>, initialEquity?: number, timeHorizon?: number, threshold?: number, confidence?: Array<number>, lookback?: number, simulations?: number, degreesOfFreedom?: number, bins?: number, seed?: number }} VarRequest */
+/** @typedef {{ dataset: string, currency: string, priceSource: "csv" | "synthetic", window: { start: string, end: string, observations: number }, timeHorizon: number, seed: number, initialEquity: number, threshold: number, ruinLine: number, portfolio: Array<{ name: string, weight: number }>, daily: { mean: number, volatility: number }, methods: Array<{ method: "parametric" | "historical" | "montecarlo", label: string, levels: Array<{ confidence: number, var: number, cvar: number }>, breach: { atHorizon: number, anytime?: number }, windows?: number, simulations?: number, degreesOfFreedom?: number }>, distribution: Array<{ pnl: number, count: number, probability: number }> }} VarResponse */
+/** @typedef {{ dataset: string, futureDataset?: string, budget: number, risk: "low" | "medium" | "high", totalInvestment: number, timeHorizon?: number, seed?: number }} RebalanceRequest */
+/** @typedef {{ runId: string, dataset: string, current?: Array<{ asset: string, weight: number, expected_return: number }>, future?: Array<{ asset: string, weight: number, expected_return: number }>, actions?: Array<{ action: string, asset: string, current_pct: number, future_pct: number, change_pct: number }>, evolution?: Array<{ time: string, Current: number, Future: number }>, summary: { muCurrent: number, muFuture: number, buy?: number, sell?: number, hold?: number }, fallback?: string, seed?: number, trades?: { currency: string, priceDate: string, priceSource: "csv" | "synthetic", indicative: boolean, orders: Array<{ asset: string, side: "BUY" | "SELL", quantity: number, price: number, notional: number, lotSize: number, market: string, fees: Object<string, number> }>, unpriced: Array<string>, totals: { buy: number, sell: number, fees: number, turnover: number, turnoverPct: number, investedBefore: number, residualCash: number } } }} RebalanceResponse */
+/** @typedef {{ total: number, limit: number, offset: number, items: Array<{ runId: string, kind: "optimize" | "rebalance", method?: string, dataset?: string, createdAt: string, durationMs?: number, selected?: Array<string>, expectedReturn?: number | null, risk?: number | null, sharpe?: number | null }> }} RunList */
+/** @typedef {{ runId: string, kind: "optimize" | "rebalance", method?: string, dataset?: string, createdAt: string, timings: { startedAt: string, finishedAt: string, durationMs: number }, input: Object<string, *>, output: Object<string, *> }} Run */
+/** @typedef {{ datasets: Array<{ id: string, label: string, currency: string, periodsPerYear: number, custom: boolean, source: string, assetCount: number, start: string, end: string, prices: number }> }} DatasetList */
+/** @typedef {{ name: string, label?: string, currency?: string, periodsPerYear?: number, csv?: string, prices?: Array<{ date: string, ticker: string, close: number | string }> }} DatasetUploadRequest */
+/** @typedef {{ dataset: { id: string, label: string, currency: string, periodsPerYear: number, custom: boolean, source: string, assetCount: number, start: string, end: string, prices: number }, warnings: Array<string> }} DatasetUploadResponse */
+/** @typedef {{ id: string, label: string, currency: string, periodsPerYear: number, custom: boolean, source: string, assetCount: number, start: string, end: string, prices: number, window: { start: string, end: string, observations: number }, assets: Array<{ name: string, ticker: string, sector: string, industry: string, expectedReturn: number, volatility: number, lastClose: number, esgFlagged: boolean, esg: Array<string> }> }} DatasetAssets */
+/** @typedef {{ id: string, name: string, ticker: string, sector: string, industry: string, market: string, currency: string, esg: Array<string>, datasets: Array<string> }} Asset */
+/** @typedef {{ assets: Array<Asset> }} AssetList */
+
+/* ---------- Operations ---------- */
+/**
+ * Liveness – GET /health
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Health>}
+ */
+export function getHealth(options) {
+  return request("GET", `/health`, { ...options });
+}
+
+/**
+ * FastAPI reachability – GET /health/quantum
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<QuantumHealth>}
+ */
+export function getQuantumHealth(options) {
+  return request("GET", `/health/quantum`, { ...options });
+}
+
+/**
+ * Pick and weight assets (cached per request) – POST /optimize
+ * @param {OptimizeRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<OptimizeResponse>}
+ */
+export function optimize(body, options) {
+  return request("POST", `/optimize`, { body, ...options });
+}
+
+/**
+ * Run an optimize request in the background – POST /optimize/jobs
+ * @param {OptimizeRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Job>}
+ */
+export function createOptimizeJob(body, options) {
+  return request("POST", `/optimize/jobs`, { body, ...options });
+}
+
+/**
+ * Job status and, once finished, its result – GET /optimize/jobs/{id}
+ * @param {string} id
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Job>}
+ */
+export function getOptimizeJob(id, options) {
+  return request("GET", `/optimize/jobs/${encodeURIComponent(id)}`, { ...options });
+}
+
+/**
+ * Cancel a queued or running job – DELETE /optimize/jobs/{id}
+ * @param {string} id
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Job>}
+ */
+export function cancelOptimizeJob(id, options) {
+  return request("DELETE", `/optimize/jobs/${encodeURIComponent(id)}`, { ...options });
+}
+
+/**
+ * Registered solvers and their capabilities – GET /solvers
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<SolverList>}
+ */
+export function listSolvers(options) {
+  return request("GET", `/solvers`, { ...options });
+}
+
+/**
+ * Sharpe ratio per method (demo) – GET /sharpe
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Array<{ name: string, value: number }>>}
+ */
+export function getSharpeComparison(options) {
+  return request("GET", `/sharpe`, { ...options });
+}
+
+/**
+ * Long-only efficient frontier – POST /frontier
+ * @param {FrontierRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<FrontierResponse>}
+ */
+export function getFrontier(body, options) {
+  return request("POST", `/frontier`, { body, ...options });
+}
+
+/**
+ * Most likely asset selections of the QUBO (seed in X-Seed) – POST /qaoa/bits
+ * @param {QaoaBitsRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<QaoaBitsResponse>}
+ */
+export function sampleQaoaBits(body, options) {
+  return request("POST", `/qaoa/bits`, { body, ...options });
+}
+
+/**
+ * Random allocation over the first assets (demo; seed in X-Seed) – POST /allocation
+ * @param {{ dataset?: string, seed?: number }} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Array<{ name: string, value: number }>>}
+ */
+export function getAllocation(body, options) {
+  return request("POST", `/allocation`, { body, ...options });
+}
+
+/**
+ * Walk-forward backtest per method – POST /evolution
+ * @param {BacktestRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<BacktestResponse>}
+ */
+export function runBacktest(body, options) {
+  return request("POST", `/evolution`, { body, ...options });
+}
+
+/**
+ * Named historical stress scenarios – GET /stress/scenarios
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<StressScenarioList>}
+ */
+export function listStressScenarios(options) {
+  return request("GET", `/stress/scenarios`, { ...options });
+}
+
+/**
+ * Shock or replay an allocation – POST /stress
+ * @param {StressRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<StressResponse>}
+ */
+export function runStress(body, options) {
+  return request("POST", `/stress`, { body, ...options });
+}
+
+/**
+ * VaR / CVaR by three methods – POST /risk/var
+ * @param {VarRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<VarResponse>}
+ */
+export function computeValueAtRisk(body, options) {
+  return request("POST", `/risk/var`, { body, ...options });
+}
+
+/**
+ * Out-of-sample quantum vs classical evaluation – POST /compare
+ * @param {CompareRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<CompareResponse>}
+ */
+export function compare(body, options) {
+  return request("POST", `/compare`, { body, ...options });
+}
+
+/**
+ * Held-out hit rate per method – GET /compare/accuracy
+ * @param {{ risk?: "low" | "medium" | "high", dataset?: string }} [query]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<AccuracyResponse>}
+ */
+export function getCompareAccuracy(query, options) {
+  return request("GET", `/compare/accuracy`, { query, ...options });
+}
+
+/**
+ * Current vs future portfolio, actions and trade list – POST /rebalance
+ * @param {RebalanceRequest} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<RebalanceResponse>}
+ */
+export function rebalance(body, options) {
+  return request("POST", `/rebalance`, { body, ...options });
+}
+
+/**
+ * Run history – GET /runs
+ * @param {{ dataset?: string, method?: "quantum" | "classical", kind?: "optimize" | "rebalance", from?: string, to?: string, limit?: number, offset?: number }} [query]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<RunList>}
+ */
+export function listRuns(query, options) {
+  return request("GET", `/runs`, { query, ...options });
+}
+
+/**
+ * One run with its input and output – GET /runs/{runId}
+ * @param {string} runId
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Run>}
+ */
+export function getRun(runId, options) {
+  return request("GET", `/runs/${encodeURIComponent(runId)}`, { ...options });
+}
+
+/**
+ * Delete a run – DELETE /runs/{runId}
+ * @param {string} runId
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<null>}
+ */
+export function deleteRun(runId, options) {
+  return request("DELETE", `/runs/${encodeURIComponent(runId)}`, { ...options });
+}
+
+/**
+ * Built-in and uploaded datasets – GET /datasets
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<DatasetList>}
+ */
+export function listDatasets(options) {
+  return request("GET", `/datasets`, { ...options });
+}
+
+/**
+ * Upload daily closes (JSON, or text/csv with name in the query) – POST /datasets
+ * @param {DatasetUploadRequest} body
+ * @param {{ name?: string, label?: string, currency?: string, periodsPerYear?: number }} [query]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<DatasetUploadResponse>}
+ */
+export function uploadDataset(body, query, options) {
+  return request("POST", `/datasets`, { body, query, ...options });
+}
+
+/**
+ * Per-asset estimates for a dataset – GET /datasets/{id}/assets
+ * @param {string} id
+ * @param {{ lookback?: number }} [query]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<DatasetAssets>}
+ */
+export function getDatasetAssets(id, query, options) {
+  return request("GET", `/datasets/${encodeURIComponent(id)}/assets`, { query, ...options });
+}
+
+/**
+ * Asset metadata registry – GET /assets
+ * @param {{ dataset?: string, sector?: string, esg?: "true" | "false" }} [query]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<AssetList>}
+ */
+export function listAssets(query, options) {
+  return request("GET", `/assets`, { query, ...options });
+}
+
+/**
+ * One asset by id, ticker or name – GET /assets/{id}
+ * @param {string} id
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Asset>}
+ */
+export function getAsset(id, options) {
+  return request("GET", `/assets/${encodeURIComponent(id)}`, { ...options });
+}
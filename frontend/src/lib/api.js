@@ -1,97 +1,95 @@
 // src/lib/api.js
-const API_BASE_URL = process.env.API_BASE_URL || "http://localhost:5000";
+// Dashboard-facing calls over the generated /api/v1 client (api.client.js; regenerate with
+// `npm run generate:client` in backend/). Failures throw ApiError (status, stable code, field errors).
+import * as api from "./api.client.js";
 
-async function post(path, body) {
-  const resp = await fetch(`${API_BASE_URL}${path}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body || {}),
-  });
-  if (!resp.ok) {
-    // Try to parse JSON error; otherwise throw generic
-    let err = {};
-    try { err = await resp.json(); } catch {}
-    throw new Error(err?.details || err?.error || `Request failed: ${resp.status}`);
-  }
-  return resp.json();
+export { ApiError } from "./api.client.js";
+
+/* ========= Existing APIs ========= */
+// Long-only mean-variance frontier: { points, minVariance, tangency, current? } (risk/return annualized, decimal)
+export async function fetchEfficientFrontier({ dataset, constraints, exclude, portfolio }) {
+  return api.getFrontier({ dataset, constraints, exclude, portfolio });
 }
 
-async function get(path) {
-  const resp = await fetch(`${API_BASE_URL}${path}`);
-  if (!resp.ok) {
-    let err = {};
-    try { err = await resp.json(); } catch {}
-    throw new Error(err?.details || err?.error || `Request failed: ${resp.status}`);
-  }
-  return resp.json();
+export async function fetchSharpeComparison() {
+  return api.getSharpeComparison();
 }
 
-/* ========= Existing APIs ========= */
-export async function fetchEfficientFrontier({ riskLevel, constraints, threshold }) {
-  return post("/api/frontier", { riskLevel, constraints, threshold });
+// Top bitstrings sampled from the asset-selection QUBO: [{ bits, p, expRet, risk, constraints, ... }]
+export async function runQAOASelection({ dataset, maxAssets, riskLevel, include, exclude, constraints, threshold, seed }) {
+  return api.sampleQaoaBits({ dataset, maxAssets, riskLevel, include, exclude, constraints, threshold, seed });
 }
 
-export async function fetchSharpeComparison() {
-  return get("/api/sharpe");
+export async function fetchAllocation({ topBits, hybrid, threshold, dataset, seed }) {
+  return api.getAllocation({ dataset, topBits, hybrid, threshold, seed });
 }
 
-export async function runQAOASelection({ constraints, threshold }) {
-  return post("/api/qaoa/bits", { constraints, threshold });
+// Walk-forward backtest: { start, end, seed, priceSource, methods: [{ method, metrics, turnover, costs, rebalances }],
+// curve: [{ date, Classical, Quantum, Hybrid? }] }
+export async function backtestEvolution({
+  dataset, freq, hybrid, sampler, maxAssets, riskLevel, constraints, include, exclude,
+  lookback, initialEquity, costBps, slippageBps, start, end, timeHorizon, seed,
+}) {
+  return api.runBacktest({
+    dataset, freq, hybrid, sampler, maxAssets, riskLevel, constraints, include, exclude,
+    lookback, initialEquity, costBps, slippageBps, start, end, timeHorizon, seed,
+  });
+}
+
+// Asset metadata registry: { id, name, ticker, sector, industry, market, currency, esg, datasets }
+export async function fetchAsset(id) {
+  return api.getAsset(id);
 }
 
-export async function fetchAllocation({ topBits, hybrid, threshold, dataset }) {
-  return post("/api/allocation", { dataset, topBits, hybrid, threshold });
+export async function fetchAssets({ dataset, sector } = {}) {
+  return api.listAssets({ dataset, sector });
 }
 
-export async function backtestEvolution({ freq, hybrid, initialEquity, timeHorizon }) {
-  return post("/api/evolution", { freq, hybrid, initialEquity, timeHorizon });
+// VaR / CVaR over `timeHorizon` days: { seed, methods: [{ method, label, levels, breach }], distribution, ruinLine }
+export async function fetchValueAtRisk({ dataset, alloc, initialEquity, timeHorizon, threshold, confidence, seed }) {
+  return api.computeValueAtRisk({ dataset, alloc, initialEquity, timeHorizon, threshold, confidence, seed });
 }
 
-export async function stressSim({ alloc, initialEquity, threshold, stress }) {
-  return post("/api/stress", { alloc, initialEquity, threshold, stress });
+// Named historical scenarios: { scenarios: [{ id, name, description, window, shocks, sectorLoss }] }
+export async function fetchStressScenarios() {
+  return api.listStressScenarios();
 }
 
-/* ========= NEW: Compare tab helpers (added to fix build) =========
-   If your backend doesn't expose these yet, we return demo data so the UI works.
-*/
-export async function fetchCompareAccuracy({ risk }) {
-  try {
-    // Preferred: backend route (POST)
-    return await post("/api/compare/accuracy", { risk });
-  } catch {
-    // Fallback demo so the Compare tab renders
-    return { classical: 72, quantum: 86 };
-  }
+// scenario: id from fetchStressScenarios(); replay: buy-and-hold through the scenario window in `dataset`
+export async function stressSim({ alloc, initialEquity, threshold, stress, scenario, replay, dataset, start, end }) {
+  return api.runStress({ alloc, initialEquity, threshold, stress, scenario, replay, dataset, start, end });
 }
 
-export async function fetchCompareRiskReturn({ dataset, maxAssets, assetNames = [], weights = [] }) {
-  try {
-    // Preferred: backend route (POST)
-    return await post("/api/compare/riskreturn", { dataset, maxAssets, assetNames, weights });
-  } catch {
-    // Fallback demo points mapped from provided assetNames
-    const points = (assetNames.length ? assetNames : ["A", "B", "C"]).map((name, i) => ({
-      name,
-      classical: { risk: 8 + i * 2, ret: 10 + i * 1.5 },
-      quantum:   { risk: 7.5 + i * 1.8, ret: 12 + i * 1.6 },
-    }));
-    return { points };
-  }
+/* ========= Compare tab ========= */
+// Both methods fit on a training window and scored on the held-out days after it:
+// { train, test, methods: [{ method, label, selected, weights, expected, realized }], benchmark,
+//   assets: [{ name, sector, weights, train, realized }], curve: [{ date, Classical, Quantum, "Equal weight" }] }
+export async function fetchComparison({
+  dataset, sampler, maxAssets, riskLevel, constraints, include, exclude, trainDays, testDays, split, seed,
+}) {
+  return api.compare({
+    dataset, sampler, maxAssets, riskLevel, constraints, include, exclude, trainDays, testDays, split, seed,
+  });
 }
 
 /* ========= NEW: Rebalancing ========= */
+// Returns the normalized shape: { current, future, actions, trades, evolution, summary, seed }
 export async function fetchRebalance({
-  dataset_option,
-  future_dataset_option,
+  dataset,
+  futureDataset,
   budget,
-  risk_factor,
-  total_investment,
+  risk,
+  totalInvestment,
+  timeHorizon,
+  seed,
 }) {
-  return post("/api/rebalance", {
-    dataset_option,
-    future_dataset_option,
+  return api.rebalance({
+    dataset,
+    futureDataset,
     budget,
-    risk_factor,
-    total_investment,
+    risk,
+    totalInvestment,
+    timeHorizon,
+    seed,
   });
 }
@@ -1,7 +1,5 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
-
-/* ---------- ENV (Parcel) ---------- */
-const API_BASE_URL = process.env.API_BASE_URL || "http://localhost:5000";
+import { createOptimizeJob, getOptimizeJob, cancelOptimizeJob, listDatasets, uploadDataset } from "../lib/api.client.js";
 
 /* ---------- Helpers: map UI -> backend payload (Mode A) ---------- */
 const datasetMap = {
@@ -15,7 +13,7 @@ const datasetMap = {
 export function buildOptimizePayload(ui) {
   return {
     mode: "dataset",
-    dataset: datasetMap[ui.dataset] || "NIFTY50",
+    dataset: datasetMap[ui.dataset] || ui.dataset || "NIFTY50", // uploaded datasets go by their id
     timeHorizon: Number(ui.timeHorizon) || 15,
     riskLevel: ui.riskLevel || "medium",
     budget: Number(ui.initialEquity) || 100000, // total_investment
@@ -23,47 +21,99 @@ export function buildOptimizePayload(ui) {
     objective: "sharpe",
     qaoaParams: {},
     constraints: {
-      // optional knobs (kept for future, currently not used by FastAPI)
+      // forwarded to FastAPI and enforced by the backend (see diagnostics.constraints)
       minWeight: (Number(ui.threshold) || 0) / 100,
       maxWeight: 1,
     },
-    include: Array.isArray(ui.options) ? ui.options : [],
-    exclude: [],
+    // asset names only – ui.options are feature toggles, not tickers
+    include: Array.isArray(ui.includeAssets) ? ui.includeAssets : [],
+    exclude: Array.isArray(ui.excludeAssets) ? ui.excludeAssets : [],
+    // fixed seed = reproducible stochastic solvers; none = the backend picks one
+    seed: ui.seed ?? undefined,
   };
 }
 
 /* ---------- Async thunk to call backend ---------- */
+// Runs as a background job: POST /api/v1/optimize/jobs, then poll until it finishes.
+// Aborting the thunk (promise.abort()) DELETEs the job, which cancels the upstream call.
+const JOB_POLL_MS = 1000;
+
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => { clearTimeout(t); resolve(); }, { once: true });
+  });
+
 export const runOptimizeThunk = createAsyncThunk(
   "ui/runOptimize",
-  async (_, { getState, rejectWithValue }) => {
+  async (_, { getState, dispatch, rejectWithValue, signal }) => {
     const { ui } = getState();
     const payload = buildOptimizePayload(ui);
 
+    let jobId = null;
+    signal.addEventListener("abort", () => {
+      if (jobId) cancelOptimizeJob(jobId).catch(() => {});
+    }, { once: true });
+
     try {
-      const resp = await fetch(`${API_BASE_URL}/api/optimize`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
+      let job = await createOptimizeJob(payload, { signal });
+      jobId = job.id;
+      dispatch(setOptimizeJob(job));
 
-      if (!resp.ok) {
-        const err = await resp.json().catch(() => ({}));
-        const msg =
-          err?.details?.join?.(", ") ||
-          err?.details ||
-          err?.error ||
-          `Request failed: ${resp.status}`;
-        return rejectWithValue(msg);
+      while (job.status === "queued" || job.status === "running") {
+        await wait(JOB_POLL_MS, signal);
+        if (signal.aborted) return rejectWithValue("Optimization cancelled");
+        job = await getOptimizeJob(jobId, { signal });
+        dispatch(setOptimizeJob(job));
       }
 
-      const data = await resp.json(); // normalized shape from backend
-      return data;
+      if (job.status === "succeeded") return job.result; // normalized shape from backend
+      return rejectWithValue(job.error?.message || `Optimization ${job.status}`);
+    } catch (e) {
+      return rejectWithValue(e?.message || "Network error");
+    }
+  }
+);
+
+/* ---------- Dataset registry ---------- */
+// GET /api/v1/datasets -> uploaded datasets for the dataset dropdowns
+export const loadDatasetsThunk = createAsyncThunk(
+  "ui/loadDatasets",
+  async (_, { rejectWithValue }) => {
+    try {
+      const { datasets } = await listDatasets();
+      return datasets.filter((d) => d.custom).map((d) => ({ id: d.id, label: d.label }));
     } catch (e) {
       return rejectWithValue(e?.message || "Network error");
     }
   }
 );
 
+// POST /api/v1/datasets with a price file (CSV: date,ticker,close; JSON: [{ ticker, date, close }]),
+// then select the new dataset
+export const uploadDatasetThunk = createAsyncThunk(
+  "ui/uploadDataset",
+  async (file, { dispatch, rejectWithValue }) => {
+    try {
+      const name = file.name.replace(/\.[^.]+$/, "");
+      const text = await file.text();
+      let body;
+      if (/\.json$/i.test(file.name)) {
+        const json = JSON.parse(text);
+        body = { name, ...(Array.isArray(json) ? { prices: json } : json) };
+      } else {
+        body = { name, csv: text };
+      }
+      const result = await uploadDataset(body);
+      await dispatch(loadDatasetsThunk());
+      dispatch(setDataset(result.dataset.id));
+      return result;
+    } catch (e) {
+      return rejectWithValue(e?.message || "Upload failed");
+    }
+  }
+);
+
 /* ---------- Load saved UI ---------- */
 const saved = (() => {
   try {
@@ -84,10 +134,19 @@ const initialState = {
   initialEquity: saved.initialEquity ?? 108000, // total_investment
   timeHorizon: saved.timeHorizon ?? 15,         // (kept for charts)
   threshold: saved.threshold ?? 0,              // %
+  seed: saved.seed ?? null,                     // PRNG seed sent with every run (null = fresh each run)
 
   // NEW: FastAPI input — number of assets to select
   maxAssets: saved.maxAssets ?? 5,
 
+  // asset-level constraints (names as shown in the allocation table)
+  includeAssets: saved.includeAssets ?? [],
+  excludeAssets: saved.excludeAssets ?? [],
+
+  // uploaded datasets [{ id, label }] (built-ins are fixed options in the dropdowns)
+  customDatasets: [],
+  datasetUploadStatus: "idle", // 'idle' | 'loading'
+
   // nav
   activeTab: saved.activeTab ?? null, // null = Home, else 'compare'|'evolution'|'insights'|'stress'|'explain'
 
@@ -99,6 +158,7 @@ const initialState = {
   optimizeStatus: "idle", // 'idle' | 'loading' | 'succeeded' | 'failed'
   optimizeResult: null,   // normalized JSON from backend
   optimizeError: null,    // string
+  optimizeJob: null,      // { id, status, elapsedMs } while a job is in flight
 };
 
 let toastId = 1;
@@ -135,6 +195,10 @@ const uiSlice = createSlice({
     setThreshold: (s, a) => {
       s.threshold = Math.max(0, Math.min(100, Number(a.payload) || 0));
     },
+    setSeed: (s, a) => {
+      const v = Math.floor(Number(a.payload));
+      s.seed = a.payload === "" || a.payload == null || !(v >= 0) ? null : Math.min(v, 4294967295);
+    },
 
     // NEW: FastAPI "budget" (count of assets)
     setMaxAssets: (s, a) => {
@@ -142,6 +206,13 @@ const uiSlice = createSlice({
       s.maxAssets = v;
     },
 
+    setIncludeAssets: (s, a) => {
+      s.includeAssets = Array.isArray(a.payload) ? a.payload : [];
+    },
+    setExcludeAssets: (s, a) => {
+      s.excludeAssets = Array.isArray(a.payload) ? a.payload : [];
+    },
+
     // about + toasts
     openAbout: (s) => {
       s.isAboutOpen = true;
@@ -160,6 +231,12 @@ const uiSlice = createSlice({
       s.toasts = s.toasts.filter((t) => t.id !== a.payload);
     },
 
+    // progress of the background optimize job
+    setOptimizeJob: (s, a) => {
+      const { id, status, elapsedMs } = a.payload || {};
+      s.optimizeJob = id ? { id, status, elapsedMs: Number(elapsedMs) || 0 } : null;
+    },
+
     // allow clearing results if user changes inputs
     clearOptimizeResult: (s) => {
       s.optimizeResult = null;
@@ -174,12 +251,35 @@ const uiSlice = createSlice({
         s.optimizeError = null;
       })
       .addCase(runOptimizeThunk.fulfilled, (s, a) => {
+        s.optimizeJob = null;
         s.optimizeStatus = "succeeded";
         s.optimizeResult = a.payload;
         s.optimizeError = null;
         s.toasts.push({ id: toastId++, type: "success", msg: "Optimization complete" });
       })
+      .addCase(loadDatasetsThunk.fulfilled, (s, a) => {
+        s.customDatasets = a.payload;
+      })
+      .addCase(uploadDatasetThunk.pending, (s) => {
+        s.datasetUploadStatus = "loading";
+      })
+      .addCase(uploadDatasetThunk.fulfilled, (s, a) => {
+        s.datasetUploadStatus = "idle";
+        const { dataset, warnings } = a.payload;
+        const note = warnings?.length ? ` (${warnings.length} warning${warnings.length > 1 ? "s" : ""}: ${warnings[0]})` : "";
+        s.toasts.push({ id: toastId++, type: "success", msg: `Dataset ${dataset.label} added${note}` });
+      })
+      .addCase(uploadDatasetThunk.rejected, (s, a) => {
+        s.datasetUploadStatus = "idle";
+        s.toasts.push({ id: toastId++, type: "error", msg: a.payload || "Dataset upload failed" });
+      })
       .addCase(runOptimizeThunk.rejected, (s, a) => {
+        s.optimizeJob = null;
+        if (a.meta.aborted) {
+          s.optimizeStatus = "idle";
+          s.toasts.push({ id: toastId++, type: "info", msg: "Optimization cancelled" });
+          return;
+        }
         s.optimizeStatus = "failed";
         s.optimizeError = a.payload || "Failed to optimize";
         s.toasts.push({ id: toastId++, type: "error", msg: s.optimizeError });
@@ -195,12 +295,16 @@ export const {
   setInitialEquity,
   setTimeHorizon,
   setThreshold,
+  setSeed,
   setMaxAssets, // NEW
+  setIncludeAssets,
+  setExcludeAssets,
   openAbout,
   closeAbout,
   addToast,
   removeToast,
   clearOptimizeResult,
+  setOptimizeJob,
 } = uiSlice.actions;
 
 export default uiSlice.reducer;
@@ -216,8 +320,11 @@ export const uiMiddleware = (store) => (next) => (action) => {
     initialEquity: ui.initialEquity,
     timeHorizon: ui.timeHorizon,
     threshold: ui.threshold,
+    seed: ui.seed,
     activeTab: ui.activeTab,
     maxAssets: ui.maxAssets, // NEW
+    includeAssets: ui.includeAssets,
+    excludeAssets: ui.excludeAssets,
   };
   try {
     localStorage.setItem("ui", JSON.stringify(persist));